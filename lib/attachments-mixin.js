@@ -0,0 +1,72 @@
+'use strict';
+const _ = require('lodash');
+const {invokeConnector} = require('./mixin-utils');
+
+/**
+ * Mixin adding methods for managing list item attachments to a model attached to SharePoint data source.
+ * The methods accept an optional callback and return a promise when it is not specified.
+ * It also defines the property receiving attachment metadata when instances are found with `includeAttachments` option.
+ *
+ * Register it with `dataSource.modelBuilder.mixins.define('SharePointAttachments', AttachmentsMixin)` and enable it
+ * by `mixins: {SharePointAttachments: true}` model setting, or apply it to the model directly: `AttachmentsMixin(Model)`.
+ *
+ * @param {Function} Model The model class
+ * @param {Object} [options] The mixin options
+ * @param {String} [options.property] Name of the property receiving attachment metadata. Default: `attachments`
+ */
+function AttachmentsMixin(Model, options) {
+  const property = _.get(options, 'property', 'attachments');
+  if (property && !_.get(Model.definition, ['properties', property])) {
+    Model.defineProperty(property, {type: [Object], sharepoint: {attachments: true}});
+  }
+
+  /**
+   * Gets metadata of the files attached to the model instance
+   * @param {*} id The instance id
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<{name: String, url: String}[]>}
+   */
+  Model.getAttachments = function(id, options, cb) {
+    return invokeConnector(Model, 'getAttachments', [id], options, cb);
+  };
+
+  /**
+   * Attaches a file to the model instance
+   * @param {*} id The instance id
+   * @param {String} name The file name
+   * @param {Buffer|String|Readable} content The file content
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<{name: String, url: String}>}
+   */
+  Model.uploadAttachment = function(id, name, content, options, cb) {
+    return invokeConnector(Model, 'uploadAttachment', [id, name, content], options, cb);
+  };
+
+  /**
+   * Downloads a file attached to the model instance
+   * @param {*} id The instance id
+   * @param {String} name The file name
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<Readable>} Stream of the file content
+   */
+  Model.downloadAttachment = function(id, name, options, cb) {
+    return invokeConnector(Model, 'downloadAttachment', [id, name], options, cb);
+  };
+
+  /**
+   * Deletes a file attached to the model instance
+   * @param {*} id The instance id
+   * @param {String} name The file name
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<{count: Number}>} Number of deleted files
+   */
+  Model.deleteAttachment = function(id, name, options, cb) {
+    return invokeConnector(Model, 'deleteAttachment', [id, name], options, cb);
+  };
+}
+
+module.exports = AttachmentsMixin;
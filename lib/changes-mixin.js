@@ -0,0 +1,27 @@
+'use strict';
+const {invokeConnector} = require('./mixin-utils');
+
+/**
+ * Mixin adding the method pulling the changes of a model attached to SharePoint data source from the change log
+ * of its list. The method accepts an optional callback and returns a promise when it is not specified.
+ *
+ * Register it with `dataSource.modelBuilder.mixins.define('SharePointChanges', ChangesMixin)` and enable it
+ * by `mixins: {SharePointChanges: true}` model setting, or apply it to the model directly: `ChangesMixin(Model)`.
+ *
+ * @param {Function} Model The model class
+ */
+function ChangesMixin(Model) {
+  /**
+   * Gets the changes of the model instances made since the change token was issued
+   * @param {String} [token] The change token returned by the previous call, the current token is returned without
+   * any changes when it is not specified
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<{added: Array, updated: Array, deleted: Array, entities: Object[], token: String}>}
+   */
+  Model.getChanges = function(token, options, cb) {
+    return invokeConnector(Model, 'getChanges', [token], options, cb);
+  };
+}
+
+module.exports = ChangesMixin;
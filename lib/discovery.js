@@ -0,0 +1,153 @@
+'use strict';
+const _ = require('lodash');
+const {FieldTypes} = require('@pnp/sp');
+
+// Templates of lists holding SharePoint system data (e.g. Master Page Gallery, Web Part Gallery, Site Pages)
+const SYSTEM_LIST_TEMPLATES = [110, 111, 112, 113, 114, 116, 117, 119, 120, 121, 122, 123, 124, 125, 130, 160, 161, 544, 851];
+// Fields inherited from the base list type which are mapped to model properties
+const BASE_FIELDS = ['ID', 'Title', 'Created', 'Modified', 'Author', 'Editor'];
+// Field types which are used only for rendering list views and forms
+const UI_FIELD_TYPES = ['Computed', 'Attachments', 'ContentTypeId', 'ModStat', 'WorkflowStatus'];
+
+/**
+ * Checks whether the list holds user data and should be discovered as a model.
+ * Hidden lists, catalogs (galleries) and system lists are left out.
+ * @param {Object} spList SharePoint list
+ * @returns {boolean}
+ */
+function isDiscoverableList(spList) {
+  return !spList.Hidden && !spList.IsCatalog && !spList.IsSystemList && !spList.IsApplicationList &&
+    !_.includes(SYSTEM_LIST_TEMPLATES, spList.BaseTemplate);
+}
+
+/**
+ * Checks whether the list field should be discovered as a model property.
+ * Hidden fields, fields used only by list views and forms and most of the base list type fields are left out.
+ * @param {Object} spField SharePoint field
+ * @returns {boolean}
+ */
+function isDiscoverableField(spField) {
+  if (_.includes(BASE_FIELDS, spField.InternalName)) {
+    return true;
+  }
+  return !spField.Hidden && !spField.FromBaseType && !_.includes(UI_FIELD_TYPES, spField.TypeAsString) &&
+    !_.startsWith(spField.InternalName, '_');
+}
+
+/**
+ * Gets LoopBack name of the model or property discovered from SharePoint list or field name.
+ * Characters encoded in field internal names (e.g. '_x0020_' for space) are decoded.
+ * @param {String} spName List title or field internal name
+ * @param {Boolean} [isModel] Whether the name is model name (in PascalCase) rather than property name (in camelCase)
+ * @returns {string}
+ */
+function getLoopBackName(spName, isModel) {
+  const decoded = String(spName).replace(/_x([0-9a-f]{4})_/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+  const name = _.camelCase(decoded);
+  return isModel ? _.upperFirst(name) : name;
+}
+
+/**
+ * Converts SharePoint list field into the definition of LoopBack model property
+ * containing the type, `required` flag and `sharepoint` settings (`columnName`, `dataType` and type specific options).
+ * @param {Object} spField SharePoint field
+ * @returns {Object}
+ */
+function toPropertyDefinition(spField) {
+  const typeAsString = spField.TypeAsString;
+  const isMulti = /Multi$/.test(typeAsString) && typeAsString !== 'MultiChoice';
+  const dataType = isMulti ? typeAsString.replace(/Multi$/, '') : typeAsString;
+  const property = {
+    type: getLoopBackType(spField, dataType),
+    required: !!spField.Required
+  };
+  const spSettings = {columnName: spField.InternalName, dataType};
+  if (spField.InternalName === 'ID') {
+    property.id = true;
+  }
+  if (isMulti) {
+    property.type = [property.type];
+    spSettings.multiple = true;
+  }
+  switch (dataType) {
+    case 'Text':
+      if (spField.MaxLength) {
+        property.length = spField.MaxLength;
+      }
+      break;
+    case 'Choice':
+    case 'MultiChoice':
+      property.enum = getCollectionValues(spField.Choices);
+      break;
+    case 'Note':
+      spSettings.richText = !!spField.RichText;
+      break;
+    case 'Currency':
+      spSettings.currencyLocaleId = spField.CurrencyLocaleId;
+      break;
+    case 'Calculated':
+      spSettings.formula = spField.Formula;
+      spSettings.outputType = getFieldTypeName(spField.OutputType);
+      break;
+    case 'Lookup':
+      spSettings.lookupField = spField.LookupField;
+      break;
+  }
+  property.sharepoint = spSettings;
+  return property;
+}
+
+exports.isDiscoverableList = isDiscoverableList;
+exports.isDiscoverableField = isDiscoverableField;
+exports.getLoopBackName = getLoopBackName;
+exports.toPropertyDefinition = toPropertyDefinition;
+
+/*
+* Gets LoopBack type of the property stored in SharePoint field
+*/
+function getLoopBackType(spField, dataType) {
+  switch (dataType) {
+    case 'Number':
+    case 'Currency':
+    case 'Integer':
+    case 'Counter':
+    case 'Lookup':
+      return 'number';
+    case 'Boolean':
+      return 'boolean';
+    case 'DateTime':
+      return 'date';
+    case 'MultiChoice':
+      return ['string'];
+    case 'User':
+    case 'URL':
+      return 'object';
+    case 'Calculated':
+      return getLoopBackType(spField, getFieldTypeName(spField.OutputType));
+    case 'Text':
+    case 'Note':
+    case 'Choice':
+    case 'Guid':
+      return 'string';
+    default:
+      return 'any';
+  }
+}
+
+/*
+* Gets the name of SharePoint field type by its kind (FieldTypeKind), e.g. 'Number' for 9
+*/
+function getFieldTypeName(fieldTypeKind) {
+  return FieldTypes[fieldTypeKind] || 'Text';
+}
+
+/*
+* Gets the values of collection property which is returned either as array or as `results` property
+* depending on OData metadata level
+*/
+function getCollectionValues(collection) {
+  if (_.isNil(collection)) {
+    return [];
+  }
+  return _.isArray(collection) ? collection : collection.results;
+}
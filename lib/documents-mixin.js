@@ -0,0 +1,53 @@
+'use strict';
+const _ = require('lodash');
+const {invokeConnector} = require('./mixin-utils');
+
+/**
+ * Mixin adding methods for streaming the files of a model stored in SharePoint document library
+ * (`sharepoint.documentLibrary` model setting).
+ * The methods accept an optional callback and return a promise when it is not specified.
+ * It also defines the properties holding file metadata (`{name, url, size, version}`) and the content uploaded on create,
+ * unless the model already has properties marked with `sharepoint.file` and `sharepoint.content` settings.
+ *
+ * Register it with `dataSource.modelBuilder.mixins.define('SharePointDocuments', DocumentsMixin)` and enable it
+ * by `mixins: {SharePointDocuments: true}` model setting, or apply it to the model directly: `DocumentsMixin(Model)`.
+ *
+ * @param {Function} Model The model class
+ * @param {Object} [options] The mixin options
+ * @param {String} [options.fileProperty] Name of the property holding file metadata. Default: `file`
+ * @param {String} [options.contentProperty] Name of the property holding file content. Default: `content`
+ */
+function DocumentsMixin(Model, options) {
+  const properties = _.get(Model.definition, 'properties', {});
+  if (!_.some(properties, prop => _.get(prop, 'sharepoint.file') === true)) {
+    Model.defineProperty(_.get(options, 'fileProperty', 'file'), {type: Object, sharepoint: {file: true}});
+  }
+  if (!_.some(properties, prop => _.get(prop, 'sharepoint.content') === true)) {
+    Model.defineProperty(_.get(options, 'contentProperty', 'content'), {type: 'any', sharepoint: {content: true}});
+  }
+
+  /**
+   * Downloads the file of the model instance
+   * @param {*} id The instance id
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<Readable>} Stream of the file content
+   */
+  Model.downloadFile = function(id, options, cb) {
+    return invokeConnector(Model, 'downloadFile', [id], options, cb);
+  };
+
+  /**
+   * Replaces the content of the file of the model instance
+   * @param {*} id The instance id
+   * @param {Buffer|String|Readable} content The new file content
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<{name: String, url: String, size: Number, version: String}>} Metadata of the replaced file
+   */
+  Model.replaceFile = function(id, content, options, cb) {
+    return invokeConnector(Model, 'replaceFile', [id, content], options, cb);
+  };
+}
+
+module.exports = DocumentsMixin;
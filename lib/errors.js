@@ -0,0 +1,117 @@
+'use strict';
+const _ = require('lodash');
+
+/**
+ * Creates an error with HTTP status code and error code understood by LoopBack REST layer
+ * @param {String} message Error message
+ * @param {Number} statusCode HTTP status code
+ * @param {String} code Error code
+ * @returns {Error}
+ */
+function createError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Translates an error returned by SharePoint REST API into LoopBack error.
+ * The resulting error contains `statusCode`, `code` and the original SharePoint message.
+ * Errors which already contain `statusCode` are returned as is.
+ * @param {Error} err Error thrown by SharePoint client
+ * @returns {Error}
+ */
+function toLoopBackError(err) {
+  if (!err || err.statusCode) {
+    return err;
+  }
+  const spError = parseSharePointError(err);
+  const status = err.status;
+  let result;
+  switch (status) {
+    case 400:
+      result = /column|field|property/i.test(spError.message) ?
+        createError(spError.message, 400, 'INVALID_FIELD') :
+        createError(spError.message, 400, 'BAD_REQUEST');
+      break;
+    case 401:
+      result = createError(spError.message, 401, 'AUTHENTICATION_FAILED');
+      break;
+    case 403:
+      result = createError(spError.message, 403, 'ACCESS_DENIED');
+      break;
+    case 404:
+      result = createError(spError.message, 404, 'NOT_FOUND');
+      break;
+    case 409:
+    case 412:
+      // SharePoint reports ETag mismatch with 412 Precondition Failed
+      result = createError(spError.message, 409, 'CONCURRENCY_CONFLICT');
+      break;
+    case 429:
+    case 503:
+      result = createError(spError.message, status, 'THROTTLED');
+      break;
+    default:
+      result = createError(spError.message, status || 500, status ? 'SHAREPOINT_ERROR' : (err.code || 'SHAREPOINT_ERROR'));
+  }
+  result.spErrorCode = spError.code;
+  result.cause = err;
+  return result;
+}
+
+/**
+ * Creates the error of the request SharePoint rejected when it was sent on behalf of the caller with the access token:
+ * 401 `INVALID_TOKEN` when the token is not accepted and 403 `ACCESS_DENIED` when the caller lacks the permission.
+ * The error is marked as `delegated`, so that it can be told from the errors of the service identity.
+ * @param {Number} status HTTP status of SharePoint response
+ * @param {String} body Body of SharePoint response
+ * @returns {Error}
+ */
+function createAccessTokenError(status, body) {
+  const spError = parseResponseBody(body);
+  const reason = spError.message || `[${status}]`;
+  const result = status === 401 ?
+    createError(`SharePoint rejected the access token of the caller: ${reason}`, 401, 'INVALID_TOKEN') :
+    createError(`The caller has no permission for this SharePoint operation: ${reason}`, 403, 'ACCESS_DENIED');
+  result.spErrorCode = spError.code;
+  result.delegated = true;
+  return result;
+}
+
+/*
+* Extracts SharePoint error code and message from the error thrown by SharePoint client.
+* Such errors contain response body after '::>' separator, e.g.
+* 'Error making HttpClient request in queryable [404] Not Found ::> {"error":{"code":"...","message":{"value":"..."}}}'
+*/
+function parseSharePointError(err) {
+  const message = String(_.get(err, 'message', err));
+  const separatorIndex = message.indexOf('::>');
+  if (separatorIndex < 0) {
+    return {message};
+  }
+  const spError = parseResponseBody(message.substring(separatorIndex + 3).trim());
+  return spError.message ? spError : {message};
+}
+
+/*
+* Extracts error code and message from the body of SharePoint error response
+*/
+function parseResponseBody(body) {
+  try {
+    const json = JSON.parse(body);
+    const error = json.error || json['odata.error'];
+    return {
+      code: _.get(error, 'code'),
+      // requests with invalid access tokens are rejected with OAuth error description
+      message: _.get(error, 'message.value') || _.get(error, 'message') || json.error_description || body
+    };
+  } catch (e) {
+    return {message: body};
+  }
+}
+
+exports.createError = createError;
+exports.createAccessTokenError = createAccessTokenError;
+exports.toLoopBackError = toLoopBackError;
@@ -0,0 +1,29 @@
+'use strict';
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+
+/**
+ * Calls the connector method of SharePoint data source the model is attached to.
+ * The model name is passed as the first argument and the options object as the one before the callback.
+ * @param {Function} Model The model class
+ * @param {String} method The connector method name
+ * @param {Array} args Arguments passed after the model name
+ * @param {Object|Function} [options] The options object or the callback function
+ * @param {Function} [cb] The callback function
+ * @returns {Promise} The result of the method when the callback is not specified
+ */
+function invokeConnector(Model, method, args, options, cb) {
+  if (_.isFunction(options)) {
+    cb = options;
+    options = {};
+  }
+  const connector = _.get(Model.getDataSource(), 'connector');
+  return Bluebird.try(() => {
+    if (!connector || !_.isFunction(connector[method])) {
+      throw new Error(`${Model.modelName} is not attached to SharePoint data source.`);
+    }
+    return Bluebird.fromCallback(callback => connector[method](Model.modelName, ...args, options || {}, callback));
+  }).asCallback(cb);
+}
+
+exports.invokeConnector = invokeConnector;
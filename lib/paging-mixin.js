@@ -0,0 +1,26 @@
+'use strict';
+const {invokeConnector} = require('./mixin-utils');
+
+/**
+ * Mixin adding the method finding a model attached to SharePoint data source page by page with a cursor.
+ * The method accepts an optional callback and returns a promise when it is not specified.
+ *
+ * Register it with `dataSource.modelBuilder.mixins.define('SharePointPaging', PagingMixin)` and enable it
+ * by `mixins: {SharePointPaging: true}` model setting, or apply it to the model directly: `PagingMixin(Model)`.
+ *
+ * @param {Function} Model The model class
+ */
+function PagingMixin(Model) {
+  /**
+   * Finds a page of the model instances matching the filter
+   * @param {Object} [filter] The filter object with `where`, `order`, `limit` and `cursor` returned for the previous page
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<{items: Object[], cursor: String}>} The cursor is null when there are no more instances
+   */
+  Model.findPage = function(filter, options, cb) {
+    return invokeConnector(Model, 'findPage', [filter || {}], options, cb);
+  };
+}
+
+module.exports = PagingMixin;
@@ -0,0 +1,107 @@
+'use strict';
+const debug = require('debug')('loopback:connector:sharepoint');
+const Bluebird = require('bluebird');
+const _ = require('lodash');
+const {createError} = require('./errors');
+
+const DEFAULT_RETRY_SETTINGS = {
+  maxRetries: 5,
+  initialDelay: 500,
+  maxDelay: 30000
+};
+
+// SharePoint returns these statuses when it throttles requests. Such requests are not processed, so they can be retried.
+const RETRY_STATUSES = [429, 503];
+// Network errors raised before the request reaches SharePoint. Requests failed with them can be retried.
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'];
+// Network errors raised after the request might have been processed. Only GET requests are retried when they occur.
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE'];
+
+/**
+ * Fetch client retrying throttled (429/503) SharePoint requests and requests failed with transient network errors.
+ * The delay before the next attempt is taken from `Retry-After` header if SharePoint sends it,
+ * otherwise it grows exponentially with random jitter.
+ * Batch requests are retried as a whole only when SharePoint has not processed them.
+ */
+class RetryFetchClient {
+  /**
+   * @param client Fetch client sending the requests, e.g. NodeFetchClient from pnp-auth
+   * @param {Object} [settings] Retry settings
+   * @param {Number} [settings.maxRetries] Maximum number of retries. Default: 5
+   * @param {Number} [settings.initialDelay] Delay before the first retry in milliseconds. Default: 500
+   * @param {Number} [settings.maxDelay] Maximum delay between retries in milliseconds. Default: 30000
+   */
+  constructor(client, settings) {
+    this.client = client;
+    this.settings = _.defaults({}, settings, DEFAULT_RETRY_SETTINGS);
+  }
+
+  fetch(url, options) {
+    return this._fetchWithRetry(url, options, 0);
+  }
+
+  _fetchWithRetry(url, options, attempt) {
+    return Bluebird.resolve(this.client.fetch(url, options))
+      .then(response => {
+        if (!_.includes(RETRY_STATUSES, response.status)) {
+          return response;
+        }
+        const reason = `[${response.status}] ${response.statusText}`;
+        if (attempt >= this.settings.maxRetries) {
+          throw createError(`SharePoint request was throttled and the retry limit (${this.settings.maxRetries}) ` +
+            `was exceeded. Response status: ${reason}`, response.status, 'THROTTLED');
+        }
+        const delay = this.getRetryDelay(attempt, response.headers.get('Retry-After'));
+        return this._retry(url, options, attempt, delay, reason);
+      }, err => {
+        if (!this.isRetryableError(err, options) || attempt >= this.settings.maxRetries) {
+          throw err;
+        }
+        return this._retry(url, options, attempt, this.getRetryDelay(attempt), err.code);
+      });
+  }
+
+  _retry(url, options, attempt, delay, reason) {
+    debug('Retrying %s %s in %dms (retry %d of %d): %s', _.get(options, 'method', 'GET'), url, delay,
+      attempt + 1, this.settings.maxRetries, reason);
+    return Bluebird.delay(delay)
+      .then(() => this._fetchWithRetry(url, options, attempt + 1));
+  }
+
+  /**
+   * Gets the delay before the next attempt in milliseconds
+   * @param {Number} attempt Number of the retries made so far
+   * @param {String} [retryAfter] Value of `Retry-After` response header: number of seconds or HTTP date
+   * @returns {Number}
+   */
+  getRetryDelay(attempt, retryAfter) {
+    let delay;
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      delay = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    }
+    if (!(delay >= 0)) {
+      // exponential backoff with jitter: random delay between the half and the full exponential delay
+      const exponentialDelay = this.settings.initialDelay * Math.pow(2, attempt);
+      delay = exponentialDelay / 2 + Math.random() * exponentialDelay / 2;
+    }
+    return Math.round(Math.min(delay, this.settings.maxDelay));
+  }
+
+  /**
+   * Checks whether the request failed with the network error can be retried
+   * @param {Error} err Network error
+   * @param {Object} options Request options
+   * @returns {boolean}
+   */
+  isRetryableError(err, options) {
+    const code = _.get(err, 'code');
+    if (_.includes(CONNECT_ERROR_CODES, code)) {
+      return true;
+    }
+    const method = _.toUpper(_.get(options, 'method', 'GET'));
+    return method === 'GET' && _.includes(TRANSIENT_ERROR_CODES, code);
+  }
+}
+
+exports.RetryFetchClient = RetryFetchClient;
@@ -0,0 +1,27 @@
+'use strict';
+const {invokeConnector} = require('./mixin-utils');
+
+/**
+ * Mixin adding the method searching a model attached to SharePoint data source with SharePoint search.
+ * The method accepts an optional callback and returns a promise when it is not specified.
+ *
+ * Register it with `dataSource.modelBuilder.mixins.define('SharePointSearch', SearchMixin)` and enable it
+ * by `mixins: {SharePointSearch: true}` model setting, or apply it to the model directly: `SearchMixin(Model)`.
+ *
+ * @param {Function} Model The model class
+ */
+function SearchMixin(Model) {
+  /**
+   * Searches the model instances by KQL query and filter
+   * @param {String} [query] The KQL query
+   * @param {Object} [filter] The filter object with `where`, `fields`, `order`, `limit`, `skip` and `refiners`
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<{items: Object[], total: Number, refiners: Object}>}
+   */
+  Model.search = function(query, filter, options, cb) {
+    return invokeConnector(Model, 'search', [query, filter], options, cb);
+  };
+}
+
+module.exports = SearchMixin;
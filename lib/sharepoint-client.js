@@ -0,0 +1,301 @@
+'use strict';
+/* global Headers */
+const {default: NodeFetchClient} = require('pnp-auth');
+const {default: nodeFetch} = require('node-fetch');
+const {sp, SPBatch, extractWebUrl, toAbsoluteUrl} = require('@pnp/sp');
+const {RuntimeConfig, FetchClient, combine, isUrlAbsolute, getGUID, mergeHeaders} = require('@pnp/common');
+const {ODataDefaultParser} = require('@pnp/odata');
+const Bluebird = require('bluebird');
+const _ = require('lodash');
+const {RetryFetchClient} = require('./retry-fetch-client');
+const {createAccessTokenError} = require('./errors');
+
+// Names of the fetch options holding the client which sends the request and the access token provider of the caller
+const CLIENT_OPTION = 'sharePointClient';
+const TOKEN_OPTION = 'sharePointToken';
+// @pnp/sp requests the digest itself unless the request already has one. The placeholder is replaced
+// by the digest SharePointClient obtains with its own credentials.
+const DIGEST_HEADER = 'X-RequestDigest';
+const DIGEST_PLACEHOLDER = 'SharePointClient';
+// Digests are renewed a minute before they expire
+const DIGEST_EXPIRATION_MARGIN = 60000;
+
+// fetch client factory configured in @pnp/sp before requests were routed to SharePoint clients
+let fallbackClientFactory = null;
+
+/*!
+ * @pnp/sp creates its fetch clients by the factory from the global configuration. The factory is replaced once
+ * with the one returning the client which passes each request to the SharePoint client it was configured with.
+ * Requests of the objects created outside of SharePointClient are sent by the original factory's client.
+ * @pnp/sp 1.x offers no other way: `sp.configure()` passes on only the fetch options, and both the queryables
+ * and SPBatch create their HTTP clients by the global factory. Isolated runtimes came only with @pnp/sp 2.
+ */
+const routingClient = {
+  fetch(url, options) {
+    const client = _.get(options, CLIENT_OPTION);
+    return client ? client.fetch(url, options) : fallbackClientFactory().fetch(url, options);
+  }
+};
+
+function routeRequests() {
+  if (fallbackClientFactory) {
+    return;
+  }
+  const spConfig = RuntimeConfig.get('sp');
+  fallbackClientFactory = _.get(spConfig, 'fetchClientFactory') || (() => new FetchClient());
+  sp.setup({sp: _.assign({}, spConfig, {fetchClientFactory: () => routingClient})});
+}
+
+/**
+ * Client of a SharePoint site with its own credentials. It provides the objects of @pnp/sp API bound to the site
+ * (or its subsites), so that any number of clients can talk to the same or different sites at the same time.
+ * The requests are authenticated by pnp-auth, throttled requests are retried and the request digests
+ * are obtained with the client credentials and cached per client.
+ * Requests of the objects created with an access token provider are sent on behalf of the token owner instead.
+ */
+class SharePointClient {
+  /**
+   * @param {Object} settings The data source settings
+   * @param {String} settings.siteUrl Absolute URL of the site
+   * @param {Object|String} settings.authConfig Credentials for node-sp-auth or path to node-sp-auth-config file
+   * @param {Object} [settings.retry] Retry settings, see RetryFetchClient
+   */
+  constructor(settings) {
+    this.siteUrl = settings.siteUrl;
+    this.client = new RetryFetchClient(new NodeFetchClient(settings.authConfig, settings.siteUrl), settings.retry);
+    // requests with access tokens of the callers are sent without the credentials
+    this.tokenClient = new RetryFetchClient({fetch: nodeFetch}, settings.retry);
+    // {promise, expiration} objects of request digests by web URL
+    this.digests = {};
+    // @pnp/sp root objects by web URL
+    this.webs = {};
+    routeRequests();
+    this.sp = this.getSP();
+  }
+
+  /**
+   * Gets @pnp/sp root object sending requests to the web by this client
+   * @param {String} [webUrl] Absolute URL of the web or its URL relative to the site. Default: the site
+   * @param {Function} [getToken] Function returning the access token (or its promise) the requests are sent with.
+   * The requests are sent with the client credentials if it is not specified or returns no token.
+   * @returns {SPRest}
+   */
+  getSP(webUrl, getToken) {
+    const url = this.getWebUrl(webUrl);
+    const options = {[CLIENT_OPTION]: this, headers: {[DIGEST_HEADER]: DIGEST_PLACEHOLDER}};
+    if (getToken) {
+      return sp.configure(_.assign(options, {[TOKEN_OPTION]: getToken}), url);
+    }
+    if (!this.webs[url]) {
+      this.webs[url] = sp.configure(options, url);
+    }
+    return this.webs[url];
+  }
+
+  /**
+   * Gets absolute URL of the web
+   * @param {String} [webUrl] Absolute URL of the web or its URL relative to the site. Default: the site
+   * @returns {String}
+   */
+  getWebUrl(webUrl) {
+    if (!webUrl) {
+      return this.siteUrl;
+    }
+    return isUrlAbsolute(webUrl) ? _.trimEnd(webUrl, '/') : combine(this.siteUrl, webUrl);
+  }
+
+  /**
+   * Creates a batch sent to the web by this client
+   * @param {Web} web The web returned by `getSP(webUrl).web`
+   * @param {Function} [getToken] Function returning the access token the batch is sent with, see `getSP()`
+   * @returns {SharePointBatch}
+   */
+  createBatch(web, getToken) {
+    return new SharePointBatch(web.parentUrl, this, getToken);
+  }
+
+  /**
+   * Sends the request replacing the request digest by the one issued to this client.
+   * Only POST requests other than the digest request itself carry the digest.
+   * Requests with the access token of the caller are sent with `Authorization` header instead.
+   * @param {String} url The request URL
+   * @param {Object} options The fetch options
+   * @returns {Promise<Response>}
+   */
+  fetch(url, options) {
+    const getToken = _.get(options, TOKEN_OPTION);
+    const request = _.omit(options, [CLIENT_OPTION, TOKEN_OPTION]);
+    const headers = new Headers(request.headers);
+    headers.delete(DIGEST_HEADER);
+    request.headers = headers;
+    return Bluebird.resolve(getToken && getToken())
+      .then(token => {
+        if (token) {
+          headers.set('Authorization', `Bearer ${token}`);
+          return this.fetchWithToken(url, request);
+        }
+        if (_.toUpper(request.method || 'GET') === 'GET' || /\/_api\/contextinfo$/i.test(url)) {
+          return this.client.fetch(url, request);
+        }
+        return this.getDigest(extractWebUrl(url))
+          .then(digest => {
+            headers.set(DIGEST_HEADER, digest);
+            return this.client.fetch(url, request);
+          });
+      });
+  }
+
+  /**
+   * Sends the request with the access token of the caller. SharePoint does not require request digests
+   * from such requests. The requests it rejects because of the token or the permissions of the caller
+   * fail with the errors explaining that (see `createAccessTokenError`).
+   * @param {String} url The request URL
+   * @param {Object} request The fetch options containing `Authorization` header
+   * @returns {Promise<Response>}
+   */
+  fetchWithToken(url, request) {
+    return Bluebird.resolve(this.tokenClient.fetch(url, request))
+      .then(response => {
+        if (response.status !== 401 && response.status !== 403) {
+          return response;
+        }
+        return response.text()
+          .then(body => {
+            throw createAccessTokenError(response.status, body);
+          });
+      });
+  }
+
+  /**
+   * Gets the request digest of the web. The digest is requested once and cached until it expires.
+   * @param {String} webUrl Absolute URL of the web
+   * @returns {Promise<String>}
+   */
+  getDigest(webUrl) {
+    const cached = this.digests[webUrl];
+    if (cached && !(cached.expiration <= Date.now())) {
+      return cached.promise;
+    }
+    const digest = {};
+    digest.promise = Bluebird.resolve(this.client.fetch(combine(webUrl, '_api/contextinfo'), {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json;odata=verbose',
+        'Content-Type': 'application/json;odata=verbose;charset=utf-8'
+      }
+    }))
+      .then(response => new ODataDefaultParser().parse(response))
+      .then(({GetContextWebInformation: info}) => {
+        digest.expiration = Date.now() + info.FormDigestTimeoutSeconds * 1000 - DIGEST_EXPIRATION_MARGIN;
+        return info.FormDigestValue;
+      })
+      .catch(err => {
+        if (this.digests[webUrl] === digest) {
+          delete this.digests[webUrl];
+        }
+        throw err;
+      });
+    this.digests[webUrl] = digest;
+    return digest.promise;
+  }
+}
+
+/**
+ * Batch sending its request by the SharePoint client which created it (on behalf of the caller if it has the token).
+ * SPBatch sends the request by the fetch client from the global @pnp/sp configuration, so the request is built
+ * the same way here and passed to the SharePoint client of the batch instead.
+ */
+class SharePointBatch extends SPBatch {
+  constructor(baseUrl, client, getToken) {
+    super(baseUrl);
+    this.client = client;
+    this.getToken = getToken;
+  }
+
+  executeImpl() {
+    if (this.requests.length < 1) {
+      return Promise.resolve();
+    }
+    return toAbsoluteUrl(this.baseUrl)
+      .then(absoluteUrl => this.client.fetch(combine(absoluteUrl, '/_api/$batch'), {
+        method: 'POST',
+        body: buildBatchBody(this.batchId, this.requests, absoluteUrl),
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': `multipart/mixed; boundary=batch_${this.batchId}`
+        },
+        [TOKEN_OPTION]: this.getToken
+      }))
+      .then(response => response.text())
+      .then(SPBatch.ParseResponse)
+      .then(responses => {
+        if (responses.length !== this.requests.length) {
+          throw new Error('Could not properly parse responses to match requests in batch.');
+        }
+        return responses.reduce((chain, response, index) => {
+          const request = this.requests[index];
+          return chain.then(() => request.parser.parse(response).then(request.resolve).catch(request.reject));
+        }, Promise.resolve());
+      });
+  }
+}
+
+/*!
+ * Builds multipart body of the batch request as @pnp/sp does. Requests other than GET are sent in change sets.
+ * The digest belongs to the batch request, so it is left out of the requests in its body.
+ */
+function buildBatchBody(batchId, requests, absoluteUrl) {
+  const body = [];
+  let changeSetId = '';
+  for (const request of requests) {
+    if (request.method === 'GET') {
+      if (changeSetId) {
+        body.push(`--changeset_${changeSetId}--\n\n`);
+        changeSetId = '';
+      }
+      body.push(`--batch_${batchId}\n`);
+    } else {
+      if (!changeSetId) {
+        changeSetId = getGUID();
+        body.push(`--batch_${batchId}\n`);
+        body.push(`Content-Type: multipart/mixed; boundary="changeset_${changeSetId}"\n\n`);
+      }
+      body.push(`--changeset_${changeSetId}\n`);
+    }
+    body.push('Content-Type: application/http\n');
+    body.push('Content-Transfer-Encoding: binary\n\n');
+    const url = isUrlAbsolute(request.url) ? request.url : combine(absoluteUrl, request.url);
+    const requestHeaders = _.get(request, 'options.headers') || {};
+    const headers = new Headers();
+    if (request.method === 'GET') {
+      body.push(`GET ${url} HTTP/1.1\n`);
+    } else {
+      // MERGE and DELETE are sent as POST with X-HTTP-Method header, within the batch they are sent as they are
+      body.push(`${requestHeaders['X-HTTP-Method'] || request.method} ${url} HTTP/1.1\n`);
+      headers.set('Content-Type', 'application/json;odata=verbose;charset=utf-8');
+    }
+    mergeHeaders(headers, _.get(RuntimeConfig.get('sp'), 'headers'));
+    mergeHeaders(headers, _.omit(requestHeaders, ['X-HTTP-Method', DIGEST_HEADER]));
+    if (!headers.has('Accept')) {
+      headers.append('Accept', 'application/json');
+    }
+    if (!headers.has('Content-Type')) {
+      headers.append('Content-Type', 'application/json;odata=verbose;charset=utf-8');
+    }
+    headers.forEach((value, name) => {
+      body.push(`${name}: ${value}\n`);
+    });
+    body.push('\n');
+    if (_.get(request, 'options.body')) {
+      body.push(`${request.options.body}\n\n`);
+    }
+  }
+  if (changeSetId) {
+    body.push(`--changeset_${changeSetId}--\n\n`);
+  }
+  body.push(`--batch_${batchId}--\n`);
+  return body.join('');
+}
+
+exports.SharePointClient = SharePointClient;
+exports.SharePointBatch = SharePointBatch;
@@ -1,12 +1,49 @@
 'use strict';
 const {Connector} = require('loopback-connector');
 const debug = require('debug')('loopback:connector:sharepoint');
-const {bootstrap} = require('pnp-auth');
-const {sp, FieldTypes} = require('@pnp/sp');
+const {
+  FieldTypes, ChoiceFieldFormatType, DateTimeFieldFormatType, FieldUserSelectionMode, UrlFieldFormatType,
+  SharePointQueryable
+} = require('@pnp/sp');
 const util = require('util');
 const _ = require('lodash');
 const {SPLib} = require('./sp-lib');
+const {createError, toLoopBackError} = require('./errors');
+const {SharePointClient} = require('./sharepoint-client');
+const {UnitOfWork} = require('./unit-of-work');
+const {isDiscoverableList, isDiscoverableField, getLoopBackName, toPropertyDefinition} = require('./discovery');
+const {LambdaParser} = require('@pnp/odata');
 const Bluebird = require('bluebird');
+const {Readable} = require('stream');
+
+// Maximum number of items SharePoint returns in a single page (list view threshold)
+const MAX_PAGE_SIZE = 5000;
+// Maximum number of operations SharePoint accepts in a single batch request
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_BATCH_CONCURRENCY = 2;
+// Groups of field types which can be converted to each other by autoupdate
+const COMPATIBLE_FIELD_TYPES = [['Text', 'Note', 'Choice', 'MultiChoice'], ['Number', 'Currency']];
+// Boolean field settings which autoupdate brings in line with the model
+const UPDATABLE_FIELD_PROPERTIES = ['Required', 'Indexed', 'EnforceUniqueValues'];
+// Number of users fetched by a single request when filling User properties
+const USERS_PAGE_SIZE = 50;
+// BaseTemplate of the lists created for models
+const GENERIC_LIST_TEMPLATE = 100;
+const DOCUMENT_LIBRARY_TEMPLATE = 101;
+// Values of CAML View Scope attribute: items of the folder (Default), items of the folder and its subfolders (Recursive),
+// items and subfolders of the folder and its subfolders (RecursiveAll) and files of the folder (FilesOnly)
+const QUERY_SCOPES = ['Default', 'Recursive', 'RecursiveAll', 'FilesOnly'];
+// Number of changes requested from the change log at a time
+const CHANGES_PAGE_SIZE = 1000;
+// Maximum number of values in CAML In condition
+const MAX_IN_VALUES = 500;
+// Maximum number of rows returned by SharePoint search query
+const MAX_SEARCH_ROWS = 500;
+// SharePoint change types (SP.ChangeType) of list item changes
+const CHANGE_TYPES = {1: 'add', 2: 'update', 3: 'delete', 4: 'update', 7: 'restore'};
+// Lifetime of webhook subscriptions when no expiration is specified, SharePoint accepts up to 180 days
+const DEFAULT_SUBSCRIPTION_DAYS = 179;
+const GUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 function SharePointConnector(settings, dataSource) {
   Connector.call(this, 'sharepoint', settings);
@@ -16,6 +53,8 @@ function SharePointConnector(settings, dataSource) {
   }
   this.dataSource = dataSource;
   this._models = this._models || this.dataSource.modelBuilder.definitions;
+  // promises of server relative URLs of the list root folders by list key (see getListKey)
+  this.rootFolderUrls = {};
 }
 
 util.inherits(SharePointConnector, Connector);
@@ -35,8 +74,9 @@ SharePointConnector.prototype.connect = function(callback) {
       if (callback) callback(null, self.sp);
     });
   } else {
-    bootstrap(sp, self.settings.authConfig, self.settings.siteUrl);
-    self.sp = sp;
+    // each data source has its own client, so data sources with different sites or credentials do not interfere
+    self.spClient = new SharePointClient(self.settings);
+    self.sp = self.spClient.sp;
     callback(null, self.sp);
   }
 };
@@ -49,6 +89,24 @@ exports.initialize = function initializeDataSource(dataSource, callback) {
   }
 };
 
+/*!
+ * Defines the model. juggler passes only the changed properties to `updateAttributes`, so the ETag of the instance
+ * being updated is added to the persisted data of the models with ETag property (unless the data has its own).
+ *
+ * @param {Object} modelDefinition The model definition containing `model`, `properties` and `settings`
+ */
+SharePointConnector.prototype.define = function(modelDefinition) {
+  Connector.prototype.define.call(this, modelDefinition);
+  modelDefinition.model.observe('persist', (ctx, next) => {
+    const eTagProp = this.getETagPropertyName(ctx.Model.modelName);
+    const eTag = eTagProp && _.get(ctx.currentInstance, eTagProp);
+    if (eTag && _.isNil(ctx.data[eTagProp])) {
+      ctx.data[eTagProp] = eTag;
+    }
+    next();
+  });
+};
+
 /**
  * Create a new model instance for the given data
  * @param {String} modelName The model name
@@ -60,12 +118,25 @@ SharePointConnector.prototype.create = function(modelName, data, options, callba
   if (self.debug) {
     debug('create', modelName, data);
   }
-  const spItem = this.toSPItem(modelName, data);
   const idProp = this.getIdPropertyName(modelName);
-  sp.web.lists.getByTitle(this.getSPListTitle(modelName)).items.add(spItem)
-    .then((result) => {
-      const lbEntity = this.fromSPItem(modelName, result.data);
+  const unitOfWork = this.getUnitOfWork(options);
+  if (unitOfWork) {
+    return this.ensureUsers(modelName, data, options)
+      .then(data => {
+        callback(null, unitOfWork.create(modelName, data, options));
+      })
+      .catch(err => {
+        callback(toLoopBackError(err));
+      });
+  }
+  this.ensureUsers(modelName, data, options)
+    .then(data => this.addItem(modelName, data, options))
+    .then((spItem) => {
+      const lbEntity = this.fromSPItem(modelName, spItem);
       callback(null, lbEntity[idProp]);
+    })
+    .catch(err => {
+      callback(toLoopBackError(err));
     });
 };
 
@@ -79,27 +150,41 @@ SharePointConnector.prototype.create = function(modelName, data, options, callba
 SharePointConnector.prototype.update =
   SharePointConnector.prototype.updateAll = function updateAll(modelName, where, data, options, callback) {
     const self = this;
-    const listTitle = self.getSPListTitle(modelName);
     if (self.debug) {
       debug('updateAll', modelName, where, data);
     }
-    const spData = self.toSPProperties(modelName, data);
-    let affectedRows = 0;
-    self.getItemsFiltered(modelName, {where, fields: ['ID']})
-      .then(items => {
-        const batch = sp.createBatch();
-        for (const item of items) {
-          sp.web.lists.getByTitle(listTitle).items.getById(item.ID).inBatch(batch).update(spData).then(() => {
-            affectedRows++;
+    let spData;
+    Bluebird.try(() => {
+      if (self.settings.requireETag) {
+        // the matching items are updated without being read, so there is no ETag to check them with
+        const message = `${modelName} instances cannot be updated by updateAll when ETag is required. ` +
+          'Update the instances one by one with their ETags instead.';
+        throw createError(message, 428, 'ETAG_REQUIRED');
+      }
+      return self.ensureUsers(modelName, data, options);
+    })
+      .then(data => {
+        spData = self.toSPProperties(modelName, data);
+        const filter = {where, fields: self.getItemKeyProperties(modelName)};
+        return self.queryItems(modelName, _.assign(filter, self.getFolderScope(modelName, null, options)), null, null,
+          options);
+      })
+      .then(({items}) => {
+        const unitOfWork = self.getUnitOfWork(options);
+        if (unitOfWork) {
+          const idSPPropName = self.getSPItemPropertyName(modelName, self.getIdPropertyName(modelName));
+          items.forEach(item => {
+            unitOfWork.update(modelName, _.get(item, idSPPropName, item.ID), item.ID, spData, null, options);
           });
+          return {count: items.length};
         }
-        return batch.execute();
+        return self.executeInBatches(modelName, items, item => item.update(spData), options);
       })
-      .then((res) => {
-        callback(null, {count: affectedRows});
+      .then((result) => {
+        callback(null, result);
       })
       .catch(err => {
-        callback(err);
+        callback(toLoopBackError(err));
       });
   };
 
@@ -112,266 +197,3012 @@ SharePointConnector.prototype.update =
  * @param {Function} [cb] The callback function
  */
 SharePointConnector.prototype.replaceById = function replace(modelName, id, data, options, cb) {
-  if (this.debug) debug('replace', modelName, id, data);
-  this.update(modelName, {id}, data, options, cb);
+  const self = this;
+  if (self.debug) debug('replace', modelName, id, data);
+  self.ensureUsers(modelName, data, options)
+    .then(data => self.updateItemById(modelName, id, self.toSPItem(modelName, data), self.getETag(modelName, data), null,
+      options))
+    .then(result => {
+      cb(null, {count: 1, etag: result.etag});
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
 };
 
 /**
- * Count the number of instances for the given model
- *
+ * Update properties of the model instance by id
  * @param {String} modelName The model name
- * @param {Function} [callback] The callback function
- * @param {Object} filter The filter for where
- *
+ * @param {*} id The instance id
+ * @param {Object} data The property/value pairs to be updated
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
  */
-SharePointConnector.prototype.count = function count(modelName, where, options, callback) {
+SharePointConnector.prototype.updateAttributes = function(modelName, id, data, options, cb) {
   const self = this;
   if (self.debug) {
-    debug('count', modelName, where);
+    debug('updateAttributes', modelName, id, data);
   }
-  self.getItemsFiltered(modelName, {where, fields: ['ID']})
-    .then(items => {
-      callback(null, items.length);
+  self.ensureUsers(modelName, data, options)
+    .then(data => self.updateItemById(modelName, id, self.toSPProperties(modelName, data), self.getETag(modelName, data),
+      null, options))
+    .then(result => {
+      cb(null, {count: 1, etag: result.etag});
     })
     .catch(err => {
-      callback(err, count);
+      cb(toLoopBackError(err));
     });
 };
 
 /**
- * Delete all instances for the given model
+ * Update the model instance if it exists, otherwise create a new one
  * @param {String} modelName The model name
- * @param {Object} [where] The filter for where
- * @param {Function} [callback] The callback function
+ * @param {Object} data The model data
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
  */
-SharePointConnector.prototype.destroyAll = function(modelName, where, options, callback) {
-  const self = this;
-  const listTitle = self.getSPListTitle(modelName);
-  if (self.debug) {
-    debug('destroyAll', modelName, where);
+SharePointConnector.prototype.updateOrCreate = function(modelName, data, options, cb) {
+  if (this.debug) {
+    debug('updateOrCreate', modelName, data);
   }
-  let affectedRows = 0;
-  self.getItemsFiltered(modelName, {where, fields: ['ID']})
-    .then(items => {
-      const batch = sp.createBatch();
-      for (const item of items) {
-        sp.web.lists.getByTitle(listTitle).items.getById(item.ID).inBatch(batch).delete().then(() => {
-          affectedRows++;
+  this.saveOrCreate(modelName, data, options, data => this.toSPProperties(modelName, data), cb);
+};
+
+/**
+ * Replace the model instance if it exists, otherwise create a new one
+ * @param {String} modelName The model name
+ * @param {Object} data The model data
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ */
+SharePointConnector.prototype.replaceOrCreate = function(modelName, data, options, cb) {
+  if (this.debug) {
+    debug('replaceOrCreate', modelName, data);
+  }
+  this.saveOrCreate(modelName, data, options, data => this.toSPItem(modelName, data), cb);
+};
+
+/*!
+ * Updates SharePoint item of the model instance with the specified data if the item exists, otherwise creates a new one.
+ * Calls back with the saved entity and `{isNewInstance}` info.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} data The model data
+ * @param {Object} options The options object
+ * @param {Function} toSPData Function converting the model data into SharePoint item properties to update
+ * @param {Function} cb The callback function
+ */
+SharePointConnector.prototype.saveOrCreate = function(modelName, data, options, toSPData, cb) {
+  const self = this;
+  const list = self.getList(modelName, options);
+  const id = _.get(data, self.getIdPropertyName(modelName));
+  self.checkNoTransaction(modelName, options)
+    .then(() => {
+      const findItem = _.isNil(id) ? null : self.getSPItemId(modelName, id, options);
+      return Bluebird.join(self.ensureUsers(modelName, data, options), findItem, (resolvedData, spId) => {
+        data = resolvedData;
+        return spId;
+      });
+    })
+    .then(spId => {
+      if (!spId) {
+        return null;
+      }
+      return self.updateItemById(modelName, id, toSPData(data), self.getETag(modelName, data), spId, options)
+        .catch(err => {
+          // items mapped by ID are not looked up before the update, so the update tells whether they exist
+          if (toLoopBackError(err).code === 'NOT_FOUND') {
+            return null;
+          }
+          throw err;
         });
+    })
+    .then(updated => {
+      if (updated) {
+        return list.items.getById(updated.ID).get()
+          .then(spItem => ({spItem, isNewInstance: false}));
       }
-      return batch.execute();
+      return self.addItem(modelName, data, options)
+        .then(spItem => ({spItem, isNewInstance: true}));
     })
-    .then((res) => {
-      callback(null, {count: affectedRows});
+    .then(({spItem, isNewInstance}) => {
+      return self.toEntities(modelName, [spItem], options)
+        .then(entities => {
+          cb(null, entities[0], {isNewInstance});
+        });
     })
     .catch(err => {
-      callback(err);
+      cb(toLoopBackError(err));
     });
 };
 
 /**
- * Find matching model instances by the filter
- *
+ * Find the first model instance matching the filter, create a new one if none is found
  * @param {String} modelName The model name
  * @param {Object} filter The filter object
- * @param {Function} [callback] The call back function
+ * @param {Object} data The model data to create
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
  */
-SharePointConnector.prototype.all = function(modelName, filter, options, callback) {
+SharePointConnector.prototype.findOrCreate = function(modelName, filter, data, options, cb) {
   const self = this;
   if (self.debug) {
-    debug('all', modelName);
+    debug('findOrCreate', modelName, filter, data);
   }
-  if (filter.skip) {
-    /*
-    Due to SharePoint lack of support for paging by skip/limit filters the following approach is used:
-       1. Get only ID's of ALL the items matching specified criteria
-       2. Take subset of the IDs by applying 'skip' and 'limit' filters to them
-       3. Then get entire items for the subset of IDs
-    */
-    const originalFields = _.clone(filter.fields);
-    const originalLimit = filter.limit;
-    filter.fields = ['ID'];
-    filter.limit = null;
-    this.getItemsFiltered(modelName, filter)
-      .then(items => {
-        if (_.isEmpty(items)) {
-          callback(null, []);
-        }
-        const end = originalLimit ? filter.skip + originalLimit : items.length;
-        const ids = _.slice(_.map(items, 'ID'), filter.skip, end);
-        filter.where = {ID: {inq: ids}};
-        filter.fields = originalFields;
-        return filter;
-      })
-      .then(filter => {
-        return this.getItemsFiltered(modelName, filter);
-      })
-      .then(items => {
-        const entities = _.map(items, (item) => this.fromSPItem(modelName, item));
-        callback(null, entities);
-      });
-  } else {
-    this.getItemsFiltered(modelName, filter, true)
-      .then(items => {
-        const entities = _.map(items, (item) => this.fromSPItem(modelName, item));
-        callback(null, entities);
+  const queryFilter = _.assign({}, filter, {limit: 1}, self.getFolderScope(modelName, filter, options));
+  self.checkNoTransaction(modelName, options)
+    .then(() => self.queryItems(modelName, queryFilter, self.getItemExpands(modelName, options), null, options))
+    .then(({items}) => {
+      if (!_.isEmpty(items)) {
+        return {spItem: items[0], created: false};
+      }
+      return self.ensureUsers(modelName, data, options)
+        .then(data => self.addItem(modelName, data, options))
+        .then(spItem => ({spItem, created: true}));
+    })
+    .then(({spItem, created}) => {
+      return self.toEntities(modelName, [spItem], options)
+        .then(entities => {
+          cb(null, entities[0], created);
+        });
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/*!
+ * Adds SharePoint item storing the model data. Users in the data must be already resolved to their IDs.
+ * Document library items are added by uploading the file from the content property, their metadata is set afterwards.
+ * The item is added to the folder held by the folder property, set by `folder` option or model setting
+ * (the folder is created if it does not exist), otherwise to the root folder of the list.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} data The model data
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object>} The added SharePoint item
+ */
+SharePointConnector.prototype.addItem = function(modelName, data, options) {
+  const list = this.getList(modelName, options);
+  const spItem = this.toSPItem(modelName, data, true);
+  const spLib = new SPLib(this._models[modelName]);
+  const props = Object.keys(this._models[modelName].properties);
+  const folder = _.get(data, _.find(props, prop => spLib.isFolderProperty(prop))) ||
+    this.getFolderScope(modelName, null, options).folder;
+  const ensureFolder = folder ? this.ensureFolder(modelName, folder, options) : Bluebird.resolve(null);
+  if (!this.isDocumentLibrary(modelName)) {
+    return ensureFolder
+      .then(folderUrl => {
+        return list.items.add(spItem)
+          .then(result => (folderUrl ? this.moveItemToFolder(modelName, result.data.ID, folderUrl, options) : result.data));
       });
   }
+  const name = _.get(data, [_.find(props, prop => spLib.isFileProperty(prop)), 'name']);
+  const content = _.get(data, _.find(props, prop => spLib.isContentProperty(prop)));
+  if (!name || _.isNil(content)) {
+    return Bluebird.reject(createError(`${modelName} cannot be created without file name and content.`, 400,
+      'FILE_REQUIRED'));
+  }
+  return Bluebird.join(ensureFolder, readContent(content))
+    .then(([folderUrl, body]) => {
+      const folder = folderUrl ? this.getWeb(modelName, options).getFolderByServerRelativeUrl(escapeODataPath(folderUrl)) :
+        list.rootFolder;
+      return folder.files.add(escapeODataString(name), body, false);
+    })
+    .then(result => result.file.listItemAllFields.select('ID').get())
+    .then(({ID}) => {
+      if (_.isEmpty(spItem)) {
+        return ID;
+      }
+      return list.items.getById(ID).update(spItem)
+        .then(() => ID, err => {
+          // the file is not kept without the metadata it was uploaded with
+          return Bluebird.resolve(list.items.getById(ID).delete())
+            .finally(() => {
+              throw err;
+            });
+        });
+    })
+    .then(ID => list.items.getById(ID).expand('File').get());
 };
 
-SharePointConnector.prototype.getItemsFiltered = function(modelName, filter, expandLookups) {
-  const self = this;
-  const spLib = new SPLib(self._models[modelName]);
-  const camlQuery = spLib.buildQuery(filter);
-  if (self.debug) {
-    debug(`CAML: ${JSON.stringify(camlQuery)}`);
+/*!
+ * Moves the list item to the folder. SharePoint adds list items only to the root folder,
+ * so the items created in folders are moved there afterwards. The item is deleted if it cannot be moved.
+ *
+ * @param {String} modelName The model name
+ * @param {Number} spId SharePoint ID of the item
+ * @param {String} folderUrl Server relative URL of the folder
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object>} The moved SharePoint item
+ */
+SharePointConnector.prototype.moveItemToFolder = function(modelName, spId, folderUrl, options) {
+  const list = this.getList(modelName, options);
+  // list items are stored as `<ID>_.000` files which can be moved like documents
+  return Bluebird.resolve(list.items.getById(spId).select('FileRef', 'FileLeafRef').get())
+    .then(({FileRef, FileLeafRef}) => {
+      return this.getWeb(modelName, options).getFileByServerRelativeUrl(escapeODataPath(FileRef))
+        .moveTo(escapeODataPath(`${folderUrl}/${FileLeafRef}`));
+    })
+    .catch(err => {
+      return Bluebird.resolve(list.items.getById(spId).delete())
+        .finally(() => {
+          throw err;
+        });
+    })
+    .then(() => list.items.getById(spId).get());
+};
+
+/*!
+ * Gets the folder and the scope of the query. They are taken from the filter, the options or `sharepoint` model settings
+ * in this order of precedence.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} [filter] The filter object
+ * @param {Object} [options] The options object
+ * @returns {{folder: String, scope: String}}
+ */
+SharePointConnector.prototype.getFolderScope = function(modelName, filter, options) {
+  const settings = _.get(this._models[modelName], 'settings.sharepoint');
+  const getValue = name => _.get(filter, name) || _.get(options, name) || _.get(settings, name);
+  return {folder: getValue('folder'), scope: getValue('scope')};
+};
+
+/*!
+ * Gets server relative URL of the folder. Paths starting with `/` are server relative already,
+ * other paths are relative to the root folder of the list.
+ *
+ * @param {String} modelName The model name
+ * @param {String} [folder] The folder path
+ * @param {Object} [options] The options object
+ * @returns {Promise<String>} Server relative URL of the folder, null if no folder is specified
+ */
+SharePointConnector.prototype.getFolderUrl = function(modelName, folder, options) {
+  if (!folder) {
+    return Bluebird.resolve(null);
+  }
+  if (_.startsWith(folder, '/')) {
+    return Bluebird.resolve(_.trimEnd(folder, '/'));
   }
-  if (expandLookups) {
-    // This will include FieldValuesAsText object which contains values of lookup fields (like users)
-    return sp.web.lists.getByTitle(self.getSPListTitle(modelName)).getItemsByCAMLQuery(camlQuery, 'FieldValuesAsText');
+  return this.getRootFolderUrl(modelName, options)
+    .then(rootUrl => `${rootUrl}/${_.trim(folder, '/')}`);
+};
+
+/*!
+ * Gets server relative URL of the root folder of the model list. The URL is fetched once per list.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} [options] The options object
+ * @returns {Promise<String>}
+ */
+SharePointConnector.prototype.getRootFolderUrl = function(modelName, options) {
+  const listKey = this.getListKey(modelName);
+  if (!this.rootFolderUrls[listKey]) {
+    const rootFolder = this.getList(modelName, options).rootFolder.select('ServerRelativeUrl');
+    this.rootFolderUrls[listKey] = Bluebird.resolve(rootFolder.get())
+      .then(folder => folder.ServerRelativeUrl)
+      .catch(err => {
+        delete this.rootFolderUrls[listKey];
+        throw err;
+      });
   }
-  return sp.web.lists.getByTitle(self.getSPListTitle(modelName)).getItemsByCAMLQuery(camlQuery);
+  return this.rootFolderUrls[listKey];
+};
+
+/*!
+ * Creates the folder of the model list and its parent folders if they do not exist
+ *
+ * @param {String} modelName The model name
+ * @param {String} folder The folder path
+ * @param {Object} [options] The options object
+ * @returns {Promise<String>} Server relative URL of the folder
+ */
+SharePointConnector.prototype.ensureFolder = function(modelName, folder, options) {
+  const web = this.getWeb(modelName, options);
+  return Bluebird.join(this.getRootFolderUrl(modelName, options), this.getFolderUrl(modelName, folder, options))
+    .then(([rootUrl, folderUrl]) => {
+      if (!isInFolder(folderUrl, rootUrl)) {
+        throw createError(`Folder ${folder} is outside of the list ${this.getSPListTitle(modelName)}.`, 400,
+          'INVALID_FOLDER');
+      }
+      const names = _.compact(folderUrl.substring(rootUrl.length).split('/'));
+      let url = rootUrl;
+      return Bluebird.each(names, name => {
+        url = `${url}/${name}`;
+        const currentUrl = url;
+        return web.getFolderByServerRelativeUrl(escapeODataPath(currentUrl)).select('Exists').get()
+          .then(result => result.Exists !== false, err => {
+            if (toLoopBackError(err).code !== 'NOT_FOUND') {
+              throw err;
+            }
+            return false;
+          })
+          .then(exists => exists || web.folders.add(escapeODataPath(currentUrl)));
+      })
+        .then(() => folderUrl);
+    });
 };
 
 /**
- * Perform automigrate for the given models. It drops the corresponding collections
- * and calls createIndex
- * @param {String[]} [models] A model name or an array of model names. If not present, apply to all models
+ * Delete the model instance by id
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Object} options The options object
  * @param {Function} [cb] The callback function
  */
-SharePointConnector.prototype.automigrate = function(models, cb) {
+SharePointConnector.prototype.destroy = function(modelName, id, options, cb) {
   const self = this;
   if (self.debug) {
-    debug('automigrate');
+    debug('destroy', modelName, id);
   }
-  return Bluebird.mapSeries(models, model => {
-    return self.createList(model);
-  })
-    .then(() => {
-      cb();
+  self.getSPItemId(modelName, id, options)
+    .then(spId => {
+      if (!spId) {
+        return {count: 0};
+      }
+      const unitOfWork = self.getUnitOfWork(options);
+      if (unitOfWork) {
+        unitOfWork.delete(modelName, id, spId, options);
+        return {count: 1};
+      }
+      return self.getList(modelName, options).items.getById(spId).delete()
+        .then(() => ({count: 1}));
+    })
+    .then(result => {
+      cb(null, result);
+    })
+    .catch(err => {
+      err = toLoopBackError(err);
+      if (err.code === 'NOT_FOUND') {
+        return cb(null, {count: 0});
+      }
+      cb(err);
     });
 };
 
-SharePointConnector.prototype.createList = function(modelName) {
-  const listTitle = this.getSPListTitle(modelName);
-
-  const model = this._models[modelName];
-  const spLib = new SPLib(this._models[modelName]);
-
-  return sp.web.lists.add(listTitle, '')
-    .then(res => {
-      return sp.web.lists.getByTitle(listTitle).fields.get();
-    })
-    .then((defaultFields) => {
-      const existingSPFields = _.map(defaultFields, 'InternalName');
-      const addFieldsBatch = sp.web.createBatch();
-      const addFieldsToDefaultViewBatch = sp.web.createBatch();
-
-      const list = sp.web.lists.getByTitle(listTitle);
-      for (const prop of Object.keys(model.properties)) {
-        const spFieldName = spLib.getSPFieldName(prop);
-        // skip fields which already exist
-        if (_.includes(existingSPFields, spFieldName)) {
-          continue;
-        }
-        const fieldType = spLib.getSPFieldType(prop);
-        const fieldProps = {FieldTypeKind: FieldTypes[fieldType]};
-        list.fields.inBatch(addFieldsBatch).add(spFieldName, `SP.Field${fieldType}`, fieldProps);
-        list.defaultView.fields.inBatch(addFieldsToDefaultViewBatch).add(spFieldName);
+/*!
+ * Updates SharePoint item of the model instance by id.
+ * When ETag is specified SharePoint rejects the update if the item was changed since it was read.
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Object} spData SharePoint item properties to update
+ * @param {String} [eTag] ETag of the item
+ * @param {Number} [spId] SharePoint ID of the item if it is already known
+ * @param {Object} [options] The options object
+ * @returns {Promise<{ID: Number, etag: String}>} SharePoint ID and the new ETag of the updated item.
+ * The update made in a transaction is only queued, so the ETag is unknown.
+ */
+SharePointConnector.prototype.updateItemById = function(modelName, id, spData, eTag, spId, options) {
+  const self = this;
+  if (!eTag && self.settings.requireETag) {
+    return Bluebird.reject(createError(`${modelName} with id ${id} cannot be updated without ETag.`, 428, 'ETAG_REQUIRED'));
+  }
+  return Bluebird.resolve(spId || self.getSPItemId(modelName, id, options))
+    .then(itemId => {
+      if (!itemId) {
+        throw createError(`${modelName} with id ${id} does not exist.`, 404, 'NOT_FOUND');
       }
-      // add fields to list and then add those fields to default view
-      return addFieldsBatch.execute()
-        .then(() => {
-          return addFieldsToDefaultViewBatch.execute();
-        });
+      const unitOfWork = self.getUnitOfWork(options);
+      if (unitOfWork) {
+        // the new ETag is known after commit
+        unitOfWork.update(modelName, id, itemId, spData, eTag, options);
+        return {ID: itemId};
+      }
+      return self.getList(modelName, options).items.getById(itemId).update(spData, eTag || '*')
+        .then(result => ({ID: itemId, etag: result.data['odata.etag']}));
     });
 };
 
-Connector.defineAliases(SharePointConnector.prototype, 'find', 'findById');
 /*!
- * Convert the data from SharePoint to LB entity
+ * Gets SharePoint ID of the list item by LB model id without running CAML query when possible:
+ * ids mapped to `ID` column are used as is and ids mapped to `GUID` column are looked up by OData filter.
  *
  * @param {String} modelName The model name
- * @param {Object} data The data from SharePoint
+ * @param {*} id The instance id
+ * @param {Object} [options] The options object
+ * @returns {Promise<Number>} SharePoint ID of the item, null if the item does not exist
  */
-SharePointConnector.prototype.fromSPItem = function(modelName, spItem) {
-  if (!spItem) {
-    return null;
+SharePointConnector.prototype.getSPItemId = function(modelName, id, options) {
+  const idColumn = this.getSPColumnName(modelName, this.getIdPropertyName(modelName));
+  if (idColumn === 'ID') {
+    const spId = _.toNumber(id);
+    return Bluebird.resolve(_.isInteger(spId) && spId > 0 ? spId : null);
   }
-  const lbEntity = {};
-  const modelInfo = this._models[modelName];
-  for (const propName in modelInfo.properties) {
-    const spColumnName = this.getSPColumnName(modelName, propName);
-    _.set(lbEntity, propName, _.get(spItem, spColumnName));
+  if (idColumn === 'GUID') {
+    const guid = _.trim(id, '{}');
+    if (!GUID_REGEX.test(guid)) {
+      return Bluebird.resolve(null);
+    }
+    return Bluebird.resolve(this.getList(modelName, options).items
+      .filter(`GUID eq guid'${guid}'`).select('ID').top(1).get())
+      .then(items => _.get(items, '[0].ID', null));
   }
-  return lbEntity;
+  return this.findItemById(modelName, id, options)
+    .then(item => (item ? item.ID : null));
 };
 
 /*!
- * Convert the data from LB entity to SharePoint item
+ * Updates the context data of the replaced or updated instance with the new ETag of SharePoint item
  *
- * @param {String} modelName The model name
- * @param {Object} lbItem The LoopBack model instance
+ * @param {Object} context The context data
+ * @param {Object} dbResponse The result of replaceById or updateAttributes
  */
-SharePointConnector.prototype.toSPItem = function(modelName, lbEntity) {
-  const spItem = {};
-  const modelInfo = this._models[modelName];
-  for (const propName in modelInfo.properties) {
-    const spColumnName = this.getSPColumnName(modelName, propName);
-    _.set(spItem, spColumnName, _.get(lbEntity, propName));
+SharePointConnector.prototype.generateContextData = function(context, dbResponse) {
+  const eTagProp = this.getETagPropertyName(context.Model.modelName);
+  if (eTagProp && _.get(dbResponse, 'etag')) {
+    context.data[eTagProp] = dbResponse.etag;
   }
-  return spItem;
+  return context;
 };
 
 /*!
- * Convert an object containing LB model properties to one with SharePoint properties
+ * Finds SharePoint list item by LB model id
  *
  * @param {String} modelName The model name
- * @param {Object} lbProperties and object containing key-values where keys are LoopBack model properties
+ * @param {*} id The instance id
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object>} SharePoint item containing ID and the id property of the model, null if not found
  */
-SharePointConnector.prototype.toSPProperties = function(modelName, lbProperties) {
-  if (!lbProperties) {
-    return null;
-  }
-  const spProperties = {};
-
-  for (const propName in lbProperties) {
-    const spColumnName = this.getSPColumnName(modelName, propName);
-    spProperties[spColumnName] = lbProperties[propName];
-  }
-  return spProperties;
+SharePointConnector.prototype.findItemById = function(modelName, id, options) {
+  const idProp = this.getIdPropertyName(modelName);
+  // the item is looked up in all folders of the list
+  const filter = {where: {[idProp]: id}, fields: this.getItemKeyProperties(modelName), limit: 1, scope: 'Recursive'};
+  return this.queryItems(modelName, filter, null, null, options)
+    .then(({items}) => _.first(items) || null);
 };
 
-/*
- * Gets the title of the SharePoint list for the specified LB model
+/**
+ * Begin a transaction. SharePoint has no transactions, so the transaction is a unit of work: the writes made with
+ * the transaction in `options.transaction` are queued and sent in a single batch request on commit.
+ * The isolation level is ignored, reads made with the transaction do not see its queued writes.
  *
- * @param {String} modelName The model name
+ * @param {String} isolationLevel The isolation level
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {UnitOfWork} unitOfWork The unit of work of the transaction
  */
-SharePointConnector.prototype.getSPListTitle = function(modelName) {
-  const modelInfo = this._models[modelName];
-  const listTitle = _.get(modelInfo, 'settings.sharepoint.list');
-  return listTitle || modelName;
+SharePointConnector.prototype.beginTransaction = function(isolationLevel, cb) {
+  if (this.debug) {
+    debug('beginTransaction', isolationLevel);
+  }
+  const unitOfWork = new UnitOfWork(this);
+  process.nextTick(() => {
+    cb(null, unitOfWork);
+  });
 };
 
-/*!
- * Gets the SharePoint list column name for specified LB model property
+/**
+ * Commit the transaction. The queued writes are sent in a single batch request and if any of them fails,
+ * the successful ones are undone (see UnitOfWork). The reports of the operations are kept in `results`
+ * of the unit of work, which is `transaction.connection` before the commit.
  *
- * @param {Object} modelInfo The model definition
- * @param {String} propName Property name
+ * @param {UnitOfWork} unitOfWork The unit of work of the transaction
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err `TRANSACTION_FAILED` error with the reports of the operations in `operations`
+ * and the undone ones in `undone`
  */
-SharePointConnector.prototype.getSPColumnName = function(modelName, propName) {
-  const modelInfo = this._models[modelName];
-  const spSPPropName = _.get(modelInfo, `properties.${propName}.sharepoint.columnName`);
-  return spSPPropName || propName;
+SharePointConnector.prototype.commit = function(unitOfWork, cb) {
+  if (this.debug) {
+    debug('commit', `${unitOfWork.operations.length} operations`);
+  }
+  unitOfWork.commit()
+    .then(results => {
+      cb(null, results);
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
 };
 
-SharePointConnector.prototype.getIdPropertyName = function(modelName) {
-  const modelInfo = this._models[modelName];
-  for (const propName in modelInfo.properties) {
-    if (modelInfo.properties[propName].id) {
-      return propName;
-    }
+/**
+ * Roll back the transaction discarding the queued writes
+ *
+ * @param {UnitOfWork} unitOfWork The unit of work of the transaction
+ * @param {Function} [cb] The callback function
+ */
+SharePointConnector.prototype.rollback = function(unitOfWork, cb) {
+  if (this.debug) {
+    debug('rollback', `${unitOfWork.operations.length} operations`);
   }
+  unitOfWork.rollback()
+    .then(results => {
+      cb(null, results);
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
 };
 
-exports.SharePointConnector = SharePointConnector;
+/**
+ * Count the number of instances for the given model
+ *
+ * @param {String} modelName The model name
+ * @param {Function} [callback] The callback function
+ * @param {Object} filter The filter for where
+ *
+ */
+SharePointConnector.prototype.count = function count(modelName, where, options, callback) {
+  const self = this;
+  if (self.debug) {
+    debug('count', modelName, where);
+  }
+  const folderScope = self.getFolderScope(modelName, null, options);
+  let itemCount;
+  if (_.isEmpty(where) && !folderScope.folder && !folderScope.scope) {
+    // the list keeps the number of its items, only filtered counts need to page through the items
+    itemCount = Bluebird.resolve(self.getList(modelName, options).select('ItemCount').get())
+      .then(list => list.ItemCount);
+  } else {
+    const filter = _.assign({where, fields: ['ID']}, folderScope);
+    itemCount = self.queryItems(modelName, filter, null, null, options)
+      .then(({items}) => items.length);
+  }
+  itemCount
+    .then(count => {
+      callback(null, count);
+    })
+    .catch(err => {
+      callback(toLoopBackError(err));
+    });
+};
+
+/**
+ * Delete all instances for the given model
+ * @param {String} modelName The model name
+ * @param {Object} [where] The filter for where
+ * @param {Function} [callback] The callback function
+ */
+SharePointConnector.prototype.destroyAll = function(modelName, where, options, callback) {
+  const self = this;
+  if (self.debug) {
+    debug('destroyAll', modelName, where);
+  }
+  const id = self.getIdFromWhere(modelName, where);
+  if (!_.isNil(id)) {
+    // delete by id (e.g. deleteById) without querying the list
+    return self.destroy(modelName, id, options, callback);
+  }
+  const filter = {where, fields: self.getItemKeyProperties(modelName)};
+  self.queryItems(modelName, _.assign(filter, self.getFolderScope(modelName, null, options)), null, null, options)
+    .then(({items}) => {
+      const unitOfWork = self.getUnitOfWork(options);
+      if (unitOfWork) {
+        const idSPPropName = self.getSPItemPropertyName(modelName, self.getIdPropertyName(modelName));
+        items.forEach(item => unitOfWork.delete(modelName, _.get(item, idSPPropName, item.ID), item.ID, options));
+        return {count: items.length};
+      }
+      return self.executeInBatches(modelName, items, item => item.delete(), options);
+    })
+    .then((result) => {
+      callback(null, result);
+    })
+    .catch(err => {
+      callback(toLoopBackError(err));
+    });
+};
+
+/*!
+ * Runs the operation on every item using SharePoint batches of `batchSize` items.
+ * Up to `batchConcurrency` batches are executed at a time.
+ * Failures of individual items are collected and reported in `failed` array of the result unless `stopOnBatchError`
+ * setting is set. In that case no more batches are executed after the first failure and the promise is rejected
+ * with a new error made from the error of the first failed item, which is kept as its `cause`.
+ * Failed items are reported as plain `{id, code, message}` objects, so that the result and the error can be serialized
+ * even when a whole change set fails with the same error.
+ *
+ * @param {String} modelName The model name
+ * @param {Object[]} items SharePoint items containing ID
+ * @param {Function} operation Function calling the operation on SharePoint item added to the batch,
+ * e.g. `item => item.delete()`
+ * @param {Object} [options] The options object
+ * @returns {Promise<{count: Number, failed: Object[]}>} Number of successfully processed items and
+ * the array of `{id, code, message}` objects for the failed ones (present only if any item failed)
+ */
+SharePointConnector.prototype.executeInBatches = function(modelName, items, operation, options) {
+  const self = this;
+  const list = self.getList(modelName, options);
+  const idProp = self.getIdPropertyName(modelName);
+  const idSPPropName = idProp ? self.getSPItemPropertyName(modelName, idProp) : 'ID';
+  const batchSize = self.settings.batchSize || DEFAULT_BATCH_SIZE;
+  const concurrency = self.settings.batchConcurrency || DEFAULT_BATCH_CONCURRENCY;
+  const stopOnError = !!self.settings.stopOnBatchError;
+  const chunks = _.chunk(items, batchSize);
+  let count = 0;
+  const failed = [];
+  let firstError = null;
+
+  const addFailed = (item, error) => {
+    error = toLoopBackError(error);
+    firstError = firstError || error;
+    failed.push({id: _.get(item, idSPPropName, item.ID), code: error.code, message: error.message});
+  };
+
+  const executeNextBatch = () => {
+    const chunk = chunks.shift();
+    if (!chunk || (stopOnError && failed.length)) {
+      return Bluebird.resolve();
+    }
+    const batch = self.createBatch(modelName, options);
+    const pending = new Set(chunk);
+    const itemResults = _.map(chunk, item => {
+      return operation(list.items.getById(item.ID).inBatch(batch))
+        .then(() => {
+          count++;
+        }, error => {
+          addFailed(item, error);
+        })
+        .finally(() => {
+          pending.delete(item);
+        });
+    });
+    if (self.debug) {
+      debug('executeInBatches', modelName, `${chunk.length} items`);
+    }
+    return batch.execute()
+      .then(() => {
+        return Bluebird.all(itemResults);
+      }, error => {
+        // the whole batch request failed, so the items which were not yet processed have failed too
+        for (const item of pending) {
+          addFailed(item, error);
+        }
+      })
+      .then(executeNextBatch);
+  };
+
+  return Bluebird.all(_.times(Math.min(concurrency, chunks.length), executeNextBatch))
+    .then(() => {
+      if (_.isEmpty(failed)) {
+        return {count};
+      }
+      if (stopOnError) {
+        const err = createError(firstError.message, firstError.statusCode, firstError.code);
+        err.cause = firstError;
+        err.count = count;
+        err.failed = failed;
+        throw err;
+      }
+      return {count, failed};
+    });
+};
+
+/*!
+ * Gets the properties identifying list items of the LB model: SharePoint item ID and the id property of the model
+ *
+ * @param {String} modelName The model name
+ */
+SharePointConnector.prototype.getItemKeyProperties = function(modelName) {
+  const idProp = this.getIdPropertyName(modelName);
+  return idProp ? _.uniq(['ID', idProp]) : ['ID'];
+};
+
+/**
+ * Find matching model instances by the filter
+ *
+ * @param {String} modelName The model name
+ * @param {Object} filter The filter object
+ * @param {Function} [callback] The call back function
+ */
+SharePointConnector.prototype.all = function(modelName, filter, options, callback) {
+  const self = this;
+  if (self.debug) {
+    debug('all', modelName);
+  }
+  self.getItemsPage(modelName, filter, options)
+    .then(page => self.toEntities(modelName, page.items, options))
+    .then(entities => {
+      this.includeRelated(modelName, entities, filter, options, callback);
+    })
+    .catch(err => {
+      callback(toLoopBackError(err));
+    });
+};
+
+/**
+ * Find a page of matching model instances by the filter.
+ * Returns an opaque cursor which can be passed as `filter.cursor` along with the same `where` and `order`
+ * to get the next page of the instances.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} filter The filter object
+ * @param {Object} options The options object
+ * @param {Function} [callback] The call back function
+ *
+ * @callback callback
+ * @param {Error} err The error object
+ * @param {{items: Object[], cursor: String}} page The found instances and the cursor of the next page,
+ * cursor is null when there are no more instances
+ */
+SharePointConnector.prototype.findPage = function(modelName, filter, options, callback) {
+  const self = this;
+  if (self.debug) {
+    debug('findPage', modelName);
+  }
+  filter = filter || {};
+  self.getItemsPage(modelName, filter, options)
+    .then(page => {
+      return self.toEntities(modelName, page.items, options)
+        .then(entities => ({entities, next: page.next}));
+    })
+    .then(({entities, next}) => {
+      this.includeRelated(modelName, entities, filter, options, (err, entities) => {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, {items: entities, cursor: next ? encodeCursor(next) : null});
+      });
+    })
+    .catch(err => {
+      callback(toLoopBackError(err));
+    });
+};
+
+/**
+ * Search the model list with SharePoint search. The KQL (Keyword Query Language) query is combined with
+ * the conditions of `where` translated into KQL property restrictions and limited to the items of the model list.
+ * Model properties are mapped to managed properties of the search schema (see `sharepoint.managedProperty`
+ * property setting). The results come from the search index, so the changes show up once the list is crawled.
+ *
+ * @param {String} modelName The model name
+ * @param {String} [query] The KQL query
+ * @param {Object} [filter] The filter object with `where`, `fields`, `order`, `limit` and `skip`. `refiners` lists
+ * the properties whose refiners are returned, their managed properties must be refinable
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {{items: Object[], total: Number, refiners: Object}} result The found instances (sorted by relevance unless
+ * `order` is specified), the total number of the matching instances and arrays of `{value, count, token}` refiner
+ * entries by property name, `token` is the refinement token of the entry
+ */
+SharePointConnector.prototype.search = function(modelName, query, filter, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('search', modelName, query, filter);
+  }
+  filter = filter || {};
+  const spLib = new SPLib(self._models[modelName]);
+  self.getListId(modelName, options)
+    .then(listId => {
+      const fields = _.isPlainObject(filter.fields) ? _.keys(_.pickBy(filter.fields)) : filter.fields;
+      const properties = spLib.getSearchProperties(fields && _.castArray(fields));
+      const refiners = _.castArray(filter.refiners || []);
+      const restrictions = _.compact([query && `(${query})`, spLib.buildKql(filter.where), `ListId:${listId}`]);
+      const request = {
+        Querytext: restrictions.join(' AND '),
+        SelectProperties: _.map(properties, property => spLib.getManagedPropertyName(property)),
+        SortList: spLib.buildSortList(filter.order),
+        RowLimit: Math.min(_.parseInt(filter.limit) || MAX_SEARCH_ROWS, MAX_SEARCH_ROWS),
+        StartRow: _.parseInt(filter.skip) || 0,
+        // list items with the same content are not duplicates
+        TrimDuplicates: false
+      };
+      if (!_.isEmpty(refiners)) {
+        request.Refiners = _.map(refiners, property => spLib.getManagedPropertyName(property)).join(',');
+      }
+      return Bluebird.resolve(self.spClient.getSP(self.getWebUrl(modelName), self.getAccessToken(options))
+        .search(request))
+        .then(results => {
+          const result = _.get(results.RawSearchResults, 'PrimaryQueryResult');
+          const rows = getCollectionValues(_.get(result, 'RelevantResults.Table.Rows')) || [];
+          const items = _.map(rows, row => {
+            // managed property names are case-insensitive
+            const values = _.fromPairs(_.map(getCollectionValues(row.Cells), cell => [_.toLower(cell.Key), cell.Value]));
+            const entity = {};
+            for (const property of properties) {
+              const value = values[_.toLower(spLib.getManagedPropertyName(property))];
+              _.set(entity, property, spLib.fromManagedPropertyValue(property, _.isNil(value) ? null : value));
+            }
+            return entity;
+          });
+          const spRefiners = getCollectionValues(_.get(result, 'RefinementResults.Refiners')) || [];
+          cb(null, {
+            items,
+            total: _.toNumber(_.get(result, 'RelevantResults.TotalRows')) || 0,
+            refiners: _.fromPairs(_.map(refiners, property => {
+              const managedProperty = _.toLower(spLib.getManagedPropertyName(property));
+              const spRefiner = _.find(spRefiners, spRefiner => _.toLower(spRefiner.Name) === managedProperty);
+              return [property, _.map(getCollectionValues(_.get(spRefiner, 'Entries')), entry => ({
+                // date refiners are ranges which are not converted
+                value: spLib.getValueType(property) === 'date' ? entry.RefinementName :
+                  spLib.fromManagedPropertyValue(property, entry.RefinementName),
+                count: _.toNumber(entry.RefinementCount),
+                token: entry.RefinementToken
+              }))];
+            }))
+          });
+        });
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Get the changes of the model list made since the change token was issued. The changes are read from the change log
+ * of the list. Several changes of the same item are merged: an item added and then updated is reported as added
+ * and an item added and then deleted is not reported at all. Items which no longer exist are reported as deleted only.
+ * When no token is specified, the current change token of the list is returned without any changes,
+ * so that the changes made after reading all the instances can be pulled with it later.
+ *
+ * @param {String} modelName The model name
+ * @param {String} [token] The change token returned by the previous call
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object, `INVALID_CHANGE_TOKEN` error when the token is invalid or outside of the change log
+ * @param {{added: Array, updated: Array, deleted: Array, entities: Object[], token: String}} changes
+ * Ids of the added, updated and deleted instances, the current state of the added and updated instances and
+ * the token of the next call. Ids of the deleted instances are SharePoint item IDs unless the id property
+ * is mapped to `ID` column, then they are model ids.
+ */
+SharePointConnector.prototype.getChanges = function(modelName, token, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('getChanges', modelName, token);
+  }
+  const list = self.getList(modelName, options);
+  if (!token) {
+    return Bluebird.resolve(list.select('CurrentChangeToken').get())
+      .then(({CurrentChangeToken}) => {
+        cb(null, {added: [], updated: [], deleted: [], entities: [], token: CurrentChangeToken.StringValue});
+      })
+      .catch(err => {
+        cb(toLoopBackError(err));
+      });
+  }
+  // the state of the item after its changes: add, update or delete
+  const states = new Map();
+  let nextToken = token;
+  const readChanges = () => {
+    return Bluebird.resolve(list.getChanges({
+      Add: true,
+      Update: true,
+      DeleteObject: true,
+      Rename: true,
+      Restore: true,
+      Item: true,
+      FetchLimit: CHANGES_PAGE_SIZE,
+      ChangeTokenStart: {__metadata: {type: 'SP.ChangeToken'}, StringValue: nextToken}
+    }))
+      .then(changes => {
+        for (const change of changes) {
+          const state = states.get(change.ItemId);
+          switch (CHANGE_TYPES[change.ChangeType]) {
+            case 'add':
+              states.set(change.ItemId, 'add');
+              break;
+            case 'restore':
+              // the restored item was reported as deleted by the previous calls unless it is deleted after the token
+              states.set(change.ItemId, state === 'delete' ? 'update' : 'add');
+              break;
+            case 'update':
+              states.set(change.ItemId, state === 'add' ? 'add' : 'update');
+              break;
+            case 'delete':
+              if (state === 'add') {
+                states.delete(change.ItemId);
+              } else {
+                states.set(change.ItemId, 'delete');
+              }
+              break;
+          }
+        }
+        if (!_.isEmpty(changes)) {
+          nextToken = _.last(changes).ChangeToken.StringValue;
+        }
+        return changes.length < CHANGES_PAGE_SIZE ? null : readChanges();
+      });
+  };
+  readChanges()
+    .catch(err => {
+      err = toLoopBackError(err);
+      if (/change\s?token/i.test(err.message)) {
+        throw createError(`Change token ${token} of ${modelName} is invalid or outside of the change log, ` +
+          'read all the instances and start over with the current token.', 410, 'INVALID_CHANGE_TOKEN');
+      }
+      throw err;
+    })
+    .then(() => {
+      const changedIds = _.filter([...states.keys()], spId => states.get(spId) !== 'delete');
+      return self.getItemsById(modelName, changedIds, options);
+    })
+    .then(spItems => self.toEntities(modelName, spItems, options)
+      .then(entities => {
+        const idProp = self.getIdPropertyName(modelName);
+        // the items not found were deleted after the changes were read or they are folders
+        const getIds = state => _.map(_.filter(_.zip(spItems, entities), ([spItem]) => states.get(spItem.ID) === state),
+          ([, entity]) => entity[idProp]);
+        cb(null, {
+          added: getIds('add'),
+          updated: getIds('update'),
+          deleted: _.filter([...states.keys()], spId => states.get(spId) === 'delete'),
+          entities,
+          token: nextToken
+        });
+      }))
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/*!
+ * Gets the items of the model list (in any of its folders) by SharePoint item IDs
+ *
+ * @param {String} modelName The model name
+ * @param {Number[]} ids SharePoint item IDs
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object[]>} The found SharePoint items
+ */
+SharePointConnector.prototype.getItemsById = function(modelName, ids, options) {
+  const expand = this.getItemExpands(modelName, options);
+  return Bluebird.mapSeries(_.chunk(ids, MAX_IN_VALUES), chunk => {
+    const filter = {where: {ID: {inq: chunk}}, scope: 'Recursive'};
+    return this.queryItems(modelName, filter, expand, null, options)
+      .then(({items}) => items);
+  })
+    .then(_.flatten);
+};
+
+/*!
+ * Gets the items matching the filter using server-side paging.
+ * The query starts from the position of `filter.cursor` and skips `filter.skip` items walking the pages on the server.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} filter The filter object
+ * @param {Object} [options] The options object
+ * @returns {Promise<{items: Object[], next: String}>} SharePoint items and paging information of the next page
+ */
+SharePointConnector.prototype.getItemsPage = function(modelName, filter, options) {
+  const self = this;
+  filter = _.assign({}, filter, self.getFolderScope(modelName, filter, options));
+  let startPagingInfo;
+  try {
+    startPagingInfo = filter.cursor ? decodeCursor(filter.cursor) : null;
+  } catch (err) {
+    return Bluebird.reject(err);
+  }
+  return Bluebird.resolve(filter.skip ? self.skipItems(modelName, filter, startPagingInfo, filter.skip, options) :
+    startPagingInfo)
+    .then(pagingInfo => {
+      if (filter.skip && !pagingInfo) {
+        // fewer items than `skip` match the filter
+        return {items: [], next: null};
+      }
+      return self.queryItems(modelName, filter, self.getItemExpands(modelName, options), pagingInfo, options);
+    });
+};
+
+/*!
+ * Gets up to `filter.limit` items (all the items if no limit is specified) matching the filter.
+ * The items are fetched page by page, so that every query returns no more items than the list view threshold.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} filter The filter object
+ * @param {String[]} [expand] Item properties to expand, e.g. `FieldValuesAsText` containing values of lookup fields
+ * @param {String} [pagingInfo] Paging information of the position to start from
+ * @param {Object} [options] The options object
+ * @returns {Promise<{items: Object[], next: String}>} SharePoint items and paging information of the next page,
+ * null if there are no more items
+ */
+SharePointConnector.prototype.queryItems = function(modelName, filter, expand, pagingInfo, options) {
+  const self = this;
+  const spLib = new SPLib(self._models[modelName]);
+  const limit = _.parseInt(filter.limit) || 0;
+  const items = [];
+  const pageFilter = _.clone(filter);
+  // conditions which cannot be expressed in CAML are applied to the items of every page
+  const postFilter = spLib.buildPostFilter(filter.where);
+  if (!_.isEmpty(filter.fields)) {
+    // paging information is built from ID and values of the order fields
+    pageFilter.fields = _.union(filter.fields, spLib.getPagingProperties(filter.order),
+      spLib.getPostFilterProperties(filter.where));
+  }
+
+  const queryPage = (position) => {
+    const needed = limit ? limit - items.length : Infinity;
+    pageFilter.limit = postFilter ? MAX_PAGE_SIZE : Math.min(needed, MAX_PAGE_SIZE);
+    return self.getItemsFiltered(modelName, pageFilter, expand, position, options)
+      .then(pageItems => {
+        const matchingItems = postFilter ? _.filter(pageItems, postFilter) : pageItems;
+        const takenItems = _.take(matchingItems, needed);
+        items.push(...takenItems);
+        const isLastPage = pageItems.length < pageFilter.limit;
+        if (limit && items.length >= limit) {
+          const hasMore = takenItems.length < matchingItems.length || !isLastPage;
+          return {items, next: hasMore ? spLib.buildPagingInfo(_.last(takenItems), filter.order) : null};
+        }
+        return isLastPage ? {items, next: null} : queryPage(spLib.buildPagingInfo(_.last(pageItems), filter.order));
+      });
+  };
+  return Bluebird.try(() => queryPage(pagingInfo))
+    .catch(err => {
+      if (!self.canSortOnClient(modelName, filter, pagingInfo, err)) {
+        throw err;
+      }
+      // SharePoint cannot sort the list by columns which are not indexed, read all the items and sort them here
+      const unorderedFilter = _.omit(filter, 'order');
+      if (!_.isEmpty(filter.fields)) {
+        unorderedFilter.fields = _.union(filter.fields, spLib.getPagingProperties(filter.order));
+      }
+      return self.queryItems(modelName, unorderedFilter, expand, null, options)
+        .then(result => ({items: result.items.sort(spLib.buildComparator(filter.order)), next: null}));
+    });
+};
+
+/*!
+ * Checks whether the query failed on the list view threshold only because of the columns in `filter.order`
+ * and whether it reads all the matching items, so that they can be sorted on the client instead.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} filter The filter object
+ * @param {String} [pagingInfo] Paging information of the position the query started from
+ * @param {Error} err The error of the query
+ * @returns {Boolean}
+ */
+SharePointConnector.prototype.canSortOnClient = function(modelName, filter, pagingInfo, err) {
+  if (err.code !== 'LIST_VIEW_THRESHOLD_EXCEEDED' || _.isEmpty(err.nonIndexedFields) || _.isEmpty(filter.order) ||
+    pagingInfo || _.parseInt(filter.limit)) {
+    return false;
+  }
+  const spLib = new SPLib(this._models[modelName]);
+  const whereFields = _.map(spLib.getFilterProperties({where: filter.where}), prop => spLib.getSPFieldName(prop));
+  return _.isEmpty(_.intersection(err.nonIndexedFields, whereFields));
+};
+
+/*!
+ * Walks the pages of the items matching the filter on the server, fetching only their IDs and order fields,
+ * until the specified number of items is skipped.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} filter The filter object
+ * @param {String} pagingInfo Paging information of the position to start from
+ * @param {Number} count Number of items to skip
+ * @param {Object} [options] The options object
+ * @returns {Promise<String>} Paging information of the position after the skipped items,
+ * null if fewer items match the filter
+ */
+SharePointConnector.prototype.skipItems = function(modelName, filter, pagingInfo, count, options) {
+  const self = this;
+  const spLib = new SPLib(self._models[modelName]);
+  const postFilter = spLib.buildPostFilter(filter.where);
+  const limit = postFilter ? MAX_PAGE_SIZE : Math.min(count, MAX_PAGE_SIZE);
+  const fields = _.union(spLib.getPagingProperties(filter.order), spLib.getPostFilterProperties(filter.where));
+  const pageFilter = {where: filter.where, order: filter.order, fields, limit, folder: filter.folder, scope: filter.scope};
+  return self.getItemsFiltered(modelName, pageFilter, null, pagingInfo, options)
+    .then(items => {
+      const matchingItems = postFilter ? _.filter(items, postFilter) : items;
+      if (matchingItems.length >= count) {
+        return spLib.buildPagingInfo(matchingItems[count - 1], filter.order);
+      }
+      if (items.length < limit) {
+        return null;
+      }
+      const nextPagingInfo = spLib.buildPagingInfo(_.last(items), filter.order);
+      return self.skipItems(modelName, filter, nextPagingInfo, count - matchingItems.length, options);
+    });
+};
+
+/*!
+ * Resolves LoopBack `include` filter for the found entities.
+ * Related model instances are fetched with follow-up queries by the Lookup column values.
+ *
+ * @param {String} modelName The model name
+ * @param {Object[]} entities The found LB entities
+ * @param {Object} filter The filter object
+ * @param {Object} options The options object
+ * @param {Function} callback The callback function
+ */
+SharePointConnector.prototype.includeRelated = function(modelName, entities, filter, options, callback) {
+  if (!filter.include || _.isEmpty(entities)) {
+    return callback(null, entities);
+  }
+  this._models[modelName].model.include(entities, filter.include, options, callback);
+};
+
+SharePointConnector.prototype.getItemsFiltered = function(modelName, filter, expand, pagingInfo, options) {
+  const self = this;
+  const spLib = new SPLib(self._models[modelName]);
+  if (filter.scope && !_.includes(QUERY_SCOPES, filter.scope)) {
+    return Bluebird.reject(createError(`Invalid query scope ${filter.scope}, use one of: ${QUERY_SCOPES.join(', ')}.`,
+      400, 'INVALID_SCOPE'));
+  }
+  return self.getFolderUrl(modelName, filter.folder, options)
+    .then(folderUrl => {
+      const camlQuery = spLib.buildQuery(filter, pagingInfo, folderUrl);
+      if (self.debug) {
+        debug(`CAML: ${JSON.stringify(camlQuery)}`);
+      }
+      const list = self.getList(modelName, options);
+      return list.getItemsByCAMLQuery(camlQuery, ...(expand || []));
+    })
+    .catch(err => {
+      if (!isListViewThresholdError(err)) {
+        throw err;
+      }
+      return self.getListViewThresholdError(modelName, filter, options)
+        .then(thresholdError => {
+          throw thresholdError;
+        });
+    });
+};
+
+/*!
+ * Builds an error explaining why the query exceeded the list view threshold.
+ * SharePoint allows such queries only when they filter and order by indexed columns.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} filter The filter object of the failed query
+ * @param {Object} [options] The options object
+ * @returns {Promise<Error>}
+ */
+SharePointConnector.prototype.getListViewThresholdError = function(modelName, filter, options) {
+  const listTitle = this.getSPListTitle(modelName);
+  const spLib = new SPLib(this._models[modelName]);
+  const spFieldNames = _.map(spLib.getFilterProperties(filter), prop => spLib.getSPFieldName(prop));
+  return this.getList(modelName, options).fields.select('InternalName', 'Indexed').get()
+    .then(fields => {
+      const nonIndexedFields = _.filter(spFieldNames, name => !_.get(_.find(fields, {InternalName: name}), 'Indexed'));
+      const reason = _.isEmpty(nonIndexedFields) ?
+        'The first condition of the filter must match fewer items than the threshold.' :
+        `Add an index to the column(s) used in the filter or order: ${nonIndexedFields.join(', ')}.`;
+      const err = createError(`The query on list "${listTitle}" exceeds the list view threshold. ${reason}`, 400,
+        'LIST_VIEW_THRESHOLD_EXCEEDED');
+      err.nonIndexedFields = nonIndexedFields;
+      return err;
+    });
+};
+
+/**
+ * Get metadata of the files attached to the model instance
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {{name: String, url: String}[]} attachments File names and server relative URLs of the attachments
+ */
+SharePointConnector.prototype.getAttachments = function(modelName, id, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('getAttachments', modelName, id);
+  }
+  self.getAttachmentFiles(modelName, id, options)
+    .then(files => files.select('FileName', 'ServerRelativeUrl').get())
+    .then(files => {
+      cb(null, _.map(files, toAttachmentInfo));
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Attach a file to the model instance. SharePoint fails the upload if a file with the same name is already attached.
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {String} name The file name
+ * @param {Buffer|String|Readable} content The file content, streams are read to the end before uploading
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {{name: String, url: String}} attachment File name and server relative URL of the attachment
+ */
+SharePointConnector.prototype.uploadAttachment = function(modelName, id, name, content, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('uploadAttachment', modelName, id, name);
+  }
+  // the request body is buffered, so that throttled uploads can be retried
+  self.checkNoTransaction(modelName, options)
+    .then(() => Bluebird.join(self.getAttachmentFiles(modelName, id, options), readContent(content)))
+    .then(([files, body]) => files.add(escapeODataString(name), body))
+    .then(result => {
+      cb(null, toAttachmentInfo(result.data));
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Download a file attached to the model instance
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {String} name The file name
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {Readable} stream Stream of the file content
+ */
+SharePointConnector.prototype.downloadAttachment = function(modelName, id, name, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('downloadAttachment', modelName, id, name);
+  }
+  self.getAttachmentFiles(modelName, id, options)
+    .then(files => {
+      // the response body is passed on as is instead of being read into memory
+      return files.getByName(escapeODataString(name)).concat('/$value')
+        .get(new LambdaParser(response => Promise.resolve(response.body)));
+    })
+    .then(stream => {
+      cb(null, stream);
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Delete a file attached to the model instance
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {String} name The file name
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ */
+SharePointConnector.prototype.deleteAttachment = function(modelName, id, name, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('deleteAttachment', modelName, id, name);
+  }
+  self.checkNoTransaction(modelName, options)
+    .then(() => self.getAttachmentFiles(modelName, id, options))
+    .then(files => files.getByName(escapeODataString(name)).delete())
+    .then(() => {
+      cb(null, {count: 1});
+    })
+    .catch(err => {
+      err = toLoopBackError(err);
+      if (err.code === 'NOT_FOUND') {
+        return cb(null, {count: 0});
+      }
+      cb(err);
+    });
+};
+
+/*!
+ * Gets the collection of files attached to SharePoint item of the model instance
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Object} [options] The options object
+ * @returns {Promise<AttachmentFiles>}
+ */
+SharePointConnector.prototype.getAttachmentFiles = function(modelName, id, options) {
+  return this.getSPItemId(modelName, id, options)
+    .then(spId => {
+      if (!spId) {
+        throw createError(`${modelName} with id ${id} does not exist.`, 404, 'NOT_FOUND');
+      }
+      return this.getList(modelName, options).items.getById(spId).attachmentFiles;
+    });
+};
+
+/**
+ * Download the file of the model instance stored in a document library
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {Readable} stream Stream of the file content
+ */
+SharePointConnector.prototype.downloadFile = function(modelName, id, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('downloadFile', modelName, id);
+  }
+  self.getItemFile(modelName, id, options)
+    .then(file => file.concat('/$value').get(new LambdaParser(response => Promise.resolve(response.body))))
+    .then(stream => {
+      cb(null, stream);
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Replace the content of the file of the model instance stored in a document library
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Buffer|String|Readable} content The new file content, streams are read to the end before uploading
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {{name: String, url: String, size: Number, version: String}} file Metadata of the replaced file
+ */
+SharePointConnector.prototype.replaceFile = function(modelName, id, content, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('replaceFile', modelName, id);
+  }
+  self.checkNoTransaction(modelName, options)
+    .then(() => Bluebird.join(self.getItemFile(modelName, id, options), readContent(content)))
+    .then(([file, body]) => file.setContent(body))
+    .then(file => file.get())
+    .then(file => {
+      cb(null, toFileInfo(file));
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/*!
+ * Gets the file of the document library item of the model instance
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Object} [options] The options object
+ * @returns {Promise<File>}
+ */
+SharePointConnector.prototype.getItemFile = function(modelName, id, options) {
+  if (!this.isDocumentLibrary(modelName)) {
+    return Bluebird.reject(createError(`${modelName} is not stored in a document library.`, 400, 'NOT_DOCUMENT_LIBRARY'));
+  }
+  return this.getSPItemId(modelName, id, options)
+    .then(spId => {
+      if (!spId) {
+        throw createError(`${modelName} with id ${id} does not exist.`, 404, 'NOT_FOUND');
+      }
+      return this.getList(modelName, options).items.getById(spId).file;
+    });
+};
+
+/**
+ * Get the versions of the list item of the model instance, the latest first. SharePoint keeps the versions when
+ * versioning is enabled for the list (see `sharepoint.versioning` model setting).
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {{label: String, isCurrent: Boolean, modified: Date, modifiedBy: Object, data: Object}[]} versions
+ * The versions with `{id, title, email}` of the user who made them and the values of the model properties
+ */
+SharePointConnector.prototype.getVersions = function(modelName, id, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('getVersions', modelName, id);
+  }
+  self.getItemVersions(modelName, id, options)
+    .then(({versions}) => versions.get())
+    .then(spVersions => Bluebird.mapSeries(_.orderBy(spVersions, 'VersionId', 'desc'),
+      spVersion => self.fromSPVersion(modelName, id, spVersion, options)))
+    .then(versions => {
+      cb(null, versions);
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Get the version of the list item of the model instance
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {String} label The version label, e.g. '2.0'
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object, `NOT_FOUND` error when the version does not exist
+ * @param {Object} version The version, see `getVersions()`
+ */
+SharePointConnector.prototype.getVersion = function(modelName, id, label, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('getVersion', modelName, id, label);
+  }
+  Bluebird.join(self.getItemVersions(modelName, id, options), Bluebird.try(() => toVersionId(label)))
+    .then(([{versions}, versionId]) => versions.getById(versionId).get())
+    .then(spVersion => self.fromSPVersion(modelName, id, spVersion, options))
+    .then(version => {
+      cb(null, version);
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Restore the list item of the model instance to the version. The field values of the version are written
+ * to the item as a new version.
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {String} label The version label, e.g. '2.0'
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object, `NOT_FOUND` error when the version does not exist
+ * @param {Object} instance The restored instance
+ */
+SharePointConnector.prototype.restoreVersion = function(modelName, id, label, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('restoreVersion', modelName, id, label);
+  }
+  self.checkNoTransaction(modelName, options)
+    .then(() => Bluebird.join(self.getItemVersions(modelName, id, options), Bluebird.try(() => toVersionId(label))))
+    .then(([{spId, versions}]) => {
+      const restore = new SharePointQueryable(versions, `restoreByLabel(versionlabel='${label}')`).postCore();
+      return Bluebird.resolve(restore)
+        .then(() => self.getItemsById(modelName, [spId], options));
+    })
+    .then(spItems => self.toEntities(modelName, spItems, options))
+    .then(entities => {
+      cb(null, _.first(entities) || null);
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/*!
+ * Gets the versions of the list item of the model instance
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Object} [options] The options object
+ * @returns {Promise<{spId: Number, versions: ItemVersions}>} SharePoint item ID and the versions of the item
+ */
+SharePointConnector.prototype.getItemVersions = function(modelName, id, options) {
+  return this.getSPItemId(modelName, id, options)
+    .then(spId => {
+      if (!spId) {
+        throw createError(`${modelName} with id ${id} does not exist.`, 404, 'NOT_FOUND');
+      }
+      return {spId, versions: this.getList(modelName, options).items.getById(spId).versions};
+    });
+};
+
+/*!
+ * Converts the version of SharePoint list item to the version returned by the connector. The field values
+ * of the version are converted like the values of the item, the values of User and Lookup fields are their IDs.
+ *
+ * @param {String} modelName The model name
+ * @param {*} id The instance id
+ * @param {Object} spVersion SharePoint list item version
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object>}
+ */
+SharePointConnector.prototype.fromSPVersion = function(modelName, id, spVersion, options) {
+  const modelInfo = this._models[modelName];
+  const spLib = new SPLib(modelInfo);
+  const spItem = {};
+  for (const propName of _.reject(Object.keys(modelInfo.properties), prop => spLib.isVirtualProperty(prop))) {
+    const value = getVersionValue(spVersion, spLib.getSPFieldName(propName));
+    _.set(spItem, this.getSPItemPropertyName(modelName, propName),
+      spLib.isLookupField(propName) ? toLookupIds(value) : value);
+  }
+  return this.toEntities(modelName, [spItem], options)
+    .then(([data]) => {
+      data[this.getIdPropertyName(modelName)] = id;
+      const editor = getVersionValue(spVersion, 'Editor');
+      return {
+        label: spVersion.VersionLabel,
+        isCurrent: spVersion.IsCurrentVersion,
+        modified: new Date(getVersionValue(spVersion, 'Modified') || spVersion.Created),
+        modifiedBy: editor ? {id: editor.LookupId, title: editor.LookupValue, email: editor.Email} : null,
+        data
+      };
+    });
+};
+
+/**
+ * Create a webhook subscription of the model list. SharePoint validates the notification URL by sending it
+ * `validationtoken` query parameter which must be echoed within 5 seconds (see WebhookHandler).
+ *
+ * @param {String} modelName The model name
+ * @param {Object} subscription The subscription
+ * @param {String} subscription.notificationUrl The URL receiving the notifications
+ * @param {Date|String} [subscription.expirationDateTime] The expiration, up to 180 days from now. Default: 179 days from now
+ * @param {String} [subscription.clientState] The string sent back with the notifications
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {{id: String, notificationUrl: String, expirationDateTime: Date, clientState: String, resource: String}}
+ * subscription The created subscription, `resource` is the list id
+ */
+SharePointConnector.prototype.createSubscription = function(modelName, subscription, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('createSubscription', modelName, subscription);
+  }
+  const subscriptions = self.getList(modelName, options).subscriptions;
+  Bluebird.try(() => {
+    if (!_.get(subscription, 'notificationUrl')) {
+      throw createError('Subscription cannot be created without notificationUrl.', 400, 'NOTIFICATION_URL_REQUIRED');
+    }
+    return subscriptions.add(subscription.notificationUrl, toSubscriptionExpiration(subscription.expirationDateTime),
+      subscription.clientState);
+  })
+    .then(result => {
+      cb(null, toSubscriptionInfo(result.data));
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Renew the webhook subscription of the model list
+ *
+ * @param {String} modelName The model name
+ * @param {String} id The subscription id
+ * @param {Date|String} [expirationDateTime] The new expiration, up to 180 days from now. Default: 179 days from now
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {Object} subscription The renewed subscription, see `createSubscription()`
+ */
+SharePointConnector.prototype.renewSubscription = function(modelName, id, expirationDateTime, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('renewSubscription', modelName, id, expirationDateTime);
+  }
+  const subscription = self.getList(modelName, options).subscriptions.getById(id);
+  Bluebird.try(() => subscription.update(toSubscriptionExpiration(expirationDateTime)))
+    .then(() => subscription.get())
+    .then(data => {
+      cb(null, toSubscriptionInfo(data));
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Get the webhook subscriptions of the model list
+ *
+ * @param {String} modelName The model name
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {Object[]} subscriptions The subscriptions, see `createSubscription()`
+ */
+SharePointConnector.prototype.getSubscriptions = function(modelName, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('getSubscriptions', modelName);
+  }
+  Bluebird.resolve(self.getList(modelName, options).subscriptions.get())
+    .then(subscriptions => {
+      cb(null, _.map(subscriptions, toSubscriptionInfo));
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Delete the webhook subscription of the model list
+ *
+ * @param {String} modelName The model name
+ * @param {String} id The subscription id
+ * @param {Object} options The options object
+ * @param {Function} [cb] The callback function
+ */
+SharePointConnector.prototype.deleteSubscription = function(modelName, id, options, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('deleteSubscription', modelName, id);
+  }
+  Bluebird.resolve(self.getList(modelName, options).subscriptions.getById(id).delete())
+    .then(() => {
+      cb(null, {count: 1});
+    })
+    .catch(err => {
+      err = toLoopBackError(err);
+      if (err.code === 'NOT_FOUND') {
+        return cb(null, {count: 0});
+      }
+      cb(err);
+    });
+};
+
+/*!
+ * Gets the id of the model list
+ *
+ * @param {String} modelName The model name
+ * @param {Object} [options] The options object
+ * @returns {Promise<String>}
+ */
+SharePointConnector.prototype.getListId = function(modelName, options) {
+  return Bluebird.resolve(this.getList(modelName, options).select('Id').get())
+    .then(list => list.Id);
+};
+
+/**
+ * Perform automigrate for the given models. It drops the corresponding lists (if they exist) and creates them again
+ * @param {String[]} [models] A model name or an array of model names. If not present, apply to all models
+ * @param {Function} [cb] The callback function
+ */
+SharePointConnector.prototype.automigrate = function(models, cb) {
+  const self = this;
+  if (self.debug) {
+    debug('automigrate');
+  }
+  let orderedModels;
+  return Bluebird.try(() => {
+    orderedModels = self.orderModelsByLookups(models);
+    // lists referencing other lists are dropped before the lists they reference
+    return Bluebird.mapSeries(_.reverse(orderedModels.slice()), model => {
+      return self.dropList(model);
+    });
+  })
+    .then(() => {
+      return Bluebird.mapSeries(orderedModels, model => {
+        return self.createList(model);
+      });
+    })
+    .then(() => {
+      cb();
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Update the lists of the given models preserving their items. Missing lists and fields are created,
+ * changed field types, `required` settings and choices are updated where SharePoint allows it.
+ * Fields which are not mapped to model properties are reported as orphaned but never deleted.
+ * @param {String[]} [models] A model name or an array of model names. If not present, apply to all models
+ * @param {Object} [options] The options object
+ * @param {Boolean} [options.dryRun] When true the changes are only planned and returned without being applied
+ * @param {Function} [cb] The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {Object[]} changes The schema changes of the lists (see `getSchemaChanges()`)
+ */
+SharePointConnector.prototype.autoupdate = function(models, options, cb) {
+  const self = this;
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+  if (self.debug) {
+    debug('autoupdate', models, options);
+  }
+  Bluebird.try(() => self.orderModelsByLookups(models))
+    .then(orderedModels => Bluebird.mapSeries(orderedModels, model => self.getSchemaChanges(model)))
+    .then(changes => {
+      if (options.dryRun) {
+        return changes;
+      }
+      return Bluebird.each(changes, change => self.applySchemaChanges(change))
+        .then(() => changes);
+    })
+    .then(changes => {
+      for (const change of changes) {
+        if (!_.isEmpty(change.orphanedFields)) {
+          debug('List %s contains fields not mapped to %s properties: %s', change.list, change.model,
+            change.orphanedFields.join(', '));
+        }
+      }
+      cb(null, changes);
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Check whether the lists of the given models match the model definitions
+ * @param {String[]} [models] A model name or an array of model names. If not present, apply to all models
+ * @param {Function} [cb] The callback function
+ */
+SharePointConnector.prototype.isActual = function(models, cb) {
+  const self = this;
+  if (typeof models === 'function') {
+    cb = models;
+    models = undefined;
+  }
+  self.autoupdate(models, {dryRun: true}, (err, changes) => {
+    if (err) {
+      return cb(err);
+    }
+    cb(null, _.every(changes, change => !change.createList && _.isEmpty(change.addFields) &&
+      _.isEmpty(change.updateFields)));
+  });
+};
+
+/*!
+ * Orders the models so that the lists referenced by Lookup columns are created before the lists referencing them.
+ * Lookup columns referencing the list of the same model or lists of models which are not being ordered are ignored.
+ * Throws error if the lists reference each other in a cycle, as none of them can be created first.
+ *
+ * @param {String[]} [models] A model name or an array of model names. If not present, all models are ordered
+ * @returns {String[]} The ordered model names
+ */
+SharePointConnector.prototype.orderModelsByLookups = function(models) {
+  models = models ? _.castArray(models) : Object.keys(this._models);
+  const modelsByList = _.groupBy(models, model => this.getSPListTitle(model));
+  const ordered = [];
+  const path = [];
+  const visit = model => {
+    if (_.includes(ordered, model)) {
+      return;
+    }
+    if (_.includes(path, model)) {
+      const cycle = [...path.slice(path.indexOf(model)), model];
+      const message = `Lists of models ${cycle.join(' -> ')} reference each other by Lookup columns, ` +
+        'so none of them can be created first. Remove the Lookup column from one of them.';
+      throw createError(message, 400, 'INVALID_MODEL_DEFINITION');
+    }
+    path.push(model);
+    const referencedModels = _.flatMap(this.getLookupListTitles(model), listTitle => modelsByList[listTitle] || []);
+    _.without(referencedModels, model).forEach(visit);
+    path.pop();
+    ordered.push(model);
+  };
+  models.forEach(visit);
+  return ordered;
+};
+
+/*!
+ * Deletes the list of the model if it exists
+ *
+ * @param {String} modelName The model name
+ */
+SharePointConnector.prototype.dropList = function(modelName) {
+  delete this.rootFolderUrls[this.getListKey(modelName)];
+  return this.getList(modelName).delete()
+    .catch(err => {
+      if (toLoopBackError(err).code !== 'NOT_FOUND') {
+        throw err;
+      }
+    });
+};
+
+SharePointConnector.prototype.createList = function(modelName) {
+  const listTitle = this.getSPListTitle(modelName);
+  const model = this._models[modelName];
+  const listSettings = {};
+  const attachments = _.get(model, 'settings.sharepoint.attachments');
+  if (_.isBoolean(attachments)) {
+    listSettings.EnableAttachments = attachments;
+  }
+  let versioning;
+  try {
+    versioning = toVersioningSettings(_.get(model, 'settings.sharepoint.versioning'), this.isDocumentLibrary(modelName));
+  } catch (err) {
+    return Bluebird.reject(err);
+  }
+  _.assign(listSettings, versioning.list);
+
+  const template = this.isDocumentLibrary(modelName) ? DOCUMENT_LIBRARY_TEMPLATE : GENERIC_LIST_TEMPLATE;
+  return this.getWeb(modelName).lists.add(listTitle, '', template, false, listSettings)
+    .then(() => {
+      // version limits can be set once versioning is enabled
+      return _.isEmpty(versioning.limits) ? null : this.getList(modelName).update(versioning.limits);
+    })
+    .then(() => {
+      return this.getList(modelName).fields.get();
+    })
+    .then((defaultFields) => {
+      const existingSPFields = _.map(defaultFields, 'InternalName');
+      const spLib = new SPLib(model);
+      // skip fields which already exist and ETag and attachments properties which are not stored in fields
+      const props = _.reject(Object.keys(model.properties),
+        prop => _.includes(existingSPFields, spLib.getSPFieldName(prop)) || spLib.isVirtualProperty(prop));
+      return this.addSPFields(modelName, props);
+    });
+};
+
+/*!
+ * Adds SharePoint fields storing specified LB model properties to the list of the model and to its default view
+ *
+ * @param {String} modelName The model name
+ * @param {String[]} props Property names
+ */
+SharePointConnector.prototype.addSPFields = function(modelName, props) {
+  const spLib = new SPLib(this._models[modelName]);
+  const lookupListIds = {};
+
+  // Lookup columns are created with ID of the list they reference
+  const lookupProps = _.filter(props, prop => spLib.getSPFieldType(prop) === 'Lookup');
+  return Bluebird.each(lookupProps, prop => {
+    return this.getWeb(modelName).lists.getByTitle(this.getSPLookupListTitle(modelName, prop)).select('Id').get()
+      .then(lookupList => {
+        lookupListIds[prop] = lookupList.Id;
+      });
+  })
+    .then(() => {
+      const addFieldsBatch = this.createBatch(modelName);
+      const addFieldsToDefaultViewBatch = this.createBatch(modelName);
+
+      const list = this.getList(modelName);
+      const addedFields = _.map(props, prop => {
+        list.defaultView.fields.inBatch(addFieldsToDefaultViewBatch).add(spLib.getSPFieldName(prop));
+        return this.addSPField(list.fields.inBatch(addFieldsBatch), modelName, prop, lookupListIds[prop]);
+      });
+      // add fields to list and then add those fields to default view
+      return Bluebird.join(addFieldsBatch.execute(), Bluebird.all(addedFields))
+        .then(() => {
+          return addFieldsToDefaultViewBatch.execute();
+        });
+    });
+};
+
+/*!
+ * Compares the model definition with the fields of its list and returns the changes needed to bring the list in line:
+ * - `createList` - the list does not exist
+ * - `addFields` - properties which are not stored in any field yet
+ * - `updateFields` - fields whose type, `Required`, `Indexed`, `EnforceUniqueValues` settings or choices differ
+ *   from the property definition
+ *   (`changes` contains the old and new values, e.g. `{Required: {from: false, to: true}}`)
+ * - `unsupportedChanges` - field type changes which SharePoint cannot apply without losing data
+ * - `orphanedFields` - custom fields which are not mapped to any property
+ *
+ * @param {String} modelName The model name
+ * @returns {Promise<Object>}
+ */
+SharePointConnector.prototype.getSchemaChanges = function(modelName) {
+  const self = this;
+  const model = self._models[modelName];
+  const spLib = new SPLib(model);
+  const listTitle = self.getSPListTitle(modelName);
+  const props = _.reject(Object.keys(model.properties), prop => spLib.isVirtualProperty(prop));
+  const changes = {
+    model: modelName,
+    list: listTitle,
+    createList: false,
+    addFields: [],
+    updateFields: [],
+    unsupportedChanges: [],
+    orphanedFields: []
+  };
+  return self.getList(modelName).fields.get()
+    .then(spFields => {
+      for (const prop of props) {
+        const expected = self.getSPFieldSchema(modelName, prop);
+        const spField = _.find(spFields, {InternalName: expected.InternalName});
+        if (!spField) {
+          changes.addFields.push({property: prop, field: expected.InternalName, type: expected.TypeAsString});
+          continue;
+        }
+        // fields from the base list type (ID, Title, Created, etc.) are not changed
+        if (spField.FromBaseType) {
+          continue;
+        }
+        const fieldChanges = {};
+        if (spField.TypeAsString !== expected.TypeAsString) {
+          if (!isCompatibleFieldType(spField.TypeAsString, expected.TypeAsString)) {
+            changes.unsupportedChanges.push({
+              property: prop,
+              field: expected.InternalName,
+              reason: `Field type cannot be changed from ${spField.TypeAsString} to ${expected.TypeAsString}.`
+            });
+            continue;
+          }
+          fieldChanges.TypeAsString = {from: spField.TypeAsString, to: expected.TypeAsString};
+        }
+        for (const key of UPDATABLE_FIELD_PROPERTIES) {
+          if (!!spField[key] !== expected[key]) {
+            fieldChanges[key] = {from: !!spField[key], to: expected[key]};
+          }
+        }
+        const choices = getCollectionValues(spField.Choices);
+        if (expected.Choices && !_.isEqual(choices, expected.Choices)) {
+          fieldChanges.Choices = {from: choices, to: expected.Choices};
+        }
+        if (!_.isEmpty(fieldChanges)) {
+          changes.updateFields.push({
+            property: prop,
+            field: expected.InternalName,
+            type: expected.TypeAsString,
+            changes: fieldChanges
+          });
+        }
+      }
+      const mappedFields = _.map(props, prop => spLib.getSPFieldName(prop));
+      changes.orphanedFields = _.map(_.filter(spFields, spField => isCustomField(spField) &&
+        !_.includes(mappedFields, spField.InternalName)), 'InternalName');
+      return changes;
+    })
+    .catch(err => {
+      if (toLoopBackError(err).code !== 'NOT_FOUND') {
+        throw err;
+      }
+      changes.createList = true;
+      changes.addFields = _.map(props, prop => {
+        const expected = self.getSPFieldSchema(modelName, prop);
+        return {property: prop, field: expected.InternalName, type: expected.TypeAsString};
+      });
+      return changes;
+    });
+};
+
+/*!
+ * Applies the schema changes returned by `getSchemaChanges()` to the list of the model
+ *
+ * @param {Object} changes The schema changes
+ */
+SharePointConnector.prototype.applySchemaChanges = function(changes) {
+  const self = this;
+  const modelName = changes.model;
+  if (changes.createList) {
+    return self.createList(modelName);
+  }
+  const fields = self.getList(modelName).fields;
+  return self.addSPFields(modelName, _.map(changes.addFields, 'property'))
+    .then(() => {
+      return Bluebird.each(changes.updateFields, ({field, type, changes: fieldChanges}) => {
+        const spField = fields.getByInternalNameOrTitle(field);
+        // the type is changed first, so that type specific properties (e.g. choices) can be set after it
+        const changeType = fieldChanges.TypeAsString ?
+          spField.update({FieldTypeKind: FieldTypes[type]}) :
+          Bluebird.resolve();
+        return changeType.then(() => {
+          const properties = {};
+          let fieldType = 'SP.Field';
+          for (const key of UPDATABLE_FIELD_PROPERTIES) {
+            if (fieldChanges[key]) {
+              properties[key] = fieldChanges[key].to;
+            }
+          }
+          if (fieldChanges.Choices) {
+            properties.Choices = {__metadata: {type: 'Collection(Edm.String)'}, results: fieldChanges.Choices.to};
+            fieldType = `SP.Field${type}`;
+          }
+          return _.isEmpty(properties) ? null : spField.update(properties, fieldType);
+        });
+      });
+    });
+};
+
+/*!
+ * Gets the schema of SharePoint field expected for specified LB model property:
+ * `InternalName`, `TypeAsString` (e.g. 'UserMulti' for multi-user fields), `Required`, `Indexed`,
+ * `EnforceUniqueValues` and `Choices`
+ *
+ * @param {String} modelName The model name
+ * @param {String} prop Property name
+ */
+SharePointConnector.prototype.getSPFieldSchema = function(modelName, prop) {
+  const spLib = new SPLib(this._models[modelName]);
+  const fieldType = spLib.getSPFieldType(prop);
+  const fieldProps = this.getSPFieldProperties(modelName, prop);
+  const schema = {
+    InternalName: spLib.getSPFieldName(prop),
+    TypeAsString: fieldType,
+    Required: !!fieldProps.Required,
+    Indexed: !!fieldProps.Indexed,
+    EnforceUniqueValues: !!fieldProps.EnforceUniqueValues
+  };
+  if ((fieldType === 'User' || fieldType === 'Lookup') && spLib.isMultiValueField(prop)) {
+    schema.TypeAsString = `${fieldType}Multi`;
+  }
+  if (fieldType === 'Choice' || fieldType === 'MultiChoice') {
+    schema.Choices = this.getSPChoices(modelName, prop);
+  }
+  return schema;
+};
+
+/**
+ * Discover the lists of the site which can be mapped to models. Hidden, catalog and system lists are left out.
+ * @param {Object} options The options object
+ * @param {String} [options.owner] URL of the subsite to discover (absolute or relative to `siteUrl`).
+ * Default: the site of the data source
+ * @param {Number} [options.limit] Maximum number of lists to return
+ * @param {Number} [options.offset] Number of lists to skip
+ * @param {Function} cb The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {Object[]} models `{type: 'table', name, owner}` objects where `name` is the list title
+ * and `owner` is the subsite URL (when specified)
+ */
+SharePointConnector.prototype.discoverModelDefinitions = function(options, cb) {
+  const self = this;
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+  if (self.debug) {
+    debug('discoverModelDefinitions', options);
+  }
+  self.getDiscoveryWeb(options).lists.get()
+    .then(spLists => {
+      let lists = _.filter(spLists, isDiscoverableList);
+      if (options.offset) {
+        lists = _.drop(lists, options.offset);
+      }
+      if (options.limit) {
+        lists = _.take(lists, options.limit);
+      }
+      cb(null, _.map(lists, spList => _.omitBy({type: 'table', name: spList.Title, owner: options.owner}, _.isNil)));
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Discover the properties of the model stored in the list
+ * @param {String} listTitle The list title
+ * @param {Object} options The options object
+ * @param {String} [options.owner] URL of the subsite containing the list, see `discoverModelDefinitions()`
+ * @param {Function} cb The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {Object[]} properties `{tableName, columnName, dataType, dataLength, nullable, type}` objects
+ */
+SharePointConnector.prototype.discoverModelProperties = function(listTitle, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  this.discoverPropertyDefinitions(listTitle, options)
+    .then(properties => {
+      cb(null, _.map(properties, property => ({
+        tableName: listTitle,
+        columnName: property.sharepoint.columnName,
+        dataType: property.sharepoint.dataType,
+        dataLength: property.length,
+        nullable: property.required ? 'N' : 'Y',
+        type: property.type
+      })));
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/**
+ * Discover the primary keys of the list. SharePoint list items are identified by `ID` field
+ * @param {String} listTitle The list title
+ * @param {Object} options The options object
+ * @param {Function} cb The callback function
+ */
+SharePointConnector.prototype.discoverPrimaryKeys = function(listTitle, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+  }
+  process.nextTick(() => {
+    cb(null, [{tableName: listTitle, columnName: 'ID', keySeq: 1, pkName: 'ID'}]);
+  });
+};
+
+/**
+ * Discover the definition of the model stored in the list. The model is mapped to the list with `sharepoint.list` setting
+ * (and to the subsite with `sharepoint.webUrl` setting) and its properties are mapped to the fields
+ * with `sharepoint.columnName` and `sharepoint.dataType` settings.
+ * @param {String} listTitle The list title
+ * @param {Object} options The options object
+ * @param {String} [options.owner] URL of the subsite containing the list, see `discoverModelDefinitions()`
+ * @param {Function} cb The callback function
+ *
+ * @callback cb
+ * @param {Error} err The error object
+ * @param {Object} schemas Model definitions by list title
+ */
+SharePointConnector.prototype.discoverSchemas = function(listTitle, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
+  if (this.debug) {
+    debug('discoverSchemas', listTitle, options);
+  }
+  this.discoverPropertyDefinitions(listTitle, options)
+    .then(properties => {
+      const schema = {
+        name: getLoopBackName(listTitle, true),
+        options: {
+          idInjection: false,
+          sharepoint: _.omitBy({list: listTitle, webUrl: options.owner}, _.isNil)
+        },
+        properties: {}
+      };
+      for (const property of properties) {
+        schema.properties[getLoopBackName(property.sharepoint.columnName)] = property;
+      }
+      cb(null, {[listTitle]: schema});
+    })
+    .catch(err => {
+      cb(toLoopBackError(err));
+    });
+};
+
+/*!
+ * Gets the web discovered by the discovery methods: the subsite of `options.owner` or the site of the data source
+ *
+ * @param {Object} [options] The options object
+ * @returns {Web}
+ */
+SharePointConnector.prototype.getDiscoveryWeb = function(options) {
+  return this.spClient.getSP(_.get(options, 'owner')).web;
+};
+
+/*!
+ * Gets the definitions of LB model properties stored in the fields of the list.
+ * Lookup fields are completed with the title of the list they reference (`sharepoint.lookupList`).
+ *
+ * @param {String} listTitle The list title
+ * @param {Object} [options] The options object with optional `owner` subsite URL
+ * @returns {Promise<Object[]>}
+ */
+SharePointConnector.prototype.discoverPropertyDefinitions = function(listTitle, options) {
+  const web = this.getDiscoveryWeb(options);
+  let spFields;
+  return web.lists.getByTitle(listTitle).fields.get()
+    .then(fields => {
+      spFields = _.filter(fields, isDiscoverableField);
+      const lookupListIds = _.uniq(_.compact(_.map(_.filter(spFields, spField => /^Lookup/.test(spField.TypeAsString)),
+        'LookupList')));
+      return Bluebird.mapSeries(lookupListIds, lookupListId => {
+        return web.lists.getById(lookupListId).select('Title').get()
+          .then(lookupList => [lookupListId, lookupList.Title]);
+      });
+    })
+    .then(lookupLists => {
+      const lookupListTitles = _.fromPairs(lookupLists);
+      return _.map(spFields, spField => {
+        const property = toPropertyDefinition(spField);
+        if (spField.LookupList && lookupListTitles[spField.LookupList]) {
+          property.sharepoint.lookupList = lookupListTitles[spField.LookupList];
+        }
+        return property;
+      });
+    });
+};
+
+/*!
+ * Adds SharePoint field storing specified LB model property. Field options are taken from the property definition:
+ * choices of Choice/MultiChoice fields from `enum`, other options from `sharepoint` property settings
+ * (`richText`, `numberOfLines`, `currencyLocaleId`, `displayFormat`, `formula`, `outputType`, `lookupField`,
+ * `selectionMode`, `multiple`). Field constraints are set as returned by `getSPFieldProperties()`.
+ *
+ * @param {Object} fields SharePoint list fields collection
+ * @param {String} modelName The model name
+ * @param {String} prop Property name
+ * @param {String} [lookupListId] ID of the list referenced by Lookup field
+ */
+SharePointConnector.prototype.addSPField = function(fields, modelName, prop, lookupListId) {
+  const propDefinition = this._models[modelName].properties[prop];
+  const spSettings = propDefinition.sharepoint || {};
+  const spLib = new SPLib(this._models[modelName]);
+  const spFieldName = spLib.getSPFieldName(prop);
+  const fieldType = spLib.getSPFieldType(prop);
+  const fieldProps = this.getSPFieldProperties(modelName, prop);
+  switch (fieldType) {
+    case 'Lookup': {
+      // Lookup fields are created from SP.FieldCreationInformation which accepts only `Required` constraint,
+      // so the other constraints are set once the field is created
+      const otherProps = _.omit(fieldProps, 'Required');
+      return fields.addLookup(spFieldName, lookupListId, spSettings.lookupField || 'Title', _.pick(fieldProps, 'Required'))
+        .then(result => (_.isEmpty(otherProps) ? result : result.field.update(otherProps, 'SP.FieldLookup')));
+    }
+    case 'User':
+      return fields.addUser(spFieldName, FieldUserSelectionMode[spSettings.selectionMode || 'PeopleOnly'],
+        _.assign({AllowMultipleValues: spLib.isMultiValueField(prop)}, fieldProps));
+    case 'Choice':
+      return fields.addChoice(spFieldName, this.getSPChoices(modelName, prop), ChoiceFieldFormatType.Dropdown,
+        !!spSettings.fillIn, fieldProps);
+    case 'MultiChoice':
+      return fields.addMultiChoice(spFieldName, this.getSPChoices(modelName, prop), !!spSettings.fillIn, fieldProps);
+    case 'Note':
+      return fields.addMultilineText(spFieldName, spSettings.numberOfLines, !!spSettings.richText, false, false, true,
+        fieldProps);
+    case 'Currency':
+      return fields.addCurrency(spFieldName, undefined, undefined, spSettings.currencyLocaleId, fieldProps);
+    case 'URL':
+      return fields.addUrl(spFieldName, UrlFieldFormatType[spSettings.displayFormat || 'Hyperlink'], fieldProps);
+    case 'Calculated': {
+      if (!spSettings.formula) {
+        throw createError(`Calculated property ${prop} of ${modelName} requires 'sharepoint.formula' setting.`, 400,
+          'INVALID_MODEL_DEFINITION');
+      }
+      const outputType = spLib.getCamlValueType(prop);
+      return fields.addCalculated(spFieldName, spSettings.formula, DateTimeFieldFormatType.DateOnly,
+        FieldTypes[outputType], fieldProps);
+    }
+    default:
+      return fields.add(spFieldName, `SP.Field${fieldType}`, _.assign({FieldTypeKind: FieldTypes[fieldType]}, fieldProps));
+  }
+};
+
+/*!
+ * Gets the constraints of SharePoint field set from the definition of specified LB model property:
+ * - `Required` from `required`
+ * - `Indexed` from `index` and `EnforceUniqueValues` from `index: {unique: true}`
+ * - `DefaultValue` from `default` ('now' default of date properties sets today's date)
+ * - `MaxLength` of Text fields from `length`
+ * - `ValidationFormula` and `ValidationMessage` from `sharepoint.validation` set either to the formula
+ *   or to `{formula, message}` object
+ *
+ * @param {String} modelName The model name
+ * @param {String} prop Property name
+ */
+SharePointConnector.prototype.getSPFieldProperties = function(modelName, prop) {
+  const propDefinition = this._models[modelName].properties[prop];
+  const spLib = new SPLib(this._models[modelName]);
+  const fieldProps = {};
+  if (propDefinition.required) {
+    fieldProps.Required = true;
+  }
+  if (propDefinition.index) {
+    fieldProps.Indexed = true;
+    if (_.get(propDefinition, 'index.unique')) {
+      fieldProps.EnforceUniqueValues = true;
+    }
+  }
+  if (!_.isNil(propDefinition.default) && !_.isFunction(propDefinition.default)) {
+    fieldProps.DefaultValue = toSPDefaultValue(propDefinition.default, spLib.getValueType(prop));
+  }
+  if (propDefinition.length && spLib.getSPFieldType(prop) === 'Text') {
+    fieldProps.MaxLength = propDefinition.length;
+  }
+  const validation = _.get(propDefinition, 'sharepoint.validation');
+  if (validation) {
+    fieldProps.ValidationFormula = _.isString(validation) ? validation : validation.formula;
+    if (validation.message) {
+      fieldProps.ValidationMessage = validation.message;
+    }
+  }
+  return fieldProps;
+};
+
+/*!
+ * Gets the choices of SharePoint Choice/MultiChoice field from `enum` of specified LB model property
+ *
+ * @param {String} modelName The model name
+ * @param {String} propName Property name
+ */
+SharePointConnector.prototype.getSPChoices = function(modelName, propName) {
+  const choices = _.get(this._models[modelName], `properties.${propName}.enum`);
+  if (_.isEmpty(choices)) {
+    throw createError(`Choice property ${propName} of ${modelName} requires 'enum' listing the choices.`, 400,
+      'INVALID_MODEL_DEFINITION');
+  }
+  return choices;
+};
+
+Connector.defineAliases(SharePointConnector.prototype, 'find', 'findById');
+
+/*!
+ * Converts SharePoint items to LB entities, fills values of User properties with user details
+ * and makes folder paths relative to the list root folder
+ *
+ * @param {String} modelName The model name
+ * @param {Object[]} spItems SharePoint items
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object[]>}
+ */
+SharePointConnector.prototype.toEntities = function(modelName, spItems, options) {
+  const entities = _.map(spItems, spItem => this.fromSPItem(modelName, spItem));
+  return Bluebird.join(this.fillUsers(modelName, entities, options), this.fillFolders(modelName, entities, options))
+    .then(() => entities);
+};
+
+/*!
+ * Completes `{id}` values of User properties of LB entities with the details of the users
+ *
+ * @param {String} modelName The model name
+ * @param {Object[]} entities LB entities
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object[]>}
+ */
+SharePointConnector.prototype.fillUsers = function(modelName, entities, options) {
+  const self = this;
+  const spLib = new SPLib(self._models[modelName]);
+  const userProps = _.filter(Object.keys(self._models[modelName].properties), prop => spLib.getSPFieldType(prop) === 'User');
+  const userValues = _.flatMap(userProps, prop => _.compact(_.flatMap(entities, entity => entity && entity[prop])));
+  if (_.isEmpty(userValues)) {
+    return Bluebird.resolve(entities);
+  }
+  return self.getSiteUsers(modelName, _.uniq(_.map(userValues, 'id')), options)
+    .then(users => {
+      for (const userValue of userValues) {
+        _.assign(userValue, users[userValue.id]);
+      }
+      return entities;
+    });
+};
+
+/*!
+ * Converts server relative URLs held by the folder property of LB entities to the paths relative to the list root folder,
+ * e.g. `Customers/Acme` (empty string for the items of the root folder)
+ *
+ * @param {String} modelName The model name
+ * @param {Object[]} entities LB entities
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object[]>}
+ */
+SharePointConnector.prototype.fillFolders = function(modelName, entities, options) {
+  const spLib = new SPLib(this._models[modelName]);
+  const folderProp = _.find(Object.keys(this._models[modelName].properties), prop => spLib.isFolderProperty(prop));
+  const folderEntities = folderProp ? _.filter(entities, entity => _.isString(_.get(entity, folderProp))) : [];
+  if (_.isEmpty(folderEntities)) {
+    return Bluebird.resolve(entities);
+  }
+  return this.getRootFolderUrl(modelName, options)
+    .then(rootUrl => {
+      for (const entity of folderEntities) {
+        if (isInFolder(entity[folderProp], rootUrl)) {
+          entity[folderProp] = _.trim(entity[folderProp].substring(rootUrl.length), '/');
+        }
+      }
+      return entities;
+    });
+};
+
+/*!
+ * Gets details of the site users by their IDs
+ *
+ * @param {String} modelName The model name
+ * @param {Number[]} ids User IDs
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object>} `{id, title, email, loginName}` objects by user ID
+ */
+SharePointConnector.prototype.getSiteUsers = function(modelName, ids, options) {
+  const web = this.getWeb(modelName, options);
+  return Bluebird.map(_.chunk(ids, USERS_PAGE_SIZE), chunk => {
+    const filter = _.map(chunk, id => `Id eq ${id}`).join(' or ');
+    return web.siteUsers.filter(filter).select('Id', 'Title', 'Email', 'LoginName').get();
+  }, {concurrency: 1})
+    .then(pages => {
+      const users = {};
+      for (const user of _.flatten(pages)) {
+        users[user.Id] = {id: user.Id, title: user.Title, email: user.Email, loginName: user.LoginName};
+      }
+      return users;
+    });
+};
+
+/*!
+ * Resolves users specified by email or login name in User properties of LB model data to their IDs.
+ * The users are added to the site if needed (see `ensureUser`).
+ *
+ * @param {String} modelName The model name
+ * @param {Object} data The model data
+ * @param {Object} [options] The options object
+ * @returns {Promise<Object>} The model data with user IDs
+ */
+SharePointConnector.prototype.ensureUsers = function(modelName, data, options) {
+  const self = this;
+  const spLib = new SPLib(self._models[modelName]);
+  const userProps = _.filter(Object.keys(data || {}),
+    prop => _.has(self._models[modelName].properties, prop) && spLib.getSPFieldType(prop) === 'User');
+  if (_.isEmpty(userProps)) {
+    return Bluebird.resolve(data);
+  }
+  const resolved = _.clone(data);
+  return Bluebird.each(userProps, prop => {
+    if (_.isNil(data[prop])) {
+      return;
+    }
+    return Bluebird.mapSeries(_.castArray(data[prop]), ensureUserId)
+      .then(ids => {
+        resolved[prop] = _.isArray(data[prop]) ? ids : ids[0];
+      });
+  })
+    .then(() => resolved);
+
+  function ensureUserId(user) {
+    const loginName = _.isString(user) ? user : _.get(user, 'loginName') || _.get(user, 'email');
+    if (_.isNumber(user) || _.has(user, 'id') || !loginName || /^\d+$/.test(loginName)) {
+      return user;
+    }
+    return self.getWeb(modelName, options).ensureUser(loginName)
+      .then(result => result.data.Id)
+      .catch(err => {
+        err = toLoopBackError(err);
+        if (err.statusCode === 404 || err.statusCode === 400) {
+          throw createError(`User ${loginName} cannot be found.`, 400, 'USER_NOT_FOUND');
+        }
+        throw err;
+      });
+  }
+};
+
+/*!
+ * Convert the data from SharePoint to LB entity
+ *
+ * @param {String} modelName The model name
+ * @param {Object} data The data from SharePoint
+ */
+SharePointConnector.prototype.fromSPItem = function(modelName, spItem) {
+  if (!spItem) {
+    return null;
+  }
+  const lbEntity = {};
+  const modelInfo = this._models[modelName];
+  const spLib = new SPLib(modelInfo);
+  for (const propName in modelInfo.properties) {
+    if (spLib.isETagProperty(propName)) {
+      // depending on OData metadata level ETag is returned either as `odata.etag` or in `__metadata` object
+      lbEntity[propName] = spItem['odata.etag'] || _.get(spItem, '__metadata.etag');
+      continue;
+    }
+    if (spLib.isAttachmentsProperty(propName)) {
+      // attachment files are returned only when they are expanded (see `includeAttachments` option)
+      if (_.has(spItem, 'AttachmentFiles')) {
+        lbEntity[propName] = _.map(getCollectionValues(spItem.AttachmentFiles), toAttachmentInfo);
+      }
+      continue;
+    }
+    if (spLib.isFileProperty(propName)) {
+      if (_.has(spItem, 'File')) {
+        lbEntity[propName] = toFileInfo(spItem.File);
+      }
+      continue;
+    }
+    if (spLib.isContentProperty(propName)) {
+      // file content is downloaded only by `downloadFile`
+      continue;
+    }
+    if (spLib.isFolderProperty(propName)) {
+      // server relative URL of the folder is converted to the path relative to the list root folder by `toEntities`
+      const folderUrl = _.get(spItem, 'FieldValuesAsText.FileDirRef');
+      if (folderUrl !== undefined) {
+        lbEntity[propName] = folderUrl;
+      }
+      continue;
+    }
+    const spPropName = this.getSPItemPropertyName(modelName, propName);
+    _.set(lbEntity, propName, spLib.fromSPValue(propName, _.get(spItem, spPropName)));
+  }
+  return lbEntity;
+};
+
+/*!
+ * Convert the data from LB entity to SharePoint item. Undefined values and values of read-only fields are left out.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} lbItem The LoopBack model instance
+ * @param {Boolean} [isNew] Whether the item is being created
+ */
+SharePointConnector.prototype.toSPItem = function(modelName, lbEntity, isNew) {
+  const spItem = {};
+  const modelInfo = this._models[modelName];
+  const spLib = new SPLib(modelInfo);
+  for (const propName in modelInfo.properties) {
+    const value = _.get(lbEntity, propName);
+    if (value === undefined || spLib.isVirtualProperty(propName) || spLib.isReadOnlyField(propName, isNew)) {
+      continue;
+    }
+    const spPropName = this.getSPItemPropertyName(modelName, propName);
+    _.set(spItem, spPropName, spLib.toSPValue(propName, value));
+  }
+  return spItem;
+};
+
+/*!
+ * Convert an object containing LB model properties to one with SharePoint properties.
+ * Undefined values and values of read-only fields are left out.
+ *
+ * @param {String} modelName The model name
+ * @param {Object} lbProperties and object containing key-values where keys are LoopBack model properties
+ */
+SharePointConnector.prototype.toSPProperties = function(modelName, lbProperties) {
+  if (!lbProperties) {
+    return null;
+  }
+  const spProperties = {};
+  const spLib = new SPLib(this._models[modelName]);
+  for (const propName in lbProperties) {
+    if (lbProperties[propName] === undefined || spLib.isVirtualProperty(propName) || spLib.isReadOnlyField(propName)) {
+      continue;
+    }
+    const spPropName = this.getSPItemPropertyName(modelName, propName);
+    spProperties[spPropName] = spLib.toSPValue(propName, lbProperties[propName]);
+  }
+  return spProperties;
+};
+
+/*
+ * Gets the title of the SharePoint list for the specified LB model
+ *
+ * @param {String} modelName The model name
+ */
+SharePointConnector.prototype.getSPListTitle = function(modelName) {
+  const modelInfo = this._models[modelName];
+  const listTitle = _.get(modelInfo, 'settings.sharepoint.list');
+  return listTitle || modelName;
+};
+
+/*!
+ * Gets the web storing the list of the model: the subsite set by `sharepoint.webUrl` model setting
+ * (absolute URL or URL relative to the site) or the site of the data source.
+ * Requests of the web are sent on behalf of the caller when the options carry the access token (see getAccessToken).
+ *
+ * @param {String} modelName The model name
+ * @param {Object} [options] The options object of the call, omitted by schema operations using the service identity
+ * @returns {Web}
+ */
+SharePointConnector.prototype.getWeb = function(modelName, options) {
+  return this.spClient.getSP(this.getWebUrl(modelName), this.getAccessToken(options)).web;
+};
+
+/*!
+ * Gets the access token of the caller from `sharepointToken` option: the token itself or a function returning it
+ * (or its promise) called with the options object before each request.
+ * The calls without the token use the service identity of `authConfig` unless `fallbackToServiceIdentity` setting
+ * is false. Then they fail with 401 `TOKEN_REQUIRED` error.
+ *
+ * @param {Object} [options] The options object
+ * @returns {Function} Function returning promise of the token, undefined for the service identity
+ */
+SharePointConnector.prototype.getAccessToken = function(options) {
+  const token = _.get(options, 'sharepointToken');
+  const required = !!options && this.settings.fallbackToServiceIdentity === false;
+  if (!token && !required) {
+    return undefined;
+  }
+  return () => Bluebird.try(() => (_.isFunction(token) ? token(options) : token))
+    .then(accessToken => {
+      if (!accessToken && required) {
+        throw createError('SharePoint access token of the caller is required, pass it in sharepointToken option.', 401,
+          'TOKEN_REQUIRED');
+      }
+      return accessToken;
+    });
+};
+
+/*!
+ * Gets `sharepoint.webUrl` setting of the model
+ *
+ * @param {String} modelName The model name
+ * @returns {String} The web URL, undefined for the lists stored in the site of the data source
+ */
+SharePointConnector.prototype.getWebUrl = function(modelName) {
+  return _.get(this._models[modelName], 'settings.sharepoint.webUrl');
+};
+
+/*!
+ * Gets the SharePoint list of the model
+ *
+ * @param {String} modelName The model name
+ * @param {Object} [options] The options object
+ * @returns {List}
+ */
+SharePointConnector.prototype.getList = function(modelName, options) {
+  return this.getWeb(modelName, options).lists.getByTitle(this.getSPListTitle(modelName));
+};
+
+/*!
+ * Gets the key identifying the list of the model among the lists of all webs
+ *
+ * @param {String} modelName The model name
+ * @returns {String}
+ */
+SharePointConnector.prototype.getListKey = function(modelName) {
+  return `${this.spClient.getWebUrl(this.getWebUrl(modelName))}|${this.getSPListTitle(modelName)}`;
+};
+
+/*!
+ * Creates a batch of requests to the web of the model
+ *
+ * @param {String} modelName The model name
+ * @param {Object} [options] The options object
+ * @returns {SharePointBatch}
+ */
+SharePointConnector.prototype.createBatch = function(modelName, options) {
+  return this.spClient.createBatch(this.getWeb(modelName, options), this.getAccessToken(options));
+};
+
+/*!
+ * Gets the unit of work of the transaction passed in options
+ *
+ * @param {Object} [options] The options object
+ * @returns {UnitOfWork} The unit of work, undefined if the options have no transaction of this connector
+ */
+SharePointConnector.prototype.getUnitOfWork = function(options) {
+  const unitOfWork = _.get(options, 'transaction.connection');
+  if (unitOfWork instanceof UnitOfWork && unitOfWork.connector === this) {
+    return unitOfWork;
+  }
+};
+
+/*!
+ * Rejects the operations which cannot be made in a transaction, such as upserts and file uploads
+ *
+ * @param {String} modelName The model name
+ * @param {Object} [options] The options object
+ * @returns {Promise}
+ */
+SharePointConnector.prototype.checkNoTransaction = function(modelName, options) {
+  if (this.getUnitOfWork(options)) {
+    return Bluebird.reject(createError(`This operation on ${modelName} cannot be made in a transaction.`, 400,
+      'TRANSACTION_NOT_SUPPORTED'));
+  }
+  return Bluebird.resolve();
+};
+
+/*!
+ * Gets the SharePoint list column name for specified LB model property
+ *
+ * @param {Object} modelInfo The model definition
+ * @param {String} propName Property name
+ */
+SharePointConnector.prototype.getSPColumnName = function(modelName, propName) {
+  const modelInfo = this._models[modelName];
+  const spSPPropName = _.get(modelInfo, `properties.${propName}.sharepoint.columnName`);
+  return spSPPropName || propName;
+};
+
+/*!
+ * Gets the name of SharePoint list item property holding the value of specified LB model property.
+ * Lookup columns are read and written through `<ColumnName>Id` property containing ID of the referenced item.
+ *
+ * @param {String} modelName The model name
+ * @param {String} propName Property name
+ */
+SharePointConnector.prototype.getSPItemPropertyName = function(modelName, propName) {
+  const spColumnName = this.getSPColumnName(modelName, propName);
+  const spLib = new SPLib(this._models[modelName]);
+  return spLib.isLookupField(propName) ? `${spColumnName}Id` : spColumnName;
+};
+
+/*!
+ * Gets the title of SharePoint list referenced by the Lookup column of specified LB model property.
+ * The list is taken from `sharepoint.lookupList` property setting or from the model of matching belongsTo relation.
+ *
+ * @param {String} modelName The model name
+ * @param {String} propName Property name
+ */
+SharePointConnector.prototype.getSPLookupListTitle = function(modelName, propName) {
+  const modelInfo = this._models[modelName];
+  const lookupList = _.get(modelInfo, `properties.${propName}.sharepoint.lookupList`);
+  if (lookupList) {
+    return lookupList;
+  }
+  const relation = _.find(_.get(modelInfo, 'model.relations'), {type: 'belongsTo', keyFrom: propName});
+  if (!relation) {
+    const message = `Unable to determine the list referenced by Lookup property ${propName} of ${modelName}. ` +
+      'Either set \'sharepoint.lookupList\' or define belongsTo relation using this property as foreign key.';
+    throw createError(message, 400, 'INVALID_MODEL_DEFINITION');
+  }
+  return this.getSPListTitle(relation.modelTo.modelName);
+};
+
+/*!
+ * Gets the titles of SharePoint lists referenced by Lookup columns of LB model
+ *
+ * @param {String} modelName The model name
+ * @returns {String[]}
+ */
+SharePointConnector.prototype.getLookupListTitles = function(modelName) {
+  const spLib = new SPLib(this._models[modelName]);
+  const props = Object.keys(this._models[modelName].properties);
+  const lookupProps = _.filter(props, prop => spLib.getSPFieldType(prop) === 'Lookup');
+  return _.uniq(_.map(lookupProps, prop => this.getSPLookupListTitle(modelName, prop)));
+};
+
+/*!
+ * Checks whether the model is stored in a document library (`sharepoint.documentLibrary` setting)
+ *
+ * @param {String} modelName The model name
+ */
+SharePointConnector.prototype.isDocumentLibrary = function(modelName) {
+  return _.get(this._models[modelName], 'settings.sharepoint.documentLibrary') === true;
+};
+
+/*!
+ * Gets navigation properties of SharePoint items expanded by the queries returning model instances:
+ * FieldValuesAsText contains values of lookup fields (like users),
+ * AttachmentFiles contains metadata of the attachments when `includeAttachments` option is set,
+ * File contains metadata of document library files
+ *
+ * @param {String} modelName The model name
+ * @param {Object} [options] The options object
+ */
+SharePointConnector.prototype.getItemExpands = function(modelName, options) {
+  const expands = ['FieldValuesAsText'];
+  if (_.get(options, 'includeAttachments')) {
+    expands.push('AttachmentFiles');
+  }
+  if (this.isDocumentLibrary(modelName)) {
+    expands.push('File');
+  }
+  return expands;
+};
+
+/*!
+ * Gets the name of LB model property holding ETag of SharePoint list item. Such property is marked with `sharepoint.etag` setting.
+ *
+ * @param {String} modelName The model name
+ */
+SharePointConnector.prototype.getETagPropertyName = function(modelName) {
+  const modelInfo = this._models[modelName];
+  return _.findKey(modelInfo.properties, prop => _.get(prop, 'sharepoint.etag') === true);
+};
+
+/*!
+ * Gets ETag of SharePoint list item from LB model instance data
+ *
+ * @param {String} modelName The model name
+ * @param {Object} data The model data
+ */
+SharePointConnector.prototype.getETag = function(modelName, data) {
+  const eTagProp = this.getETagPropertyName(modelName);
+  return eTagProp ? _.get(data, eTagProp) : undefined;
+};
+
+/*!
+ * Gets the id value if the where clause selects a single instance by id, e.g. `{id: 5}`
+ *
+ * @param {String} modelName The model name
+ * @param {Object} where The where clause
+ */
+SharePointConnector.prototype.getIdFromWhere = function(modelName, where) {
+  const idProp = this.getIdPropertyName(modelName);
+  if (!idProp || _.size(where) !== 1 || !_.has(where, idProp)) {
+    return undefined;
+  }
+  const id = where[idProp];
+  return _.isObject(id) ? undefined : id;
+};
+
+SharePointConnector.prototype.getIdPropertyName = function(modelName) {
+  const modelInfo = this._models[modelName];
+  for (const propName in modelInfo.properties) {
+    if (modelInfo.properties[propName].id) {
+      return propName;
+    }
+  }
+};
+
+exports.SharePointConnector = SharePointConnector;
+exports.AttachmentsMixin = require('./attachments-mixin');
+exports.DocumentsMixin = require('./documents-mixin');
+exports.PagingMixin = require('./paging-mixin');
+exports.ChangesMixin = require('./changes-mixin');
+exports.WebhooksMixin = require('./webhooks-mixin');
+exports.SearchMixin = require('./search-mixin');
+exports.VersionsMixin = require('./versions-mixin');
+exports.WebhookHandler = require('./webhook-handler').WebhookHandler;
+
+/*!
+ * Checks whether SharePoint rejected the query because it exceeds the list view threshold
+ */
+function isListViewThresholdError(err) {
+  return /SPQueryThrottledException|list view threshold/i.test(_.get(err, 'message'));
+}
+
+/*!
+ * Formats default value of LB model property as SharePoint field DefaultValue
+ */
+function toSPDefaultValue(value, valueType) {
+  switch (valueType) {
+    case 'date':
+      return value === 'now' || value === '$now' ? '[today]' : new Date(value).toISOString();
+    case 'boolean':
+      return value ? '1' : '0';
+    default:
+      return String(value);
+  }
+}
+
+/*!
+ * Checks whether SharePoint can change the field type without losing data
+ */
+function isCompatibleFieldType(fromType, toType) {
+  return _.some(COMPATIBLE_FIELD_TYPES, types => _.includes(types, fromType) && _.includes(types, toType));
+}
+
+/*!
+ * Checks whether the field was added to the list rather than being a system or base type field
+ */
+function isCustomField(spField) {
+  return !spField.FromBaseType && !spField.Hidden && !spField.ReadOnlyField && !spField.Sealed &&
+    spField.CanBeDeleted !== false;
+}
+
+/*!
+ * Gets the values of collection property which is returned either as array or as `results` property
+ * depending on OData metadata level
+ */
+function getCollectionValues(collection) {
+  if (_.isNil(collection)) {
+    return collection;
+  }
+  return _.isArray(collection) ? collection : collection.results;
+}
+
+/*!
+ * Converts SharePoint attachment file to the attachment metadata returned to LB
+ */
+function toAttachmentInfo(file) {
+  return {name: file.FileName, url: file.ServerRelativeUrl};
+}
+
+/*!
+ * Converts SharePoint file of document library item to the file metadata returned to LB
+ */
+function toFileInfo(file) {
+  if (!file) {
+    return null;
+  }
+  return {name: file.Name, url: file.ServerRelativeUrl, size: _.toNumber(file.Length), version: file.UIVersionLabel};
+}
+
+/*!
+ * Converts `sharepoint.versioning` model setting (boolean or `{majorVersionLimit, minorVersionLimit}` object)
+ * to the settings of the list enabling versioning and the version limits set afterwards
+ */
+function toVersioningSettings(versioning, isDocumentLibrary) {
+  if (_.isBoolean(versioning)) {
+    return {list: {EnableVersioning: versioning}, limits: {}};
+  }
+  if (!_.isPlainObject(versioning)) {
+    return {list: {}, limits: {}};
+  }
+  const list = {EnableVersioning: true};
+  const limits = {};
+  if (_.isNumber(versioning.majorVersionLimit)) {
+    limits.MajorVersionLimit = versioning.majorVersionLimit;
+  }
+  if (_.isNumber(versioning.minorVersionLimit)) {
+    if (!isDocumentLibrary) {
+      throw createError('Minor versions can only be enabled for document libraries.', 400, 'INVALID_VERSIONING');
+    }
+    // minor versions are kept for the given number of the latest major versions
+    list.EnableMinorVersions = true;
+    limits.MajorWithMinorVersionsLimit = versioning.minorVersionLimit;
+  }
+  return {list, limits};
+}
+
+/*!
+ * Gets the value of the field in SharePoint list item version. Versions return the fields by internal names with
+ * underscores encoded as '_x005f_' and 'OData_' prefix for the names starting with underscore.
+ */
+function getVersionValue(spVersion, spFieldName) {
+  if (_.has(spVersion, spFieldName)) {
+    return spVersion[spFieldName];
+  }
+  const encodedName = spFieldName.replace(/_/g, '_x005f_');
+  return _.get(spVersion, _.startsWith(spFieldName, '_') ? `OData_${encodedName}` : encodedName);
+}
+
+/*!
+ * Converts the value of User or Lookup field in list item version (`{LookupId, LookupValue}` object or collection
+ * of them) to the ID or IDs of the referenced items
+ */
+function toLookupIds(value) {
+  if (_.isNil(value)) {
+    return value;
+  }
+  const values = getCollectionValues(value);
+  return _.isArray(values) ? _.map(values, 'LookupId') : value.LookupId;
+}
+
+/*!
+ * Converts version label to the version id: major version * 512 + minor version
+ */
+function toVersionId(label) {
+  const match = /^(\d+)\.(\d+)$/.exec(label);
+  if (!match) {
+    throw createError(`Invalid version label ${label}, it must be in major.minor format, e.g. '2.0'.`, 400,
+      'INVALID_VERSION_LABEL');
+  }
+  return Number(match[1]) * 512 + Number(match[2]);
+}
+
+/*!
+ * Converts SharePoint webhook subscription into the object returned by the connector
+ */
+function toSubscriptionInfo(subscription) {
+  return {
+    id: subscription.id,
+    notificationUrl: subscription.notificationUrl,
+    expirationDateTime: new Date(subscription.expirationDateTime),
+    clientState: subscription.clientState || null,
+    resource: subscription.resource
+  };
+}
+
+/*!
+ * Formats the expiration of webhook subscription, 179 days from now by default
+ */
+function toSubscriptionExpiration(expiration) {
+  const date = expiration ? new Date(expiration) : new Date(Date.now() + DEFAULT_SUBSCRIPTION_DAYS * 24 * 3600 * 1000);
+  if (isNaN(date.getTime())) {
+    throw createError(`Invalid subscription expiration: ${expiration}`, 400, 'INVALID_EXPIRATION');
+  }
+  return date.toISOString();
+}
+
+/*!
+ * Reads the content of the uploaded file into a Buffer. Strings and Buffers are returned as is.
+ */
+function readContent(content) {
+  if (!(content instanceof Readable)) {
+    return Bluebird.resolve(content);
+  }
+  return new Bluebird((resolve, reject) => {
+    const chunks = [];
+    content.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    content.on('end', () => resolve(Buffer.concat(chunks)));
+    content.on('error', reject);
+  });
+}
+
+/*!
+ * Escapes a string used as OData function parameter in the request URL, e.g. file name
+ */
+function escapeODataString(value) {
+  return encodeURIComponent(String(value).replace(/'/g, '\'\''));
+}
+
+/*!
+ * Escapes server relative URL used as OData function parameter in the request URL, keeping the path separators
+ */
+function escapeODataPath(value) {
+  return escapeODataString(value).replace(/%2F/g, '/');
+}
+
+/*!
+ * Checks whether server relative URL is the folder URL or belongs to the folder. URLs are compared case-insensitively.
+ */
+function isInFolder(url, folderUrl) {
+  const lowerUrl = _.toLower(url);
+  const lowerFolderUrl = _.toLower(folderUrl);
+  return lowerUrl === lowerFolderUrl || _.startsWith(lowerUrl, `${lowerFolderUrl}/`);
+}
+
+/*!
+ * Encodes SharePoint paging information as an opaque cursor
+ */
+function encodeCursor(pagingInfo) {
+  return Buffer.from(pagingInfo).toString('base64');
+}
+
+/*!
+ * Decodes SharePoint paging information from the cursor returned by `findPage()`
+ */
+function decodeCursor(cursor) {
+  const pagingInfo = Buffer.from(String(cursor), 'base64').toString();
+  if (!_.startsWith(pagingInfo, 'Paged=TRUE')) {
+    throw createError(`Invalid paging cursor: ${cursor}`, 400, 'INVALID_CURSOR');
+  }
+  return pagingInfo;
+}
@@ -1,8 +1,40 @@
 'use strict';
 const _ = require('lodash');
+const {createError} = require('./errors');
 const xml2js = require('xml2js');
 const xmlBuilder = new xml2js.Builder({headless: true, renderOpts: {pretty: false}});
 
+// SharePoint field types which store ID of the referenced item
+const LOOKUP_FIELD_TYPES = ['Lookup', 'User'];
+// SharePoint field types whose values are computed by SharePoint and cannot be written
+const READ_ONLY_FIELD_TYPES = ['Calculated', 'Computed', 'Counter'];
+// System fields maintained by SharePoint
+const READ_ONLY_FIELDS = ['ID', 'Created', 'Modified', 'Author', 'Editor', 'AuthorId', 'EditorId'];
+// Built-in managed properties of SharePoint search holding the system fields
+const SYSTEM_MANAGED_PROPERTIES = {
+  ID: 'ListItemID',
+  Title: 'Title',
+  Created: 'Created',
+  Modified: 'LastModifiedTime',
+  Author: 'AuthorOWSUSER',
+  Editor: 'EditorOWSUSER'
+};
+// Suffixes of the managed properties SharePoint search creates for site columns by field type
+const MANAGED_PROPERTY_SUFFIXES = {
+  Text: 'OWSTEXT',
+  Note: 'OWSMTXT',
+  Number: 'OWSNMBR',
+  Currency: 'OWSCURR',
+  Integer: 'OWSINTG',
+  DateTime: 'OWSDATE',
+  Boolean: 'OWSBOOL',
+  Choice: 'OWSCHCS',
+  MultiChoice: 'OWSCHCM',
+  User: 'OWSUSER',
+  URL: 'OWSURLH'
+};
+const KQL_OPERATORS = {'=': '=', 'eq': '=', 'neq': '<>', 'gt': '>', 'gte': '>=', 'lt': '<', 'lte': '<='};
+
 class SPLib {
   constructor(model) {
     this.model = model;
@@ -12,12 +44,56 @@ class SPLib {
    * Builds CAML corresponding to LoopBack filter object.
    * See documentation here: https://loopback.io/doc/en/lb3/Querying-data.html
    * @param filter LoopBack filter object
-   * @returns {{ViewXml: string}}
+   * `filter.scope` sets the Scope of the view (e.g. `Recursive` to include items of subfolders)
+   * @param pagingInfo Optional paging information of the position to start the query from (see `buildPagingInfo()`)
+   * @param folderUrl Optional server relative URL of the folder to query
+   * @returns {{ViewXml: string, ListItemCollectionPosition: Object, FolderServerRelativeUrl: string}}
    */
-  buildQuery(filter) {
-    return {
-      ViewXml: `<View>${this.buildViewFields(filter.fields)}<Query>${this.buildWhere(filter.where)}${this.buildOrderBy(filter.order)}</Query>${this.buildRowLimit(filter.limit)}</View>`
+  buildQuery(filter, pagingInfo, folderUrl) {
+    const scope = filter.scope ? ` Scope="${filter.scope}"` : '';
+    const query = {
+      ViewXml: `<View${scope}>${this.buildViewFields(filter.fields)}<Query>${this.buildWhere(filter.where)}${this.buildOrderBy(filter.order)}</Query>${this.buildRowLimit(filter.limit, true)}</View>`
     };
+    if (folderUrl) {
+      query.FolderServerRelativeUrl = folderUrl;
+    }
+    if (pagingInfo) {
+      query.ListItemCollectionPosition = {
+        __metadata: {type: 'SP.ListItemCollectionPosition'},
+        PagingInfo: pagingInfo
+      };
+    }
+    return query;
+  }
+
+  /**
+   * Builds paging information pointing to the position right after the specified item.
+   * It is passed as `ListItemCollectionPosition` to query the next page of the items sorted by the same `order`.
+   * @param spItem The last SharePoint item of the current page. It must contain ID and values of the `order` fields.
+   * @param order LoopBack order filter property
+   * @returns {string} paging information, e.g. 'Paged=TRUE&p_Age=33&p_ID=12'
+   */
+  buildPagingInfo(spItem, order) {
+    const params = ['Paged=TRUE'];
+    for (const property of getOrderProperties(order)) {
+      if (property === 'ID') {
+        continue;
+      }
+      const spFieldName = this.getSPFieldName(property);
+      const value = formatPagingValue(spItem[spFieldName], this.getSPFieldType(property));
+      params.push(`p_${spFieldName}=${encodeURIComponent(value)}`);
+    }
+    params.push(`p_ID=${spItem.ID}`);
+    return params.join('&');
+  }
+
+  /**
+   * Returns properties which must be present in the query results for building paging information.
+   * @param order LoopBack order filter property
+   * @returns {string[]} ID and properties used in the `order` filter
+   */
+  getPagingProperties(order) {
+    return _.union(['ID'], getOrderProperties(order));
   }
 
   /**
@@ -26,13 +102,128 @@ class SPLib {
    * @returns string CAML XML string
    */
   buildWhere(lbWhere) {
-    if (_.isEmpty(lbWhere)) {
+    // conditions which cannot be expressed in CAML are applied by post filter (see `buildPostFilter()`)
+    const serverWhere = this._getServerWhere(lbWhere);
+    if (_.isEmpty(serverWhere)) {
       return '';
     }
-    const where = this._buildCamlCondition(lbWhere);
+    const where = this._buildCamlCondition(serverWhere);
     return xmlBuilder.buildObject({Where: where});
   }
 
+  /**
+   * Builds a function filtering SharePoint items by the conditions of LoopBack 'where' filter which cannot be expressed
+   * in CAML: `nlike`, `nilike`, `regexp` and `like` / `ilike` patterns other than 'abc', 'abc%' and '%abc%'.
+   * Such conditions are supported only when they are combined with other conditions using `and`.
+   * @param lbWhere Loopback `where` filter object
+   * @returns {Function} function returning true for the SharePoint items matching the conditions,
+   * null if all the conditions are expressed in CAML
+   */
+  buildPostFilter(lbWhere) {
+    const conditions = this._getClientConditions(lbWhere);
+    if (_.isEmpty(conditions)) {
+      return null;
+    }
+    const matchers = _.map(conditions, ({field, operator, value}) => {
+      const spFieldName = this.getSPFieldName(field);
+      const matches = getClientMatcher(operator, value);
+      return spItem => matches(_.get(spItem, spFieldName));
+    });
+    return spItem => _.every(matchers, matcher => matcher(spItem));
+  }
+
+  /**
+   * Returns properties used by post filter conditions (see `buildPostFilter()`)
+   * @param lbWhere Loopback `where` filter object
+   * @returns {string[]}
+   */
+  getPostFilterProperties(lbWhere) {
+    return _.uniq(_.map(this._getClientConditions(lbWhere), 'field'));
+  }
+
+  /**
+   * Builds a function comparing SharePoint items by LoopBack `order` the way SharePoint sorts them:
+   * empty values first and text case-insensitively. It sorts the items when SharePoint cannot sort the list.
+   * @param order LoopBack order filter property
+   * @returns {Function} compare function for `Array.prototype.sort()`
+   */
+  buildComparator(order) {
+    const criteria = _.map(_.castArray(order), clause => {
+      const [property, direction] = _.split(clause, ' ');
+      return {
+        spFieldName: this.getSPFieldName(property),
+        sign: _.toUpper(direction) === 'DESC' ? -1 : 1
+      };
+    });
+    return (spItem1, spItem2) => {
+      for (const {spFieldName, sign} of criteria) {
+        const result = compareValues(_.get(spItem1, spFieldName), _.get(spItem2, spFieldName));
+        if (result) {
+          return sign * result;
+        }
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * Returns `where` filter without the conditions applied on the client side
+   * @param lbWhere Loopback `where` filter object
+   * @returns {Object}
+   * @private
+   */
+  _getServerWhere(lbWhere) {
+    if (_.isEmpty(lbWhere)) {
+      return lbWhere;
+    }
+    if (_.isArray(lbWhere.and) && _.size(lbWhere) === 1) {
+      const conditions = _.reject(_.map(lbWhere.and, condition => this._getServerWhere(condition)), _.isEmpty);
+      return conditions.length > 1 ? {and: conditions} : (conditions[0] || {});
+    }
+    if (this._isClientCondition(lbWhere)) {
+      return {};
+    }
+    if (_.isArray(lbWhere.or) && _.size(lbWhere) === 1 && _.some(lbWhere.or, c => !_.isEmpty(this._getClientConditions(c)))) {
+      throw createError(`Invalid 'where' clause: ${JSON.stringify(lbWhere)}. Operators nlike, nilike, regexp and like ` +
+        'patterns other than \'abc\', \'abc%\' and \'%abc%\' cannot be used within \'or\' conditions.', 400, 'INVALID_WHERE');
+    }
+    return lbWhere;
+  }
+
+  /**
+   * Returns conditions of `where` filter applied on the client side
+   * @param lbWhere Loopback `where` filter object
+   * @returns {Object[]} array of {field, operator, value} objects
+   * @private
+   */
+  _getClientConditions(lbWhere) {
+    if (_.isEmpty(lbWhere)) {
+      return [];
+    }
+    if (_.size(lbWhere) === 1 && (_.isArray(lbWhere.and) || _.isArray(lbWhere.or))) {
+      return _.flatMap(lbWhere.and || lbWhere.or, condition => this._getClientConditions(condition));
+    }
+    return this._isClientCondition(lbWhere) ? [parseExpression(lbWhere)] : [];
+  }
+
+  _isClientCondition(expression) {
+    if (_.size(expression) !== 1) {
+      return false;
+    }
+    const {operator, value} = parseExpression(expression);
+    switch (operator) {
+      case 'nlike':
+      case 'nilike':
+      case 'regexp':
+        return true;
+      case 'like':
+      case 'ilike':
+        return !parseLikePattern(value);
+      default:
+        return false;
+    }
+  }
+
   /**
    * Builds CAML <OrderBy> tag from LoopBack order filter
    * @param order LoopBack order filter property. See more: https://loopback.io/doc/en/lb3/Order-filter.html
@@ -60,12 +251,22 @@ class SPLib {
     if (_.isEmpty(fields)) {
       return '';
     }
-    const viewFields = _.map(fields, field => {
+    // ETag is returned with every item, attachments and files are expanded, they are not fields
+    const viewFields = _.map(_.reject(fields, field => this.isVirtualProperty(field)), field => {
       return {FieldRef: {$: {Name: this.getSPFieldName(field)}}};
     });
     return xmlBuilder.buildObject({ViewFields: viewFields});
   }
 
+  /**
+   * Returns properties used in the `where` and `order` of LoopBack filter
+   * @param filter LoopBack filter object
+   * @returns {string[]}
+   */
+  getFilterProperties(filter) {
+    return _.union(getWhereProperties(filter.where), getOrderProperties(filter.order));
+  }
+
   /**
    * Builds CAML condition corresponding to LoopBack 'where' filter
    * See documentation here: https://loopback.io/doc/en/lb3/Where-filter.html
@@ -90,7 +291,7 @@ class SPLib {
         return this._buildCamlExpression(lbWhere);
       }
     } else {
-      throw new Error('Invalid \'where\' clause. It must be in {key: value} format.');
+      throw createError('Invalid \'where\' clause. It must be in {key: value} format.', 400, 'INVALID_WHERE');
     }
   }
 
@@ -130,7 +331,7 @@ class SPLib {
 
   _getOrderByFieldRef(orderClause) {
     if (!_.isString(orderClause)) {
-      throw new Error('Invalid order expression. Must be a string.');
+      throw createError('Invalid order expression. Must be a string.', 400, 'INVALID_ORDER');
     }
     const clauseParts = orderClause.split(' ');
     if (clauseParts.length === 1) {
@@ -142,7 +343,7 @@ class SPLib {
       } else if (clauseParts[1].toUpperCase() === 'DESC') {
         isAscending = 'FALSE';
       } else {
-        throw new Error('Invalid order direction. Must be either ASC or DESC');
+        throw createError('Invalid order direction. Must be either ASC or DESC', 400, 'INVALID_ORDER');
       }
       return {FieldRef: {$: {Name: this.getSPFieldName(clauseParts[0]), Ascending: isAscending}}};
     }
@@ -151,50 +352,111 @@ class SPLib {
   /**
    *  Builds CAML <RowLimit> tag
    * @param limit
+   * @param paged When true the query results can be paged using ListItemCollectionPosition
    * @returns {string} CAML XML <RowLimit> tag
    */
-  buildRowLimit(limit) {
+  buildRowLimit(limit, paged) {
     limit = _.parseInt(limit);
     if (!limit) {
       return '';
     }
+    if (paged) {
+      return xmlBuilder.buildObject({RowLimit: {_: limit, $: {Paged: 'TRUE'}}});
+    }
     return xmlBuilder.buildObject({RowLimit: limit});
   }
 
   _buildCamlExpression(expression) {
     const {field, operator, value} = parseExpression(expression);
-    const fieldType = this.getSPFieldType(field);
-    if (operator === 'inq' || operator === 'nin') {
-      if (!_.isArray(value)) {
-        throw new Error('Invalid \'in\' values. Must be an array.');
+    if (this.isETagProperty(field)) {
+      throw createError(`Property ${field} holds ETag and cannot be used in 'where' clause.`, 400, 'INVALID_WHERE');
+    }
+    if (this.isAttachmentsProperty(field)) {
+      throw createError(`Property ${field} holds attachments and cannot be used in 'where' clause.`, 400, 'INVALID_WHERE');
+    }
+    if (this.isFileProperty(field) || this.isContentProperty(field)) {
+      throw createError(`Property ${field} holds the file of the document and cannot be used in 'where' clause.`,
+        400, 'INVALID_WHERE');
+    }
+    if (this.isFolderProperty(field)) {
+      throw createError(`Property ${field} holds the folder of the item and cannot be used in 'where' clause, ` +
+        'use \'folder\' option instead.', 400, 'INVALID_WHERE');
+    }
+    const fieldType = this.getCamlValueType(field);
+    switch (operator) {
+      case 'inq': {
+        if (!_.isArray(value)) {
+          throw createError('Invalid \'in\' values. Must be an array.', 400, 'INVALID_WHERE');
+        }
+        const camlValues = _.map(value, (v) => ({_: formatValue(v), $: {Type: fieldType}}));
+        return {
+          In: {
+            FieldRef: this._buildFieldRef(field),
+            Values: {Value: camlValues}
+          }
+        };
       }
-      const camlValues = _.map(value, (v) => ({_: v, $: {Type: fieldType}}));
+      case 'nin':
+        // CAML has neither NotIn nor Not operators, so 'nin' is expanded into the chain of Neq conditions
+        if (!_.isArray(value) || _.isEmpty(value)) {
+          throw createError('Invalid \'nin\' values. Must be a non-empty array.', 400, 'INVALID_WHERE');
+        }
+        return this._buildCamlCondition(value.length === 1 ?
+          {[field]: {neq: value[0]}} :
+          {and: _.map(value, v => ({[field]: {neq: v}}))});
+      case 'between':
+        if (!_.isArray(value) || value.length !== 2) {
+          throw createError('Invalid \'between\' values. Must be an array of 2 values.', 400, 'INVALID_WHERE');
+        }
+        return this._buildCamlCondition({and: [{[field]: {gte: value[0]}}, {[field]: {lte: value[1]}}]});
+      case 'like':
+      case 'ilike': {
+        // SharePoint compares text case-insensitively, so 'like' and 'ilike' are the same
+        const {camlOperator, text} = parseLikePattern(value);
+        return this._buildCamlComparison(camlOperator, field, text, fieldType);
+      }
+    }
+    const camlOperator = getCamlName(operator);
+    if (!camlOperator) {
+      throw createError(`Operator '${operator}' is not supported.`, 400, 'INVALID_WHERE');
+    }
+    if (value === null && (camlOperator === 'Eq' || camlOperator === 'Neq')) {
       return {
-        [getCamlName(operator)]: {
-          FieldRef: {$: {Name: this.getSPFieldName(field)}},
-          Values: {Value: camlValues}
+        [camlOperator === 'Eq' ? 'IsNull' : 'IsNotNull']: {
+          FieldRef: this._buildFieldRef(field)
         }
       };
     }
-    let formattedValue;
-    if (value instanceof Date) {
-      formattedValue = value.toISOString();
-    } else if (typeof value === 'boolean') {
-      formattedValue = +value;
-    } else {
-      formattedValue = value;
-    }
+    return this._buildCamlComparison(camlOperator, field, value, fieldType);
+  }
+
+  _buildCamlComparison(camlOperator, field, value, fieldType) {
     return {
-      [getCamlName(operator)]: {
-        FieldRef: {$: {Name: this.getSPFieldName(field)}},
+      [camlOperator]: {
+        FieldRef: this._buildFieldRef(field),
         Value: {
-          _: formattedValue,
+          _: formatValue(value),
           $: {Type: fieldType}
         }
       }
     };
   }
 
+  /**
+   * Builds CAML <FieldRef> element used in filter conditions.
+   * Lookup fields are compared by ID of the referenced item rather than by its display value.
+   * @param property LoopBack model property
+   * @returns {{$: Object}}
+   * @private
+   */
+  _buildFieldRef(property) {
+    const attributes = {Name: this.getSPFieldName(property)};
+    if (this.isLookupField(property)) {
+      attributes.LookupId = 'TRUE';
+    }
+    return {$: attributes};
+  }
+
   _addCamlCondition(newLogicalOperator, camlObject, camlCondition) {
     const logicalOperator = _.last(Object.keys(camlObject));
     const operator = Object.keys(camlCondition)[0];
@@ -223,6 +485,181 @@ class SPLib {
     }
   }
 
+  /**
+   * Builds KQL property restrictions corresponding to LoopBack 'where' filter, they are used by SharePoint search.
+   * The properties are compared by their managed properties (see `getManagedPropertyName()`).
+   * Supported operators are eq, neq, gt, gte, lt, lte, inq, nin, between and `like` / `ilike` patterns 'abc%'.
+   * KQL cannot compare with null and has no escaping, so double quotes are removed from text values.
+   * @param lbWhere Loopback `where` filter object
+   * @returns {string} KQL string, empty if no condition is specified
+   */
+  buildKql(lbWhere) {
+    const keys = Object.keys(lbWhere || {});
+    if (keys.length === 0) {
+      return '';
+    }
+    if (keys.length > 1) {
+      return this.buildKql({and: _.map(keys, key => ({[key]: lbWhere[key]}))});
+    }
+    if ((keys[0] === 'and' || keys[0] === 'or') && _.isArray(lbWhere[keys[0]])) {
+      const conditions = _.reject(_.map(lbWhere[keys[0]], condition => this.buildKql(condition)), _.isEmpty);
+      return conditions.length > 1 ? `(${conditions.join(` ${_.toUpper(keys[0])} `)})` : (conditions[0] || '');
+    }
+    return this._buildKqlExpression(lbWhere);
+  }
+
+  /**
+   * Builds sort list of SharePoint search query from LoopBack order filter
+   * @param order LoopBack order filter property
+   * @returns {Object[]} array of `{Property, Direction}` objects, empty to sort by relevance
+   */
+  buildSortList(order) {
+    if (_.isEmpty(order)) {
+      return [];
+    }
+    return _.map(_.castArray(order), clause => {
+      if (!_.isString(clause)) {
+        throw createError('Invalid order expression. Must be a string.', 400, 'INVALID_ORDER');
+      }
+      const [property, direction = 'ASC'] = clause.split(' ');
+      if (!_.includes(['ASC', 'DESC'], direction.toUpperCase())) {
+        throw createError('Invalid order direction. Must be either ASC or DESC', 400, 'INVALID_ORDER');
+      }
+      return {Property: this.getManagedPropertyName(property), Direction: direction.toUpperCase() === 'DESC' ? 1 : 0};
+    });
+  }
+
+  /**
+   * Returns properties of the model returned by SharePoint search: the `fields` if specified, otherwise
+   * all the properties stored in fields which have managed properties
+   * @param fields Properties of the LoopBack model to include
+   * @returns {string[]}
+   */
+  getSearchProperties(fields) {
+    if (_.isEmpty(fields)) {
+      return _.filter(Object.keys(this.model.properties), property => this.hasManagedProperty(property));
+    }
+    return _.reject(fields, field => this.isVirtualProperty(field));
+  }
+
+  /**
+   * Gets the managed property of SharePoint search schema holding the value of the property. It is taken from
+   * `sharepoint.managedProperty` setting. By default, system fields are mapped to built-in managed properties
+   * (e.g. ID to ListItemID) and other fields to the managed properties SharePoint creates for site columns,
+   * named by the column and its type (e.g. `CategoryOWSTEXT` or `PriceOWSCURR`).
+   * @param property LoopBack model property
+   * @returns {string}
+   */
+  getManagedPropertyName(property) {
+    const managedProperty = _.get(this.model, `properties.${property}.sharepoint.managedProperty`);
+    if (managedProperty) {
+      return managedProperty;
+    }
+    if (this.isVirtualProperty(property)) {
+      throw createError(`Property ${property} is not stored in a field and cannot be searched.`,
+        400, 'INVALID_SEARCH_PROPERTY');
+    }
+    const spFieldName = this.getSPFieldName(property);
+    if (SYSTEM_MANAGED_PROPERTIES[spFieldName]) {
+      return SYSTEM_MANAGED_PROPERTIES[spFieldName];
+    }
+    const suffix = MANAGED_PROPERTY_SUFFIXES[this.getSPFieldType(property)];
+    if (!suffix) {
+      throw createError(`Property ${property} has no default managed property, set it by 'sharepoint.managedProperty'.`,
+        400, 'INVALID_SEARCH_PROPERTY');
+    }
+    return `${spFieldName}${suffix}`;
+  }
+
+  /**
+   * Checks whether the property can be searched, see `getManagedPropertyName()`
+   * @param property LoopBack model property
+   * @returns {boolean}
+   */
+  hasManagedProperty(property) {
+    if (_.get(this.model, `properties.${property}.sharepoint.managedProperty`)) {
+      return true;
+    }
+    const spFieldName = this.getSPFieldName(property);
+    return !this.isVirtualProperty(property) &&
+      (!!SYSTEM_MANAGED_PROPERTIES[spFieldName] || !!MANAGED_PROPERTY_SUFFIXES[this.getSPFieldType(property)]);
+  }
+
+  /**
+   * Converts the value of managed property returned by SharePoint search into LoopBack property value.
+   * Search returns the text of User and Lookup fields (e.g. user names) instead of IDs, it is returned as is.
+   * @param property LoopBack model property
+   * @param value Managed property value
+   * @returns {*}
+   */
+  fromManagedPropertyValue(property, value) {
+    if (_.isNil(value) || this.isLookupField(property)) {
+      return value;
+    }
+    if (this.getValueType(property) === 'array' && _.isString(value)) {
+      // values of multi-value fields are separated by ';#' or new lines
+      return _.compact(_.map(_.split(value, /;#|;|\n/), _.trim));
+    }
+    return this.fromSPValue(property, value);
+  }
+
+  _buildKqlExpression(expression) {
+    const {field, operator, value} = parseExpression(expression);
+    const managedProperty = this.getManagedPropertyName(field);
+    switch (operator) {
+      case 'inq':
+        if (!_.isArray(value) || _.isEmpty(value)) {
+          throw createError('Invalid \'inq\' values. Must be a non-empty array.', 400, 'INVALID_WHERE');
+        }
+        return this.buildKql({or: _.map(value, v => ({[field]: v}))});
+      case 'nin':
+        if (!_.isArray(value) || _.isEmpty(value)) {
+          throw createError('Invalid \'nin\' values. Must be a non-empty array.', 400, 'INVALID_WHERE');
+        }
+        return this.buildKql({and: _.map(value, v => ({[field]: {neq: v}}))});
+      case 'between':
+        if (!_.isArray(value) || value.length !== 2) {
+          throw createError('Invalid \'between\' values. Must be an array of 2 values.', 400, 'INVALID_WHERE');
+        }
+        return this.buildKql({and: [{[field]: {gte: value[0]}}, {[field]: {lte: value[1]}}]});
+      case 'like':
+      case 'ilike': {
+        // KQL supports only trailing wildcard
+        const match = _.isString(value) && /^([^%_]+)(%?)$/.exec(value);
+        if (!match) {
+          throw createError(`Pattern '${value}' cannot be searched. Only 'abc%' patterns are supported.`, 400, 'INVALID_WHERE');
+        }
+        return match[2] ? `${managedProperty}:${formatKqlValue(match[1]).replace(/"$/, '*"')}` :
+          `${managedProperty}=${formatKqlValue(match[1])}`;
+      }
+    }
+    const kqlOperator = KQL_OPERATORS[operator];
+    if (!kqlOperator) {
+      throw createError(`Operator '${operator}' is not supported.`, 400, 'INVALID_WHERE');
+    }
+    if (_.isNil(value)) {
+      throw createError(`Property ${field} cannot be compared with null in search.`, 400, 'INVALID_WHERE');
+    }
+    return `${managedProperty}${kqlOperator}${formatKqlValue(this._toKqlValue(field, value))}`;
+  }
+
+  /**
+   * Converts the value compared in KQL to the type of the property, e.g. date strings into Date
+   * @private
+   */
+  _toKqlValue(property, value) {
+    switch (this.getValueType(property)) {
+      case 'date': {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : date;
+      }
+      case 'number':
+        return _.isString(value) && !isNaN(Number(value)) ? Number(value) : value;
+      default:
+        return value;
+    }
+  }
+
   getSPFieldName(property) {
     return _.get(this.model, `properties.${property}.sharepoint.columnName`) || property;
   }
@@ -233,10 +670,251 @@ class SPLib {
     }
     const propDefinition = this.model.properties[property];
     if (!propDefinition) {
-      throw new Error(`Property ${property} is not defined for type ${this.model.name}.`);
+      throw createError(`Property ${property} is not defined for type ${this.model.name}.`, 400, 'INVALID_PROPERTY');
     }
     return _.get(propDefinition, 'sharepoint.dataType') ||
-      getDefaultSharePointType(_.get(propDefinition, 'type.name'));
+      getDefaultSharePointType(getLoopBackTypeName(propDefinition));
+  }
+
+  /**
+   * Gets the type of CAML <Value> element used to compare the property.
+   * Calculated fields are compared as values of their output type (`sharepoint.outputType`, Text by default),
+   * User fields are compared by user ID.
+   * @param property LoopBack model property
+   * @returns {string}
+   */
+  getCamlValueType(property) {
+    const fieldType = this.getSPFieldType(property);
+    if (fieldType === 'Calculated') {
+      return _.get(this.model, `properties.${property}.sharepoint.outputType`) || 'Text';
+    }
+    if (fieldType === 'User') {
+      return 'Integer';
+    }
+    return fieldType;
+  }
+
+  /**
+   * Converts LoopBack property value into the value of SharePoint list item field, e.g.
+   * `{url, description}` object into SP.FieldUrlValue for URL fields and string array into collection for MultiChoice fields.
+   * User fields are written as user IDs, so user emails and login names must be resolved to IDs beforehand.
+   * @param property LoopBack model property
+   * @param value Property value
+   * @returns {*}
+   */
+  toSPValue(property, value) {
+    if (_.isNil(value)) {
+      return value;
+    }
+    switch (this.getSPFieldType(property)) {
+      case 'User':
+        if (this.isMultiValueField(property)) {
+          return {
+            __metadata: {type: 'Collection(Edm.Int32)'},
+            results: _.map(_.castArray(value), getUserId)
+          };
+        }
+        return getUserId(value);
+      case 'URL': {
+        const url = _.isString(value) ? value : value.url;
+        return {
+          __metadata: {type: 'SP.FieldUrlValue'},
+          Url: url,
+          Description: _.get(value, 'description') || url
+        };
+      }
+      case 'MultiChoice':
+        return {
+          __metadata: {type: 'Collection(Edm.String)'},
+          results: _.castArray(value)
+        };
+    }
+    switch (this.getValueType(property)) {
+      case 'date': {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : date.toISOString();
+      }
+      case 'number':
+        return toNumber(value);
+      case 'boolean':
+        return toBoolean(value);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Converts the value of SharePoint list item field into LoopBack property value, e.g.
+   * SP.FieldUrlValue into `{url, description}` object for URL fields and collection into string array for MultiChoice fields.
+   * Values returned as text (e.g. by `FieldValuesAsText`) are converted to Date, number, boolean or array
+   * according to the property type. User IDs are converted into `{id}` objects (or arrays of them for multi-user fields)
+   * which are completed with user details by the connector.
+   * @param property LoopBack model property
+   * @param spValue SharePoint field value
+   * @returns {*}
+   */
+  fromSPValue(property, spValue) {
+    if (_.isNil(spValue)) {
+      return spValue;
+    }
+    switch (this.getSPFieldType(property)) {
+      case 'URL':
+        return _.isString(spValue) ? parseUrlValue(spValue) : {url: spValue.Url, description: spValue.Description};
+      case 'User': {
+        const ids = _.isArray(spValue) || _.isNumber(spValue) ? spValue : (spValue.results || []);
+        if (this.isMultiValueField(property)) {
+          return _.map(_.castArray(ids), id => ({id}));
+        }
+        return {id: _.isArray(ids) ? ids[0] : ids};
+      }
+    }
+    switch (this.getValueType(property)) {
+      case 'date':
+        return new Date(spValue);
+      case 'number':
+        return toNumber(spValue);
+      case 'boolean':
+        return toBoolean(spValue);
+      case 'array':
+        // depending on OData metadata level collections are returned either as arrays or as `results` property,
+        // text values of multi-value fields are separated by semicolons
+        if (_.isString(spValue)) {
+          return spValue ? _.map(_.split(spValue, ';'), _.trim) : [];
+        }
+        return _.isArray(spValue) ? spValue : (spValue.results || []);
+      default:
+        return spValue;
+    }
+  }
+
+  /**
+   * Gets the JavaScript type of the property value: 'date', 'number', 'boolean', 'array' or 'any'.
+   * It is derived from the SharePoint field type (output type for Calculated fields) and the LoopBack property type.
+   * @param property LoopBack model property
+   * @returns {string}
+   */
+  getValueType(property) {
+    switch (this.getCamlValueType(property)) {
+      case 'DateTime':
+        return 'date';
+      case 'Number':
+      case 'Currency':
+      case 'Integer':
+      case 'Counter':
+        return 'number';
+      case 'Boolean':
+        return 'boolean';
+      case 'MultiChoice':
+        return 'array';
+    }
+    switch (getLoopBackTypeName(this.model.properties[property])) {
+      case 'date':
+        return 'date';
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'boolean';
+      case 'array':
+        return 'array';
+      default:
+        return 'any';
+    }
+  }
+
+  /**
+   * Checks whether the property is stored in a field which cannot be written: system fields maintained by SharePoint
+   * (ID, Created, Modified, etc.) and fields computed by SharePoint (e.g. Calculated).
+   * GUID field can only be set when the item is created.
+   * @param property LoopBack model property
+   * @param [isNew] Whether the value is written to a new item
+   * @returns {boolean}
+   */
+  isReadOnlyField(property, isNew) {
+    const spFieldName = this.getSPFieldName(property);
+    if (spFieldName === 'GUID') {
+      return !isNew;
+    }
+    return _.includes(READ_ONLY_FIELDS, spFieldName) ||
+      _.includes(READ_ONLY_FIELD_TYPES, this.getSPFieldType(property));
+  }
+
+  /**
+   * Checks whether the property is stored in a field holding multiple values, e.g. User field allowing multiple users.
+   * Such properties are arrays or have `sharepoint.multiple` setting.
+   * @param property LoopBack model property
+   * @returns {boolean}
+   */
+  isMultiValueField(property) {
+    const propDefinition = this.model.properties[property];
+    return _.get(propDefinition, 'sharepoint.multiple') === true || getLoopBackTypeName(propDefinition) === 'array';
+  }
+
+  /**
+   * Checks whether the property holds ETag of the item (`sharepoint.etag` setting) rather than a field value.
+   * @param property LoopBack model property
+   * @returns {boolean}
+   */
+  isETagProperty(property) {
+    return _.get(this.model, `properties.${property}.sharepoint.etag`) === true;
+  }
+
+  /**
+   * Checks whether the property holds metadata of the item attachments (`sharepoint.attachments` setting)
+   * rather than a field value.
+   * @param property LoopBack model property
+   * @returns {boolean}
+   */
+  isAttachmentsProperty(property) {
+    return _.get(this.model, `properties.${property}.sharepoint.attachments`) === true;
+  }
+
+  /**
+   * Checks whether the property holds metadata of the document library file (`sharepoint.file` setting):
+   * its name, server relative URL, size and version.
+   * @param property LoopBack model property
+   * @returns {boolean}
+   */
+  isFileProperty(property) {
+    return _.get(this.model, `properties.${property}.sharepoint.file`) === true;
+  }
+
+  /**
+   * Checks whether the property holds the content uploaded to the document library file (`sharepoint.content` setting).
+   * @param property LoopBack model property
+   * @returns {boolean}
+   */
+  isContentProperty(property) {
+    return _.get(this.model, `properties.${property}.sharepoint.content`) === true;
+  }
+
+  /**
+   * Checks whether the property holds the path of the folder containing the item (`sharepoint.folder` setting).
+   * @param property LoopBack model property
+   * @returns {boolean}
+   */
+  isFolderProperty(property) {
+    return _.get(this.model, `properties.${property}.sharepoint.folder`) === true;
+  }
+
+  /**
+   * Checks whether the property is not stored in a field: it holds ETag, attachments, file metadata, content
+   * or folder of the item.
+   * @param property LoopBack model property
+   * @returns {boolean}
+   */
+  isVirtualProperty(property) {
+    return this.isETagProperty(property) || this.isAttachmentsProperty(property) ||
+      this.isFileProperty(property) || this.isContentProperty(property) || this.isFolderProperty(property);
+  }
+
+  /**
+   * Checks whether the property is stored in a SharePoint field referencing another list item (e.g. Lookup).
+   * Values of such fields are read and written through `<FieldName>Id` item properties.
+   * @param property LoopBack model property
+   * @returns {boolean}
+   */
+  isLookupField(property) {
+    return _.includes(LOOKUP_FIELD_TYPES, this.getSPFieldType(property));
   }
 }
 
@@ -252,16 +930,16 @@ function parseExpression(expression) {
 
   const expressionKeys = Object.keys(expression);
   if (expressionKeys.length !== 1) {
-    throw new Error(`Invalid expression: ${JSON.stringify(expression)}.`);
+    throw createError(`Invalid expression: ${JSON.stringify(expression)}.`, 400, 'INVALID_WHERE');
   }
   const field = expressionKeys[0];
-  if (!_.isObject(expression[field])) {
+  if (!_.isPlainObject(expression[field])) {
     operator = '=';
     value = expression[field];
   } else {
     const conditionKeys = Object.keys(expression[field]);
     if (conditionKeys.length !== 1) {
-      throw new Error(`Invalid condition: ${JSON.stringify(expression[field])}.`);
+      throw createError(`Invalid condition: ${JSON.stringify(expression[field])}.`, 400, 'INVALID_WHERE');
     }
     operator = Object.keys(expression[field])[0];
     value = expression[field][operator];
@@ -269,6 +947,163 @@ function parseExpression(expression) {
   return {field, operator, value};
 }
 
+/*
+* Returns names of the properties used in LoopBack where filter including nested and/or conditions
+*/
+function getWhereProperties(where) {
+  const properties = [];
+  _.forEach(where, (value, key) => {
+    if ((key === 'and' || key === 'or') && _.isArray(value)) {
+      properties.push(..._.flatMap(value, getWhereProperties));
+    } else {
+      properties.push(key);
+    }
+  });
+  return _.uniq(properties);
+}
+
+/*
+* Returns names of the properties used in LoopBack order filter, e.g. ['lastName', 'age'] for ['lastName', 'age DESC']
+*/
+function getOrderProperties(order) {
+  if (_.isEmpty(order)) {
+    return [];
+  }
+  return _.map(_.castArray(order), clause => _.split(clause, ' ')[0]);
+}
+
+/*
+* Compares values of SharePoint item fields, empty values are less than any other value
+*/
+function compareValues(value1, value2) {
+  if (_.isNil(value1) || _.isNil(value2)) {
+    return _.isNil(value2) - _.isNil(value1);
+  }
+  const [v1, v2] = _.map([value1, value2], value => _.isString(value) ? value.toLowerCase() : +value);
+  return v1 < v2 ? -1 : (v1 > v2 ? 1 : 0);
+}
+
+/*
+* Formats value of SharePoint item field for paging information
+*/
+function formatPagingValue(value, fieldType) {
+  if (_.isNil(value)) {
+    return '';
+  }
+  if (fieldType === 'DateTime') {
+    // paging information expects dates in 'yyyyMMdd HH:mm:ss' format
+    return new Date(value).toISOString().replace(/-/g, '').replace('T', ' ').substring(0, 17);
+  }
+  if (typeof value === 'boolean') {
+    return +value;
+  }
+  return value;
+}
+
+/*
+* Formats value of CAML <Value> element
+*/
+function formatValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  } else if (typeof value === 'boolean') {
+    return +value;
+  }
+  return value;
+}
+
+/*
+* Formats value of KQL property restriction, text is quoted without the double quotes KQL cannot escape
+*/
+function formatKqlValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  } else if (typeof value === 'boolean') {
+    return +value;
+  } else if (typeof value === 'number') {
+    return value;
+  }
+  return `"${String(value).replace(/"/g, '')}"`;
+}
+
+/*
+* Translates LoopBack `like` pattern into CAML operator by the position of '%' wildcards:
+* 'abc' without wildcards - Eq, 'abc%' - BeginsWith, '%abc%' - Contains.
+* Returns null for other patterns as they cannot be expressed in CAML.
+*/
+function parseLikePattern(pattern) {
+  if (!_.isString(pattern)) {
+    return null;
+  }
+  const match = /^(%?)([^%_]+)(%?)$/.exec(pattern);
+  if (!match) {
+    return null;
+  }
+  const [, leading, text, trailing] = match;
+  if (leading && trailing) {
+    return {camlOperator: 'Contains', text};
+  }
+  if (!leading && !trailing) {
+    return {camlOperator: 'Eq', text};
+  }
+  if (!leading) {
+    return {camlOperator: 'BeginsWith', text};
+  }
+  return null;
+}
+
+/*
+* Returns a function checking whether a value matches the condition applied on the client side
+*/
+function getClientMatcher(operator, value) {
+  switch (operator) {
+    case 'like':
+    case 'ilike': {
+      const regex = likeToRegExp(value);
+      return v => regex.test(v);
+    }
+    case 'nlike':
+    case 'nilike': {
+      const regex = likeToRegExp(value);
+      return v => !_.isNil(v) && !regex.test(v);
+    }
+    case 'regexp': {
+      const regex = toRegExp(value);
+      return v => regex.test(v);
+    }
+  }
+}
+
+/*
+* Converts LoopBack `like` pattern with '%' and '_' wildcards into case-insensitive RegExp
+*/
+function likeToRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const source = _.map(String(pattern), char => {
+    if (char === '%') {
+      return '.*';
+    }
+    if (char === '_') {
+      return '.';
+    }
+    return _.escapeRegExp(char);
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/*
+* Converts LoopBack `regexp` value (RegExp object, '/pattern/flags' or 'pattern' string) into RegExp
+*/
+function toRegExp(value) {
+  if (value instanceof RegExp) {
+    return value;
+  }
+  const match = /^\/(.*)\/([gimsuy]*)$/.exec(String(value));
+  return match ? new RegExp(match[1], match[2].replace('g', '')) : new RegExp(value);
+}
+
 function getCamlName(lbName) {
   switch (_.toLower(lbName)) {
     case 'and':
@@ -276,6 +1111,7 @@ function getCamlName(lbName) {
     case 'or':
       return 'Or';
     case '=':
+    case 'eq':
       return 'Eq';
     case 'neq':
       return 'Neq';
@@ -289,15 +1125,64 @@ function getCamlName(lbName) {
       return 'Leq';
     case 'inq':
       return 'In';
-    case 'like':
-      return 'BeginsWith';
     case 'contains':
       return 'Contains';
   }
 }
 
+/*
+* Returns lower-cased name of LoopBack property type, e.g. 'string', 'date' or 'array' for `[String]`
+*/
+function getLoopBackTypeName(propDefinition) {
+  const type = _.get(propDefinition, 'type');
+  return _.isArray(type) ? 'array' : _.toLower(_.get(type, 'name'));
+}
+
+/*
+* Converts number or its text representation (e.g. '1,234.50' or '$1,234.50') into number
+*/
+function toNumber(value) {
+  if (!_.isString(value)) {
+    return Number(value);
+  }
+  const text = _.trim(value);
+  if (text === '') {
+    return null;
+  }
+  const number = Number(text);
+  return isNaN(number) ? Number(text.replace(/[^0-9.eE+-]/g, '')) : number;
+}
+
+/*
+* Converts boolean or its representation returned by SharePoint (1/0, 'Yes'/'No', 'true'/'false') into boolean
+*/
+function toBoolean(value) {
+  if (_.isString(value)) {
+    return _.includes(['1', 'yes', 'true'], _.toLower(_.trim(value)));
+  }
+  return Boolean(value);
+}
+
+/*
+* Gets user ID from User property value: ID itself or `{id}` object
+*/
+function getUserId(value) {
+  return _.isObject(value) ? value.id : Number(value);
+}
+
+/*
+* Parses text value of URL field returned as 'url, description'
+*/
+function parseUrlValue(text) {
+  const separatorIndex = text.indexOf(', ');
+  if (separatorIndex < 0) {
+    return {url: text, description: text};
+  }
+  return {url: text.substring(0, separatorIndex), description: text.substring(separatorIndex + 2)};
+}
+
 function getDefaultSharePointType(lsType) {
-  switch (lsType.toLowerCase()) {
+  switch (_.toLower(lsType)) {
     case 'string':
       return 'Text';
     case 'number':
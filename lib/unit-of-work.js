@@ -0,0 +1,268 @@
+'use strict';
+const debug = require('debug')('loopback:connector:sharepoint');
+const {SharePointQueryable} = require('@pnp/sp');
+const Bluebird = require('bluebird');
+const _ = require('lodash');
+const {SPLib} = require('./sp-lib');
+const {createError, toLoopBackError} = require('./errors');
+
+/**
+ * Unit of work of SharePoint connector transaction. SharePoint has no transactions, so the writes made with
+ * the transaction are queued and sent in a single batch request on commit. If any of them fails, the successful ones
+ * are undone by compensating operations in the reverse order: created items are deleted, updated items get their
+ * previous field values back and deleted items (which are moved to the recycle bin) are restored.
+ *
+ * Every operation is reported as `{model, operation, id, status}` object where `operation` is `create`, `update`
+ * or `delete` and `status` is one of:
+ * - `committed` - the operation succeeded
+ * - `failed` - the operation failed (`error` contains the cause)
+ * - `undone` - the operation succeeded, but it was undone because other operation failed
+ * - `undoFailed` - the operation succeeded and could not be undone (`error` contains the cause)
+ */
+class UnitOfWork {
+  /**
+   * @param {SharePointConnector} connector The connector
+   */
+  constructor(connector) {
+    this.connector = connector;
+    // queued operations: {model, operation, id, spId, spData, eTag, options}
+    this.operations = [];
+    // reports of the operations of the last commit
+    this.results = null;
+  }
+
+  /**
+   * Queues creating the list item. The instance id must be set in the data, so that the instance and the instances
+   * referencing it can be written before the batch is sent. Models whose id is mapped to ID column get the id only
+   * when the item is created, so they cannot be created in a transaction.
+   * @param {String} modelName The model name
+   * @param {Object} data The model data with users resolved to their IDs
+   * @param {Object} options The options object
+   * @returns {*} The instance id
+   */
+  create(modelName, data, options) {
+    const connector = this.connector;
+    const spLib = new SPLib(connector._models[modelName]);
+    const props = Object.keys(connector._models[modelName].properties);
+    if (connector.isDocumentLibrary(modelName) || _.some(props, prop => spLib.isFolderProperty(prop) && data[prop]) ||
+      connector.getFolderScope(modelName, null, options).folder) {
+      throw createError(`${modelName} items in document libraries or folders cannot be created in a transaction.`, 400,
+        'TRANSACTION_NOT_SUPPORTED');
+    }
+    const idProp = connector.getIdPropertyName(modelName);
+    const id = _.get(data, idProp);
+    if (connector.getSPColumnName(modelName, idProp) === 'ID') {
+      throw createError(`${modelName} items get their ID from SharePoint when they are created, so they cannot be created ` +
+        'in a transaction.', 400, 'TRANSACTION_NOT_SUPPORTED');
+    }
+    if (_.isNil(id)) {
+      throw createError(`${modelName} can only be created in a transaction with the id set in the data.`, 400,
+        'TRANSACTION_NOT_SUPPORTED');
+    }
+    this.add({model: modelName, operation: 'create', id, spData: connector.toSPItem(modelName, data, true), options});
+    return id;
+  }
+
+  /**
+   * Queues updating the list item
+   * @param {String} modelName The model name
+   * @param {*} id The instance id
+   * @param {Number} spId SharePoint ID of the item
+   * @param {Object} spData SharePoint item properties to update
+   * @param {String} [eTag] ETag of the item
+   * @param {Object} options The options object
+   */
+  update(modelName, id, spId, spData, eTag, options) {
+    this.add({model: modelName, operation: 'update', id, spId, spData, eTag, options});
+  }
+
+  /**
+   * Queues deleting the list item
+   * @param {String} modelName The model name
+   * @param {*} id The instance id
+   * @param {Number} spId SharePoint ID of the item
+   * @param {Object} options The options object
+   */
+  delete(modelName, id, spId, options) {
+    this.add({model: modelName, operation: 'delete', id, spId, options});
+  }
+
+  /*!
+   * Adds the operation to the queue. The batch is sent to a single web, so all the operations must target it.
+   */
+  add(operation) {
+    const connector = this.connector;
+    const getWebUrl = modelName => connector.spClient.getWebUrl(connector.getWebUrl(modelName));
+    const first = _.first(this.operations);
+    if (first && getWebUrl(first.model) !== getWebUrl(operation.model)) {
+      throw createError('Lists of the models written in a transaction must be stored in the same web.', 400,
+        'TRANSACTION_NOT_SUPPORTED');
+    }
+    this.operations.push(operation);
+  }
+
+  /**
+   * Sends the queued operations in a single batch request and undoes the successful ones if any operation fails.
+   * The batch is sent with the identity of the first operation (see `sharepointToken` option).
+   * @returns {Promise<Object[]>} Reports of the operations. The promise is rejected with `TRANSACTION_FAILED` error
+   * containing the reports in `operations` and the reports of the undone operations in `undone`.
+   */
+  commit() {
+    const operations = this.operations;
+    this.operations = [];
+    if (_.isEmpty(operations)) {
+      this.results = [];
+      return Bluebird.resolve([]);
+    }
+    const connector = this.connector;
+    return this.getEntityTypes(operations)
+      .then(entityTypes => this.executeBatch(operations, entityTypes),
+        err => Bluebird.all(_.map(operations, () => Bluebird.reject(err).reflect())))
+      .then(inspections => {
+        const reports = _.map(operations, (operation, i) => {
+          const report = _.pick(operation, ['model', 'operation', 'id']);
+          if (inspections[i].isFulfilled()) {
+            operation.result = inspections[i].value();
+            report.status = 'committed';
+            if (operation.operation === 'create') {
+              report.id = connector.fromSPItem(operation.model, operation.result)[connector.getIdPropertyName(operation.model)];
+            }
+          } else {
+            report.status = 'failed';
+            report.error = toLoopBackError(inspections[i].reason());
+          }
+          return report;
+        });
+        this.results = reports;
+        if (!_.some(reports, {status: 'failed'})) {
+          return reports;
+        }
+        return this.undo(operations, reports)
+          .then(() => {
+            throw createTransactionError(reports);
+          });
+      });
+  }
+
+  /**
+   * Discards the queued operations
+   * @returns {Promise<Object[]>} Empty array as no operation was sent
+   */
+  rollback() {
+    this.operations = [];
+    this.results = [];
+    return Bluebird.resolve([]);
+  }
+
+  /*!
+   * Gets the list item entity types of the models created or updated by the operations. @pnp/sp looks them up itself
+   * before adding the requests to the batch otherwise, and the batch is never sent if any lookup fails.
+   */
+  getEntityTypes(operations) {
+    const connector = this.connector;
+    const models = _.uniqBy(_.reject(operations, {operation: 'delete'}), 'model');
+    return Bluebird.map(models, ({model, options}) => {
+      return Bluebird.resolve(connector.getList(model, options).select('ListItemEntityTypeFullName').get())
+        .then(list => [model, list.ListItemEntityTypeFullName]);
+    })
+      .then(_.fromPairs);
+  }
+
+  /*!
+   * Sends the operations in a single batch request. Resolves with the inspections of the operation results.
+   */
+  executeBatch(operations, entityTypes) {
+    const connector = this.connector;
+    const batch = connector.createBatch(operations[0].model, operations[0].options);
+    const settled = _.map(operations, operation => {
+      const list = connector.getList(operation.model, operation.options);
+      const entityType = entityTypes[operation.model];
+      switch (operation.operation) {
+        case 'create':
+          return Bluebird.resolve(list.items.inBatch(batch).add(operation.spData, entityType))
+            .then(result => result.data)
+            .reflect();
+        case 'update': {
+          // the values to restore are read right before the update
+          const snapshot = list.items.getById(operation.spId).select(...Object.keys(operation.spData)).inBatch(batch).get();
+          const update = list.items.getById(operation.spId).inBatch(batch)
+            .update(operation.spData, operation.eTag || '*', entityType);
+          return Bluebird.join(snapshot, update, spItem => spItem).reflect();
+        }
+        case 'delete':
+          // deleted items are moved to the recycle bin, so that they can be restored
+          return Bluebird.resolve(list.items.getById(operation.spId).inBatch(batch).recycle())
+            .then(result => (_.isString(result) ? result : result.Recycle))
+            .reflect();
+      }
+    });
+    return Bluebird.resolve(batch.execute())
+      .catch(err => {
+        // the batch fails when any of its requests fails. Only the requests of a batch which was not sent or whose
+        // response could not be read are left pending, so they fail too.
+        for (const request of batch.requests) {
+          request.reject(err);
+        }
+      })
+      .then(() => Bluebird.all(settled));
+  }
+
+  /*!
+   * Undoes the committed operations in the reverse order, updating their reports
+   */
+  undo(operations, reports) {
+    const committed = _.filter(_.range(operations.length), i => reports[i].status === 'committed');
+    return Bluebird.each(_.reverse(committed), i => {
+      return Bluebird.resolve(this.undoOperation(operations[i]))
+        .then(() => {
+          reports[i].status = 'undone';
+        }, err => {
+          reports[i].status = 'undoFailed';
+          reports[i].error = toLoopBackError(err);
+        });
+    });
+  }
+
+  undoOperation(operation) {
+    const connector = this.connector;
+    const {model, options, result} = operation;
+    if (connector.debug) {
+      debug('undo', operation.operation, model, operation.id);
+    }
+    switch (operation.operation) {
+      case 'create':
+        return connector.getList(model, options).items.getById(result.ID).delete();
+      case 'update': {
+        const previous = connector.fromSPItem(model, result);
+        const props = _.filter(Object.keys(connector._models[model].properties),
+          prop => _.has(operation.spData, connector.getSPItemPropertyName(model, prop)));
+        const spData = connector.toSPProperties(model, _.mapValues(_.pick(previous, props), value => _.defaultTo(value, null)));
+        return connector.getList(model, options).items.getById(operation.spId).update(spData);
+      }
+      case 'delete':
+        return new SharePointQueryable(connector.getWeb(model, options), `RecycleBin('${result}')/restore()`).postCore();
+    }
+  }
+}
+
+/*!
+ * Creates the error of the failed commit. Its status code and code are taken from the first failed operation.
+ */
+function createTransactionError(reports) {
+  const failed = _.find(reports, {status: 'failed'});
+  const undone = _.filter(reports, {status: 'undone'});
+  const undoFailed = _.filter(reports, {status: 'undoFailed'});
+  let message = `Transaction failed: ${failed.operation} of ${failed.model}` +
+    `${_.isNil(failed.id) ? '' : ` with id ${failed.id}`} failed: ${_.trimEnd(failed.error.message, '.')}. ` +
+    `${undone.length} operation(s) were undone.`;
+  if (undoFailed.length) {
+    message += ` ${undoFailed.length} operation(s) could not be undone.`;
+  }
+  const err = createError(message, failed.error.statusCode || 500, 'TRANSACTION_FAILED');
+  err.cause = failed.error;
+  err.operations = reports;
+  err.undone = undone;
+  return err;
+}
+
+exports.UnitOfWork = UnitOfWork;
@@ -0,0 +1,51 @@
+'use strict';
+const {invokeConnector} = require('./mixin-utils');
+
+/**
+ * Mixin adding methods for reading the version history of the instances of a model attached to SharePoint data source
+ * and restoring them to earlier versions. The methods accept an optional callback and return a promise when it is not
+ * specified. The versions are kept when versioning is enabled for the model list (see `sharepoint.versioning` setting).
+ *
+ * Register it with `dataSource.modelBuilder.mixins.define('SharePointVersions', VersionsMixin)` and enable it
+ * by `mixins: {SharePointVersions: true}` model setting, or apply it to the model directly: `VersionsMixin(Model)`.
+ *
+ * @param {Function} Model The model class
+ */
+function VersionsMixin(Model) {
+  /**
+   * Gets the versions of the instance, the latest first
+   * @param {*} id The instance id
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<{label: String, isCurrent: Boolean, modified: Date, modifiedBy: Object, data: Object}[]>}
+   */
+  Model.getVersions = function(id, options, cb) {
+    return invokeConnector(Model, 'getVersions', [id], options, cb);
+  };
+
+  /**
+   * Gets the version of the instance
+   * @param {*} id The instance id
+   * @param {String} label The version label, e.g. '2.0'
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<Object>} The version
+   */
+  Model.getVersion = function(id, label, options, cb) {
+    return invokeConnector(Model, 'getVersion', [id, label], options, cb);
+  };
+
+  /**
+   * Restores the instance to the version
+   * @param {*} id The instance id
+   * @param {String} label The version label, e.g. '2.0'
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<Object>} The restored instance
+   */
+  Model.restoreVersion = function(id, label, options, cb) {
+    return invokeConnector(Model, 'restoreVersion', [id, label], options, cb);
+  };
+}
+
+module.exports = VersionsMixin;
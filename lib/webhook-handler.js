@@ -0,0 +1,241 @@
+'use strict';
+const debug = require('debug')('loopback:connector:sharepoint');
+const Bluebird = require('bluebird');
+const _ = require('lodash');
+const {createError} = require('./errors');
+
+// Subscriptions are checked daily and renewed 30 days before they expire by default
+const DEFAULT_RENEW_INTERVAL = 24 * 3600 * 1000;
+const DEFAULT_RENEW_BEFORE = 30 * 24 * 3600 * 1000;
+
+/**
+ * Handler of SharePoint webhook notifications independent of the web framework. It answers the validation
+ * handshake of new subscriptions and pulls the changes of the lists the notifications are sent for.
+ * The changes are emitted as `changed` event of the model with the object returned by `getChanges()`
+ * (see SharePointConnector). The change tokens are kept in the token store, which is in memory by default.
+ *
+ * ```js
+ * const handler = new WebhookHandler([Order], {clientState: 'secret'});
+ * Order.on('changed', changes => sync(changes));
+ * await handler.start();
+ * app.post('/sharepoint/webhook', (req, res) => handler.handle(req)
+ *   .then(({status, headers, body}) => res.status(status).set(headers).send(body)));
+ * ```
+ */
+class WebhookHandler {
+  /**
+   * @param {Function[]} models Models attached to SharePoint data sources whose lists send the notifications
+   * @param {Object} [options] The handler options
+   * @param {String} [options.clientState] Client state of the subscriptions, notifications with other state are ignored
+   * @param {{get: Function, set: Function}} [options.tokenStore] Store of the change tokens by model name, its methods
+   * may return promises. Default: in memory store
+   * @param {Function} [options.onError] Function called with the errors of processing the notifications and renewing
+   * the subscriptions. Default: the errors are logged by debug
+   * @param {Boolean} [options.autoRenew] Renew the subscriptions with `notificationUrl` before they expire
+   * @param {String} [options.notificationUrl] URL of the handler, required for the automatic renewal
+   * @param {Number} [options.renewInterval] Milliseconds between the renewal checks. Default: 1 day
+   * @param {Number} [options.renewBefore] Milliseconds before the expiration when the subscriptions are renewed.
+   * Default: 30 days
+   */
+  constructor(models, options) {
+    this.models = _.castArray(models);
+    this.options = _.assign({renewInterval: DEFAULT_RENEW_INTERVAL, renewBefore: DEFAULT_RENEW_BEFORE}, options);
+    if (this.options.autoRenew && !this.options.notificationUrl) {
+      throw createError('Subscriptions cannot be renewed automatically without notificationUrl.', 400,
+        'NOTIFICATION_URL_REQUIRED');
+    }
+    const tokens = new Map();
+    this.tokenStore = this.options.tokenStore || {
+      get: modelName => tokens.get(modelName),
+      set: (modelName, token) => tokens.set(modelName, token)
+    };
+    // promises of the list ids and of the last change pulls by model name
+    this.listIds = {};
+    this.pulls = {};
+    this.renewTimer = null;
+  }
+
+  /**
+   * Stores the current change tokens of the models which have no token yet, so that the notifications pull the changes
+   * made from now on. With `autoRenew` option the subscriptions are renewed right away and then periodically.
+   * @returns {Promise}
+   */
+  start() {
+    return Bluebird.each(this.models, Model => {
+      return Bluebird.resolve(this.tokenStore.get(Model.modelName))
+        .then(token => token || this.initToken(Model));
+    })
+      .then(() => {
+        if (this.options.autoRenew && !this.renewTimer) {
+          this.renewTimer = setInterval(() => this.renewSubscriptions().catch(err => this.reportError(err)),
+            this.options.renewInterval);
+          // the timer does not keep the process running
+          this.renewTimer.unref();
+          return this.renewSubscriptions();
+        }
+      });
+  }
+
+  /**
+   * Stops the automatic renewal of the subscriptions
+   */
+  stop() {
+    clearInterval(this.renewTimer);
+    this.renewTimer = null;
+  }
+
+  /**
+   * Handles the request sent by SharePoint to the notification URL. The response is returned right away,
+   * as SharePoint expects it within 5 seconds, and the changes are pulled afterwards.
+   * @param {{query: Object, body: Object|String|Buffer}} request The request with the parsed query string and the body
+   * @returns {Promise<{status: Number, headers: Object, body: String}>} The response to send
+   */
+  handle(request) {
+    const validationToken = _.get(request, 'query.validationtoken');
+    if (validationToken) {
+      return Bluebird.resolve({status: 200, headers: {'Content-Type': 'text/plain'}, body: validationToken});
+    }
+    let notifications;
+    try {
+      const body = _.get(request, 'body');
+      notifications = _.get(_.isObjectLike(body) && !Buffer.isBuffer(body) ? body : JSON.parse(body), 'value');
+    } catch (err) {
+      notifications = null;
+    }
+    if (!_.isArray(notifications)) {
+      return Bluebird.resolve({status: 400, headers: {}, body: 'Invalid notification'});
+    }
+    this.processNotifications(notifications)
+      .catch(err => this.reportError(err));
+    return Bluebird.resolve({status: 200, headers: {}, body: ''});
+  }
+
+  /**
+   * Pulls the changes of the models whose lists the notifications are sent for and emits them as `changed` events
+   * @param {Object[]} notifications The notifications, `value` of the request body
+   * @returns {Promise}
+   */
+  processNotifications(notifications) {
+    const clientState = this.options.clientState;
+    const valid = _.filter(notifications, notification => {
+      if (clientState && notification.clientState !== clientState) {
+        debug('Notification with unknown client state ignored', notification.subscriptionId);
+        return false;
+      }
+      return true;
+    });
+    const resources = _.uniq(_.map(valid, notification => normalizeId(notification.resource)));
+    if (_.isEmpty(resources)) {
+      return Bluebird.resolve();
+    }
+    return Bluebird.map(this.models, Model => {
+      return this.getListId(Model)
+        .then(listId => (_.includes(resources, listId) ? this.pullChanges(Model) : null));
+    });
+  }
+
+  /**
+   * Renews the subscriptions with `notificationUrl` which expire within `renewBefore` milliseconds
+   * @returns {Promise<Object[]>} The renewed subscriptions
+   */
+  renewSubscriptions() {
+    const renewBy = Date.now() + this.options.renewBefore;
+    return Bluebird.mapSeries(this.models, Model => {
+      return callConnector(Model, 'getSubscriptions')
+        .then(subscriptions => {
+          const expiring = _.filter(subscriptions, subscription =>
+            subscription.notificationUrl === this.options.notificationUrl && subscription.expirationDateTime <= renewBy);
+          return Bluebird.mapSeries(expiring, subscription => {
+            debug('Renewing subscription', Model.modelName, subscription.id);
+            return callConnector(Model, 'renewSubscription', subscription.id, null);
+          });
+        });
+    })
+      .then(_.flatten);
+  }
+
+  /*!
+   * Pulls the changes of the model since the stored token. The pulls of the same model run one at a time,
+   * so that every change is emitted once. The token is stored after the listeners have handled the changes.
+   */
+  pullChanges(Model) {
+    const modelName = Model.modelName;
+    const previous = this.pulls[modelName] || Bluebird.resolve();
+    const pull = previous.catch(_.noop)
+      .then(() => this.tokenStore.get(modelName))
+      .then(token => {
+        if (!token) {
+          // the changes made before the token is stored are not known
+          return this.initToken(Model);
+        }
+        return callConnector(Model, 'getChanges', token)
+          .then(changes => {
+            if (!_.isEmpty(changes.added) || !_.isEmpty(changes.updated) || !_.isEmpty(changes.deleted)) {
+              Model.emit('changed', changes);
+            }
+            return this.tokenStore.set(modelName, changes.token);
+          });
+      });
+    this.pulls[modelName] = pull;
+    return pull;
+  }
+
+  /*!
+   * Stores the current change token of the model list
+   */
+  initToken(Model) {
+    return callConnector(Model, 'getChanges', null)
+      .then(({token}) => this.tokenStore.set(Model.modelName, token));
+  }
+
+  /*!
+   * Gets the id of the model list, the id is fetched once
+   */
+  getListId(Model) {
+    const modelName = Model.modelName;
+    if (!this.listIds[modelName]) {
+      this.listIds[modelName] = Bluebird.try(() => getConnector(Model).getListId(modelName))
+        .then(normalizeId)
+        .catch(err => {
+          delete this.listIds[modelName];
+          throw err;
+        });
+    }
+    return this.listIds[modelName];
+  }
+
+  /*!
+   * Passes the error of the background work to `onError` option
+   */
+  reportError(err) {
+    if (this.options.onError) {
+      this.options.onError(err);
+    } else {
+      debug('Webhook error', err);
+    }
+  }
+}
+
+/*!
+ * Calls the connector method of the model with the service identity (no options)
+ */
+function callConnector(Model, method, ...args) {
+  return Bluebird.try(() => {
+    const connector = getConnector(Model);
+    return Bluebird.fromCallback(callback => connector[method](Model.modelName, ...args, undefined, callback));
+  });
+}
+
+function getConnector(Model) {
+  const connector = _.get(Model.getDataSource(), 'connector');
+  if (!connector || !_.isFunction(connector.getChanges)) {
+    throw new Error(`${Model.modelName} is not attached to SharePoint data source.`);
+  }
+  return connector;
+}
+
+function normalizeId(id) {
+  return _.toLower(_.trim(id, '{}'));
+}
+
+exports.WebhookHandler = WebhookHandler;
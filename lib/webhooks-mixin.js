@@ -0,0 +1,66 @@
+'use strict';
+const _ = require('lodash');
+const {invokeConnector} = require('./mixin-utils');
+
+/**
+ * Mixin adding methods for managing webhook subscriptions of the list of a model attached to SharePoint data source.
+ * The methods accept an optional callback and return a promise when it is not specified.
+ * Notifications sent to the subscriptions are handled by WebhookHandler.
+ *
+ * Register it with `dataSource.modelBuilder.mixins.define('SharePointWebhooks', WebhooksMixin)` and enable it
+ * by `mixins: {SharePointWebhooks: true}` model setting, or apply it to the model directly: `WebhooksMixin(Model)`.
+ *
+ * @param {Function} Model The model class
+ */
+function WebhooksMixin(Model) {
+  /**
+   * Creates a webhook subscription of the model list
+   * @param {{notificationUrl: String, expirationDateTime: Date, clientState: String}} subscription The subscription
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<Object>} The created subscription
+   */
+  Model.createSubscription = function(subscription, options, cb) {
+    return invokeConnector(Model, 'createSubscription', [subscription], options, cb);
+  };
+
+  /**
+   * Renews the webhook subscription of the model list
+   * @param {String} id The subscription id
+   * @param {Date|String} [expirationDateTime] The new expiration. Default: 179 days from now
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<Object>} The renewed subscription
+   */
+  Model.renewSubscription = function(id, expirationDateTime, options, cb) {
+    if (_.isFunction(expirationDateTime) || _.isPlainObject(expirationDateTime)) {
+      cb = options;
+      options = expirationDateTime;
+      expirationDateTime = undefined;
+    }
+    return invokeConnector(Model, 'renewSubscription', [id, expirationDateTime], options, cb);
+  };
+
+  /**
+   * Gets the webhook subscriptions of the model list
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<Object[]>}
+   */
+  Model.getSubscriptions = function(options, cb) {
+    return invokeConnector(Model, 'getSubscriptions', [], options, cb);
+  };
+
+  /**
+   * Deletes the webhook subscription of the model list
+   * @param {String} id The subscription id
+   * @param {Object} [options] The options object
+   * @param {Function} [cb] The callback function
+   * @returns {Promise<{count: Number}>} Number of deleted subscriptions
+   */
+  Model.deleteSubscription = function(id, options, cb) {
+    return invokeConnector(Model, 'deleteSubscription', [id], options, cb);
+  };
+}
+
+module.exports = WebhooksMixin;
@@ -0,0 +1,116 @@
+'use strict';
+const {Readable} = require('stream');
+const {expect} = require('chai');
+const {AttachmentsMixin} = require('../');
+const {setupModel, spError} = require('./support/fake-sp');
+
+describe('Attachments tests', () => {
+  const itemUrl = 'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Tickets\')/items(1)';
+  const fileUrl = name => `/Lists/Tickets/Attachments/1/${name}`;
+
+  // keeps the files attached to the item 1 like SharePoint
+  const setup = settings => {
+    const files = {'log.txt': 'Started'};
+    const result = setupModel((method, url, options) => {
+      if (/\/lists$/.test(url)) {
+        return {status: 201, body: {d: {}}};
+      }
+      if (/getitems/.test(url)) {
+        const attachmentFiles = Object.keys(files).map(name => ({FileName: name, ServerRelativeUrl: fileUrl(name)}));
+        return {status: 200, body: {d: {results: [{ID: 1, Title: 'Crash', AttachmentFiles: {results: attachmentFiles}}]}}};
+      }
+      if (!url.startsWith(itemUrl)) {
+        return {status: 200, body: {d: {results: []}}};
+      }
+      const add = /AttachmentFiles\/add\(FileName='(.+)'\)$/.exec(url);
+      if (add) {
+        files[add[1]] = String(options.body);
+        return {status: 200, body: {d: {FileName: add[1], ServerRelativeUrl: fileUrl(add[1])}}};
+      }
+      const file = /AttachmentFiles\('(.+)'\)/.exec(url);
+      if (file && !files[file[1]]) {
+        return {status: 404, body: spError('File Not Found.', '-2130575338, Microsoft.SharePoint.SPException')};
+      }
+      if (file && method === 'GET') {
+        return {status: 200, body: files[file[1]]};
+      }
+      if (file) {
+        delete files[file[1]];
+        return {status: 200};
+      }
+      const attachmentFiles = Object.keys(files).map(name => ({FileName: name, ServerRelativeUrl: fileUrl(name)}));
+      return {status: 200, body: {d: {results: attachmentFiles}}};
+    }, 'Ticket', {}, {mixins: [AttachmentsMixin], sharepoint: settings});
+    return Object.assign(result, {files});
+  };
+
+  const readAll = stream => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+  });
+
+  it('should list the attachments of the item', async () => {
+    const {client, Ticket} = setup();
+    const attachments = await Ticket.getAttachments(1);
+    expect(attachments).to.deep.equal([{name: 'log.txt', url: fileUrl('log.txt')}]);
+    expect(client.requests).to.deep.equal([{
+      url: `${itemUrl}/AttachmentFiles?$select=FileName,ServerRelativeUrl`,
+      method: 'GET'
+    }]);
+  });
+
+  it('should upload the attachment from a Buffer', async () => {
+    const {Ticket, files} = setup();
+    const attachment = await Ticket.uploadAttachment(1, 'trace.txt', Buffer.from('Stack trace'));
+    expect(attachment).to.deep.equal({name: 'trace.txt', url: fileUrl('trace.txt')});
+    expect(files['trace.txt']).to.equal('Stack trace');
+  });
+
+  it('should upload the attachment from a stream', async () => {
+    const {Ticket, files} = setup();
+    await Ticket.uploadAttachment(1, 'trace.txt', Readable.from(['Stack ', 'trace']));
+    expect(files['trace.txt']).to.equal('Stack trace');
+  });
+
+  it('should download the attachment as a stream', async () => {
+    const {Ticket} = setup();
+    const stream = await Ticket.downloadAttachment(1, 'log.txt');
+    expect(await readAll(stream)).to.equal('Started');
+  });
+
+  it('should delete the attachment', async () => {
+    const {Ticket, files} = setup();
+    expect(await Ticket.deleteAttachment(1, 'log.txt')).to.deep.equal({count: 1});
+    expect(files).to.be.empty;
+    expect(await Ticket.deleteAttachment(1, 'log.txt')).to.deep.equal({count: 0});
+  });
+
+  it('should reject the attachments of the instance which does not exist', async () => {
+    const {Ticket} = setup();
+    const err = await Ticket.getAttachments(0).catch(e => e);
+    expect(err).to.include({statusCode: 404, code: 'NOT_FOUND'});
+  });
+
+  it('should include the attachment metadata in the found instances', async () => {
+    const {client, Ticket} = setup();
+    const tickets = await Ticket.find({}, {includeAttachments: true});
+    expect(tickets[0].attachments).to.deep.equal([{name: 'log.txt', url: fileUrl('log.txt')}]);
+    expect(client.requests[0].url).to.match(/\$expand=FieldValuesAsText,AttachmentFiles$/);
+  });
+
+  it('should turn the attachments off in the created list', async () => {
+    const {ds, client} = setup({attachments: false});
+    const fetch = client.fetch;
+    let list;
+    client.fetch = (url, options) => {
+      if (/\/lists$/.test(url)) {
+        list = JSON.parse(options.body);
+      }
+      return fetch(url, options);
+    };
+    await ds.connector.createList('Ticket');
+    expect(list).to.include({Title: 'Tickets', BaseTemplate: 100, EnableAttachments: false});
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+const {expect} = require('chai');
+const {setupModel, spError} = require('./support/fake-sp');
+
+describe('Batch tests', () => {
+  const setup = (settings, failedIds) => {
+    const spItems = Array.from({length: 250}, (value, index) => ({ID: index + 1, Code: `P${index + 1}`}));
+    const {client, Product} = setupModel((method, url) => {
+      const id = /items\((\d+)\)$/.exec(url);
+      if (!id) {
+        return {status: 200, body: {d: {results: spItems}}};
+      }
+      if (failedIds.includes(+id[1])) {
+        return {status: 404, body: spError('Item does not exist. It may have been deleted by another user.')};
+      }
+      return {status: 200};
+    }, 'Product', {code: {type: String, sharepoint: {columnName: 'Code'}}}, {settings});
+    // track the batch requests in progress
+    const fetch = client.fetch;
+    client.inProgress = 0;
+    client.maxInProgress = 0;
+    client.fetch = (url, options) => {
+      if (!/\$batch$/.test(url)) {
+        return fetch(url, options);
+      }
+      client.inProgress++;
+      client.maxInProgress = Math.max(client.maxInProgress, client.inProgress);
+      return new Promise(resolve => setTimeout(resolve, 10))
+        .then(() => fetch(url, options))
+        .then(response => {
+          client.inProgress--;
+          return response;
+        });
+    };
+    return {client, Product};
+  };
+
+  const batchCount = client => client.requests.filter(request => /\$batch$/.test(request.url)).length;
+
+  it('should send the items in batches of 100 items', async () => {
+    const {client, Product} = setup({}, []);
+    const result = await Product.destroyAll({code: {neq: 'X'}});
+    expect(result).to.deep.equal({count: 250});
+    expect(batchCount(client)).to.equal(3);
+    expect(client.batchRequests).to.have.lengthOf(250);
+    expect(client.batchRequests.every(request => request.method === 'DELETE')).to.be.true;
+  });
+
+  it('should send the items in batches of `batchSize` items', async () => {
+    const {client, Product} = setup({batchSize: 50}, []);
+    await Product.destroyAll({code: {neq: 'X'}});
+    expect(batchCount(client)).to.equal(5);
+  });
+
+  it('should execute up to 2 batches at a time', async () => {
+    const {client, Product} = setup({batchSize: 10}, []);
+    await Product.destroyAll({code: {neq: 'X'}});
+    expect(batchCount(client)).to.equal(25);
+    expect(client.maxInProgress).to.equal(2);
+  });
+
+  it('should execute up to `batchConcurrency` batches at a time', async () => {
+    const {client, Product} = setup({batchSize: 10, batchConcurrency: 4}, []);
+    await Product.destroyAll({code: {neq: 'X'}});
+    expect(client.maxInProgress).to.equal(4);
+  });
+
+  it('should report the failed items with their ids', async () => {
+    const {Product} = setup({}, [12, 140]);
+    const result = await Product.destroyAll({code: {neq: 'X'}});
+    expect(result.count).to.equal(248);
+    expect(result.failed).to.deep.equal([
+      {id: 12, code: 'NOT_FOUND', message: 'Item does not exist. It may have been deleted by another user.'},
+      {id: 140, code: 'NOT_FOUND', message: 'Item does not exist. It may have been deleted by another user.'}
+    ]);
+  });
+
+  it('should report the items of the failed batch request with its error', async () => {
+    const {client, Product} = setup({batchSize: 200}, []);
+    const fetch = client.fetch;
+    client.fetch = (url, options) => (/\$batch$/.test(url) && /items\(201\)/.test(options.body) ?
+      Promise.reject(new Error('socket hang up')) :
+      fetch(url, options));
+    const result = await Product.destroyAll({code: {neq: 'X'}});
+    expect(result.count).to.equal(200);
+    expect(result.failed).to.have.lengthOf(50);
+    expect(result.failed[0]).to.deep.equal({id: 201, code: 'SHAREPOINT_ERROR', message: 'socket hang up'});
+    expect(JSON.parse(JSON.stringify(result)).failed).to.deep.equal(result.failed);
+  });
+
+  it('should stop after the first failed batch when `stopOnBatchError` is set', async () => {
+    const {client, Product} = setup({stopOnBatchError: true, batchConcurrency: 1}, [12, 140]);
+    const err = await Product.destroyAll({code: {neq: 'X'}}).catch(e => e);
+    expect(err).to.include({statusCode: 404, code: 'NOT_FOUND', count: 99});
+    expect(err.failed.map(item => item.id)).to.deep.equal([12]);
+    expect(batchCount(client)).to.equal(1);
+  });
+
+  it('should reject with the error which can be serialized', async () => {
+    const {Product} = setup({stopOnBatchError: true, batchConcurrency: 1}, [12, 13]);
+    const err = await Product.destroyAll({code: {neq: 'X'}}).catch(e => e);
+    expect(err.cause).to.include({statusCode: 404, code: 'NOT_FOUND'}).and.not.equal(err);
+    const serialized = JSON.parse(JSON.stringify(err));
+    expect(serialized).to.include({statusCode: 404, code: 'NOT_FOUND', count: 98});
+    expect(serialized.failed).to.deep.equal([
+      {id: 12, code: 'NOT_FOUND', message: 'Item does not exist. It may have been deleted by another user.'},
+      {id: 13, code: 'NOT_FOUND', message: 'Item does not exist. It may have been deleted by another user.'}
+    ]);
+  });
+});
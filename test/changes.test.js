@@ -0,0 +1,74 @@
+'use strict';
+const {expect} = require('chai');
+const {ChangesMixin} = require('../');
+const {setupModel, recordJson, spError} = require('./support/fake-sp');
+
+describe('Changes tests', () => {
+  // change types: 1 - add, 2 - update, 3 - delete
+  const change = (itemId, changeType, token) => ({ItemId: itemId, ChangeType: changeType, ChangeToken: {StringValue: token}});
+  const spChanges = [
+    change(1, 1, '1;3;list;637000000000000001;101'),
+    change(2, 2, '1;3;list;637000000000000002;102'),
+    change(3, 1, '1;3;list;637000000000000003;103'),
+    change(1, 3, '1;3;list;637000000000000004;104'),
+    change(2, 2, '1;3;list;637000000000000005;105'),
+    change(3, 2, '1;3;list;637000000000000006;106'),
+    change(4, 3, '1;3;list;637000000000000007;107'),
+    change(2, 2, '1;3;list;637000000000000008;108')
+  ];
+  const spItems = [{ID: 2, Title: 'Second'}, {ID: 3, Title: 'Third'}];
+
+  const setup = respond => setupModel(respond || ((method, url) => {
+    if (/getChanges$/i.test(url)) {
+      return {status: 200, body: {d: {results: spChanges}}};
+    }
+    if (/getitems/i.test(url)) {
+      return {status: 200, body: {d: {results: spItems}}};
+    }
+    return {status: 200, body: {d: {CurrentChangeToken: {StringValue: '1;3;list;637000000000000009;109'}}}};
+  }), 'Note', {}, {mixins: [ChangesMixin], client: {record: recordJson}});
+
+  it('should return the current token without changes when no token is passed', async () => {
+    const {Note} = setup();
+    const result = await Note.getChanges();
+    expect(result).to.deep.equal({
+      added: [],
+      updated: [],
+      deleted: [],
+      entities: [],
+      token: '1;3;list;637000000000000009;109'
+    });
+  });
+
+  it('should leave out the items added and deleted since the token', async () => {
+    const {Note} = setup();
+    const result = await Note.getChanges('1;3;list;637000000000000000;100');
+    expect(result.added).to.deep.equal([3]);
+    expect(result.deleted).to.deep.equal([4]);
+    expect([...result.added, ...result.updated, ...result.deleted]).to.not.include(1);
+  });
+
+  it('should report the item updated multiple times once', async () => {
+    const {Note} = setup();
+    const result = await Note.getChanges('1;3;list;637000000000000000;100');
+    expect(result.updated).to.deep.equal([2]);
+    expect(result.entities).to.deep.equal([
+      {id: 2, title: 'Second'},
+      {id: 3, title: 'Third'}
+    ]);
+  });
+
+  it('should read the changes since the token and return the token of the last change', async () => {
+    const {client, Note} = setup();
+    const result = await Note.getChanges('1;3;list;637000000000000000;100');
+    expect(result.token).to.equal('1;3;list;637000000000000008;108');
+    const request = client.requests.find(request => /getChanges$/i.test(request.url));
+    expect(request.body.query.ChangeTokenStart.StringValue).to.equal('1;3;list;637000000000000000;100');
+  });
+
+  it('should reject the token outside of the change log', async () => {
+    const {Note} = setup(() => ({status: 400, body: spError('The change token is invalid.')}));
+    const err = await Note.getChanges('1;3;list;636000000000000000;1').catch(e => e);
+    expect(err).to.include({statusCode: 410, code: 'INVALID_CHANGE_TOKEN'});
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+/* global Headers */
+const {expect} = require('chai');
+const {setupModel, spError} = require('./support/fake-sp');
+
+describe('Optimistic concurrency tests', () => {
+  // the item is at version 1 until it is changed by another user
+  const setup = settings => {
+    const item = {ID: 1, Title: 'Old title', __metadata: {etag: '"1"'}};
+    const {client, Product} = setupModel((method, url, options) => {
+      if (/ListItemEntityTypeFullName/.test(url)) {
+        return {status: 200, body: {d: {ListItemEntityTypeFullName: 'SP.Data.ProductsListItem'}}};
+      }
+      if (/items\(1\)$/.test(url) && method === 'POST') {
+        const ifMatch = new Headers(options.headers).get('IF-Match');
+        if (ifMatch !== '*' && ifMatch !== item.__metadata.etag) {
+          return {status: 412, body: spError('The request ETag value does not match the object\'s ETag value.')};
+        }
+        return {status: 204};
+      }
+      return {status: 200, body: {d: {results: [item]}}};
+    }, 'Product', {etag: {type: String, sharepoint: {etag: true}}}, {
+      client: {
+        record: (url, options) => ({url, method: options.method, ifMatch: new Headers(options.headers).get('IF-Match')})
+      },
+      settings
+    });
+    const changeItem = () => {
+      item.__metadata.etag = '"2"';
+    };
+    return {client, Product, changeItem};
+  };
+
+  const updates = client => client.requests.filter(request => /items\(1\)$/.test(request.url));
+
+  it('should patch the instance with its ETag', async () => {
+    const {client, Product} = setup();
+    const product = await Product.findById(1);
+    await product.updateAttributes({title: 'New title'});
+    expect(updates(client)).to.deep.equal([{
+      url: 'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Products\')/items(1)',
+      method: 'POST',
+      ifMatch: '"1"'
+    }]);
+  });
+
+  it('should reject the patch of the stale instance', async () => {
+    const {Product, changeItem} = setup();
+    const product = await Product.findById(1);
+    changeItem();
+    const err = await product.updateAttributes({title: 'New title'}).catch(e => e);
+    expect(err).to.include({statusCode: 409, code: 'CONCURRENCY_CONFLICT'});
+  });
+
+  it('should patch the instance when ETag is required', async () => {
+    const {Product} = setup({requireETag: true});
+    const product = await Product.findById(1);
+    const result = await product.updateAttributes({title: 'New title'});
+    expect(result.title).to.equal('New title');
+  });
+
+  it('should reject updateAll when ETag is required', async () => {
+    const {client, Product} = setup({requireETag: true});
+    const err = await Product.updateAll({title: 'Old title'}, {title: 'New title'}).catch(e => e);
+    expect(err).to.include({statusCode: 428, code: 'ETAG_REQUIRED'});
+    expect(client.requests).to.be.empty;
+  });
+});
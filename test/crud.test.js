@@ -0,0 +1,170 @@
+'use strict';
+/* global Headers */
+const {expect} = require('chai');
+const {setupModel, defineModel, spError} = require('./support/fake-sp');
+
+describe('CRUD tests', () => {
+  const guid = '3f2b8c1d-4e5a-4b6c-8d7e-9f0a1b2c3d4e';
+
+  // keeps the items of the list like SharePoint, the queries are only filtered by Eq conditions and GUIDs
+  const setup = () => {
+    const spItems = {1: {ID: 1, GUID: guid, Title: 'Hammer', Price: 10}};
+    let nextId = 2;
+    const result = setupModel((method, url, options) => {
+      if (/ListItemEntityTypeFullName/.test(url)) {
+        return {status: 200, body: {d: {ListItemEntityTypeFullName: 'SP.Data.ProductsListItem'}}};
+      }
+      const id = /items\((\d+)\)$/.exec(url);
+      if (id) {
+        const spItem = spItems[id[1]];
+        if (!spItem) {
+          return {status: 404, body: spError('Item does not exist. It may have been deleted by another user.')};
+        }
+        const httpMethod = new Headers(options.headers).get('X-HTTP-Method');
+        if (httpMethod === 'DELETE') {
+          delete spItems[id[1]];
+        } else if (httpMethod === 'MERGE') {
+          Object.assign(spItem, JSON.parse(options.body), {__metadata: undefined});
+        } else {
+          return {status: 200, body: {d: spItem}};
+        }
+        return {status: 204};
+      }
+      const guidFilter = /GUID eq guid'([\w-]+)'/.exec(decodeURIComponent(url));
+      if (guidFilter) {
+        return {status: 200, body: {d: {results: Object.values(spItems).filter(spItem => spItem.GUID === guidFilter[1])}}};
+      }
+      if (/items$/.test(url)) {
+        const spItem = Object.assign(JSON.parse(options.body), {__metadata: undefined, ID: nextId++});
+        spItems[spItem.ID] = spItem;
+        return {status: 201, body: {d: spItem}};
+      }
+      const conditions = [...JSON.parse(options.body).query.ViewXml
+        .matchAll(/<Eq><FieldRef Name="(\w+)"\/><Value Type="\w+">([^<]*)<\/Value><\/Eq>/g)];
+      const results = Object.values(spItems)
+        .filter(spItem => conditions.every(([, name, value]) => String(spItem[name]) === value));
+      return {status: 200, body: {d: {results}}};
+    }, 'Product', {price: {type: Number, sharepoint: {columnName: 'Price'}}}, {
+      client: {
+        record: (url, options) => ({
+          url,
+          method: new Headers(options.headers).get('X-HTTP-Method') || options.method,
+          body: options.body && JSON.parse(options.body)
+        })
+      }
+    });
+    // the ids of the same items read by their GUIDs
+    const Tool = defineModel(result.ds, 'Tool', {id: {type: String, id: true, sharepoint: {columnName: 'GUID'}}},
+      {list: 'Products'});
+    return Object.assign(result, {Tool, spItems});
+  };
+
+  const itemUrl = id => `https://contoso.sharepoint.com/_api/web/lists/getByTitle('Products')/items(${id})`;
+  const writes = client => client.requests.filter(request => ['MERGE', 'DELETE'].includes(request.method) ||
+    /items$/.test(request.url));
+
+  describe('updateAttributes()', () => {
+    it('should merge only the changed properties into the item', async () => {
+      const {client, Product, spItems} = setup();
+      const product = await Product.findById(1);
+      const updated = await product.updateAttributes({price: 12});
+      expect(updated.toObject()).to.deep.equal({id: 1, title: 'Hammer', price: 12});
+      expect(writes(client)).to.deep.equal([{
+        url: itemUrl(1),
+        method: 'MERGE',
+        body: {__metadata: {type: 'SP.Data.ProductsListItem'}, Price: 12}
+      }]);
+      expect(spItems[1]).to.include({Title: 'Hammer', Price: 12});
+    });
+
+    it('should merge the changes into the item found by the GUID mapped to the id', async () => {
+      const {client, Tool, spItems} = setup();
+      const tool = await Tool.findById(guid);
+      await tool.updateAttributes({title: 'Claw hammer'});
+      expect(writes(client)).to.deep.equal([{
+        url: itemUrl(1),
+        method: 'MERGE',
+        body: {__metadata: {type: 'SP.Data.ProductsListItem'}, Title: 'Claw hammer'}
+      }]);
+      expect(spItems[1]).to.include({GUID: guid, Title: 'Claw hammer'});
+    });
+  });
+
+  describe('replaceOrCreate()', () => {
+    it('should replace the existing item and return it as stored', async () => {
+      const {client, Product} = setup();
+      const product = await Product.replaceOrCreate({id: 1, title: 'Claw hammer', price: 15});
+      expect(product.toObject()).to.deep.equal({id: 1, title: 'Claw hammer', price: 15});
+      expect(writes(client)).to.deep.equal([{
+        url: itemUrl(1),
+        method: 'MERGE',
+        body: {__metadata: {type: 'SP.Data.ProductsListItem'}, Title: 'Claw hammer', Price: 15}
+      }]);
+    });
+
+    it('should create the item when the instance does not exist', async () => {
+      const {Product, spItems} = setup();
+      const product = await Product.replaceOrCreate({id: 5, title: 'Saw', price: 13});
+      expect(product.toObject()).to.deep.equal({id: 2, title: 'Saw', price: 13});
+      expect(spItems).to.have.all.keys('1', '2');
+    });
+  });
+
+  describe('upsert()', () => {
+    it('should update the existing item', async () => {
+      const {Product, spItems} = setup();
+      const product = await Product.upsert({id: 1, price: 12});
+      expect(product.toObject()).to.deep.equal({id: 1, title: 'Hammer', price: 12});
+      expect(spItems).to.have.all.keys('1');
+    });
+
+    it('should create the instance without id', async () => {
+      const {Product, spItems} = setup();
+      const product = await Product.upsert({title: 'Saw', price: 13});
+      expect(product.toObject()).to.deep.equal({id: 2, title: 'Saw', price: 13});
+      expect(spItems[2]).to.include({Title: 'Saw', Price: 13});
+    });
+  });
+
+  describe('findOrCreate()', () => {
+    it('should find the matching instance without creating it', async () => {
+      const {client, Product} = setup();
+      const [product, created] = await Product.findOrCreate({where: {title: 'Hammer'}}, {title: 'Hammer', price: 20});
+      expect(product.toObject()).to.deep.equal({id: 1, title: 'Hammer', price: 10});
+      expect(created).to.be.false;
+      expect(writes(client)).to.be.empty;
+    });
+
+    it('should create the instance when none matches', async () => {
+      const {Product, spItems} = setup();
+      const [product, created] = await Product.findOrCreate({where: {title: 'Saw'}}, {title: 'Saw', price: 13});
+      expect(product.toObject()).to.deep.equal({id: 2, title: 'Saw', price: 13});
+      expect(created).to.be.true;
+      expect(spItems).to.have.all.keys('1', '2');
+    });
+  });
+
+  describe('destroyById()', () => {
+    it('should delete the item', async () => {
+      const {client, Product, spItems} = setup();
+      const result = await Product.destroyById(1);
+      expect(result).to.deep.equal({count: 1});
+      expect(writes(client)).to.deep.equal([{url: itemUrl(1), method: 'DELETE', body: undefined}]);
+      expect(spItems).to.be.empty;
+    });
+
+    it('should delete the item found by the GUID mapped to the id', async () => {
+      const {client, Tool, spItems} = setup();
+      const result = await Tool.destroyById(guid);
+      expect(result).to.deep.equal({count: 1});
+      expect(writes(client)).to.deep.equal([{url: itemUrl(1), method: 'DELETE', body: undefined}]);
+      expect(spItems).to.be.empty;
+    });
+
+    it('should report no deleted instance when the item does not exist', async () => {
+      const {Product} = setup();
+      const result = await Product.destroyById(9);
+      expect(result).to.deep.equal({count: 0});
+    });
+  });
+});
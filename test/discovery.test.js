@@ -0,0 +1,118 @@
+'use strict';
+const {isDiscoverableList, isDiscoverableField, getLoopBackName, toPropertyDefinition} = require('../lib/discovery');
+const {expect} = require('chai');
+const {createDataSource} = require('./support/fake-sp');
+
+describe('discovery tests', () => {
+  describe('isDiscoverableList()', () => {
+    it('should accept custom lists', () => {
+      expect(isDiscoverableList({Title: 'Orders', BaseTemplate: 100, Hidden: false, IsCatalog: false})).to.be.true;
+    });
+    it('should reject hidden, catalog and system lists', () => {
+      expect(isDiscoverableList({Title: 'TaxonomyHiddenList', BaseTemplate: 100, Hidden: true})).to.be.false;
+      expect(isDiscoverableList({Title: 'Master Page Gallery', BaseTemplate: 116, IsCatalog: true})).to.be.false;
+      expect(isDiscoverableList({Title: 'Site Pages', BaseTemplate: 119})).to.be.false;
+    });
+  });
+
+  describe('isDiscoverableField()', () => {
+    it('should accept custom fields and mapped base fields', () => {
+      expect(isDiscoverableField({InternalName: 'Amount', TypeAsString: 'Number'})).to.be.true;
+      expect(isDiscoverableField({InternalName: 'Title', TypeAsString: 'Text', FromBaseType: true})).to.be.true;
+    });
+    it('should reject hidden, computed and other base fields', () => {
+      expect(isDiscoverableField({InternalName: 'GUID', TypeAsString: 'Guid', Hidden: true})).to.be.false;
+      expect(isDiscoverableField({InternalName: 'LinkTitle', TypeAsString: 'Computed'})).to.be.false;
+      expect(isDiscoverableField({InternalName: 'ContentType', TypeAsString: 'Computed', FromBaseType: true})).to.be.false;
+      expect(isDiscoverableField({InternalName: '_UIVersionString', TypeAsString: 'Text', FromBaseType: true})).to.be.false;
+    });
+  });
+
+  describe('getLoopBackName()', () => {
+    it('should decode field internal names', () => {
+      expect(getLoopBackName('Due_x0020_Date')).to.equal('dueDate');
+    });
+    it('should return model names in PascalCase', () => {
+      expect(getLoopBackName('Purchase orders', true)).to.equal('PurchaseOrders');
+    });
+  });
+
+  describe('toPropertyDefinition()', () => {
+    it('should map ID field to id property', () => {
+      expect(toPropertyDefinition({InternalName: 'ID', TypeAsString: 'Counter', Required: false})).to.eql({
+        type: 'number',
+        required: false,
+        id: true,
+        sharepoint: {columnName: 'ID', dataType: 'Counter'}
+      });
+    });
+    it('should map Text field', () => {
+      expect(toPropertyDefinition({InternalName: 'Title', TypeAsString: 'Text', Required: true, MaxLength: 255})).to.eql({
+        type: 'string',
+        required: true,
+        length: 255,
+        sharepoint: {columnName: 'Title', dataType: 'Text'}
+      });
+    });
+    it('should map Choice fields with choices', () => {
+      const spField = {InternalName: 'Tags', TypeAsString: 'MultiChoice', Choices: {results: ['A', 'B']}};
+      const property = toPropertyDefinition(spField);
+      expect(property).to.include({required: false});
+      expect(property.type).to.eql(['string']);
+      expect(property.enum).to.eql(['A', 'B']);
+      expect(property.sharepoint).to.eql({columnName: 'Tags', dataType: 'MultiChoice'});
+    });
+    it('should map multi-user field', () => {
+      const property = toPropertyDefinition({InternalName: 'Owners', TypeAsString: 'UserMulti'});
+      expect(property.type).to.eql(['object']);
+      expect(property.sharepoint).to.eql({columnName: 'Owners', dataType: 'User', multiple: true});
+    });
+    it('should map Calculated field by its output type', () => {
+      const spField = {InternalName: 'Total', TypeAsString: 'Calculated', Formula: '=[Price]*2', OutputType: 9};
+      const property = toPropertyDefinition(spField);
+      expect(property.type).to.equal('number');
+      expect(property.sharepoint).to.eql({
+        columnName: 'Total',
+        dataType: 'Calculated',
+        formula: '=[Price]*2',
+        outputType: 'Number'
+      });
+    });
+    it('should map DateTime and Boolean fields', () => {
+      expect(toPropertyDefinition({InternalName: 'Due', TypeAsString: 'DateTime'}).type).to.equal('date');
+      expect(toPropertyDefinition({InternalName: 'Done', TypeAsString: 'Boolean'}).type).to.equal('boolean');
+    });
+  });
+
+  describe('subsite discovery', () => {
+    const setup = () => createDataSource((method, url) => {
+      if (/lists$/.test(url)) {
+        return {status: 200, body: {d: {results: [{Title: 'Tasks', BaseTemplate: 100, Hidden: false}]}}};
+      }
+      const fields = [{InternalName: 'Title', TypeAsString: 'Text', Required: true}];
+      return {status: 200, body: {d: {results: fields}}};
+    });
+
+    it('should discover the lists of the subsite', async () => {
+      const {ds, client} = setup();
+      const models = await ds.discoverModelDefinitions({owner: 'projects/alpha'});
+      expect(models).to.deep.equal([{type: 'table', name: 'Tasks', owner: 'projects/alpha'}]);
+      expect(client.requests[0].url).to.equal('https://contoso.sharepoint.com/projects/alpha/_api/web/lists');
+    });
+
+    it('should map the schema discovered in the subsite to the subsite', async () => {
+      const {ds, client} = setup();
+      const schema = await ds.discoverSchema('Tasks', {owner: 'projects/alpha'});
+      expect(schema.options.sharepoint).to.deep.equal({list: 'Tasks', webUrl: 'projects/alpha'});
+      const expectedUrl = 'https://contoso.sharepoint.com/projects/alpha/_api/web/lists/getByTitle(\'Tasks\')/fields';
+      expect(client.requests[0].url).to.equal(expectedUrl);
+    });
+
+    it('should discover the site of the data source without owner', async () => {
+      const {ds, client} = setup();
+      const models = await ds.discoverModelDefinitions();
+      expect(models).to.deep.equal([{type: 'table', name: 'Tasks'}]);
+      expect(client.requests[0].url).to.equal('https://contoso.sharepoint.com/_api/web/lists');
+    });
+  });
+});
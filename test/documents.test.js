@@ -0,0 +1,146 @@
+'use strict';
+/* global Headers */
+const {Readable} = require('stream');
+const {expect} = require('chai');
+const {DocumentsMixin} = require('../');
+const {setupModel, spError} = require('./support/fake-sp');
+
+describe('Document library tests', () => {
+  const listUrl = 'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Contracts\')';
+
+  // keeps the file of the item 1 like SharePoint, the metadata of the file is rejected when it is invalid
+  const setup = invalidMetadata => {
+    const file = {Name: 'acme.pdf', ServerRelativeUrl: '/Contracts/acme.pdf', Length: '7', UIVersionLabel: '1.0'};
+    let content = 'Signed?';
+    const spItem = {ID: 1, Customer: 'Acme', File: file};
+    const result = setupModel((method, url, options) => {
+      const httpMethod = new Headers(options.headers).get('X-HTTP-Method') || method;
+      if (/\/lists$/.test(url)) {
+        return {status: 201, body: {d: {}}};
+      }
+      if (/files\/add\(/.test(url)) {
+        content = String(options.body);
+        Object.assign(file, {Name: 'globex.pdf', ServerRelativeUrl: '/Contracts/globex.pdf', Length: String(content.length)});
+        return {status: 200, body: {d: file}};
+      }
+      if (/listItemAllFields/.test(url)) {
+        return {status: 200, body: {d: {ID: 1}}};
+      }
+      if (/ListItemEntityTypeFullName/.test(url)) {
+        return {status: 200, body: {d: {ListItemEntityTypeFullName: 'SP.Data.ContractsItem'}}};
+      }
+      if (/\/file\/\$value$/.test(url) && httpMethod === 'PUT') {
+        content = String(options.body);
+        Object.assign(file, {Length: String(content.length), UIVersionLabel: '2.0'});
+        return {status: 204};
+      }
+      if (/\/file\/\$value$/.test(url)) {
+        return {status: 200, body: content};
+      }
+      if (/\/file$/.test(url)) {
+        return {status: 200, body: {d: file}};
+      }
+      if (/items\(1\)$/.test(url) && httpMethod === 'MERGE' && invalidMetadata) {
+        const code = '-2130575155, Microsoft.SharePoint.SPFieldValidationException';
+        return {status: 400, body: spError('Invalid text value.', code)};
+      }
+      if (/items\(1\)$/.test(url) && httpMethod === 'MERGE') {
+        Object.assign(spItem, JSON.parse(options.body), {__metadata: undefined});
+        return {status: 204};
+      }
+      if (/items\(1\)\?\$expand=File$/.test(url)) {
+        return {status: 200, body: {d: spItem}};
+      }
+      if (/getitems/.test(url)) {
+        return {status: 200, body: {d: {results: [spItem]}}};
+      }
+      return {status: 200, body: {d: {results: []}}};
+    }, 'Contract', {customer: {type: String, sharepoint: {columnName: 'Customer'}}}, {
+      mixins: [DocumentsMixin],
+      sharepoint: {documentLibrary: true},
+      client: {record: (url, options) => ({url, method: new Headers(options.headers).get('X-HTTP-Method') || options.method})}
+    });
+    return Object.assign(result, {spItem, getContent: () => content});
+  };
+
+  const readAll = stream => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+  });
+
+  it('should upload the file and set its metadata columns', async () => {
+    const {client, Contract, spItem, getContent} = setup();
+    const contract = await Contract.create({
+      customer: 'Globex',
+      file: {name: 'globex.pdf'},
+      content: Readable.from([Buffer.from('Draft')])
+    });
+    expect(contract.id).to.equal(1);
+    expect(getContent()).to.equal('Draft');
+    expect(spItem).to.include({Customer: 'Globex'});
+    expect(client.requests[0]).to.deep.equal({
+      url: `${listUrl}/rootFolder/files/add(overwrite=false,url='globex.pdf')`,
+      method: 'POST'
+    });
+  });
+
+  it('should delete the uploaded file when its metadata cannot be set', async () => {
+    const {client, Contract} = setup(true);
+    const err = await Contract.create({customer: 'Globex', file: {name: 'globex.pdf'}, content: 'Draft'}).catch(e => e);
+    expect(err).to.include({statusCode: 400, message: 'Invalid text value.'});
+    expect(client.requests[client.requests.length - 1]).to.deep.equal({url: `${listUrl}/items(1)`, method: 'DELETE'});
+  });
+
+  it('should reject the instance without file name or content', async () => {
+    const {client, Contract} = setup();
+    const err = await Contract.create({customer: 'Globex', content: Buffer.from('Draft')}).catch(e => e);
+    expect(err).to.include({statusCode: 400, code: 'FILE_REQUIRED'});
+    expect(client.requests).to.be.empty;
+  });
+
+  it('should find the instances with the file metadata', async () => {
+    const {client, Contract} = setup();
+    const contracts = await Contract.find({where: {customer: 'Acme'}});
+    expect(contracts).to.have.lengthOf(1);
+    expect(contracts[0]).to.include({id: 1, customer: 'Acme', content: undefined});
+    expect(contracts[0].file).to.deep.equal({name: 'acme.pdf', url: '/Contracts/acme.pdf', size: 7, version: '1.0'});
+    expect(client.requests[0].url).to.match(/\$expand=FieldValuesAsText,File$/);
+  });
+
+  it('should download the file as a stream', async () => {
+    const {Contract} = setup();
+    const stream = await Contract.downloadFile(1);
+    expect(await readAll(stream)).to.equal('Signed?');
+  });
+
+  it('should replace the file with a new version', async () => {
+    const {Contract, getContent} = setup();
+    const file = await Contract.replaceFile(1, Buffer.from('Signed!!'));
+    expect(file).to.deep.equal({name: 'acme.pdf', url: '/Contracts/acme.pdf', size: 8, version: '2.0'});
+    expect(getContent()).to.equal('Signed!!');
+  });
+
+  it('should reject the file of the model stored in a list', async () => {
+    const {ds} = setup();
+    const Note = ds.define('Note', {id: {type: Number, id: true}}, {sharepoint: {list: 'Notes'}});
+    DocumentsMixin(Note);
+    const err = await Note.downloadFile(1).catch(e => e);
+    expect(err).to.include({statusCode: 400, code: 'NOT_DOCUMENT_LIBRARY'});
+  });
+
+  it('should provision the document library', async () => {
+    const {ds, client} = setup();
+    const fetch = client.fetch;
+    let list;
+    client.fetch = (url, options) => {
+      if (/\/lists$/.test(url)) {
+        list = JSON.parse(options.body);
+      }
+      return fetch(url, options);
+    };
+    await ds.connector.createList('Contract');
+    expect(list).to.include({Title: 'Contracts', BaseTemplate: 101});
+  });
+});
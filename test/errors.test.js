@@ -0,0 +1,76 @@
+'use strict';
+const {toLoopBackError, createAccessTokenError} = require('../lib/errors');
+const {expect} = require('chai');
+
+describe('errors tests', () => {
+  const spError = (status, code, message) => {
+    const body = JSON.stringify({error: {code, message: {lang: 'en-US', value: message}}});
+    const err = new Error(`Error making HttpClient request in queryable [${status}] Status ::> ${body}`);
+    err.status = status;
+    return err;
+  };
+
+  describe('toLoopBackError()', () => {
+    it('should translate 404 error', () => {
+      const err = toLoopBackError(spError(404, '-2130575322, System.ArgumentException', 'List \'Foo\' does not exist.'));
+      expect(err).to.include({
+        statusCode: 404,
+        code: 'NOT_FOUND',
+        message: 'List \'Foo\' does not exist.',
+        spErrorCode: '-2130575322, System.ArgumentException'
+      });
+    });
+    it('should translate 400 error caused by invalid field', () => {
+      const err = toLoopBackError(spError(400, '-1, Microsoft.SharePoint.Client.InvalidClientQueryException',
+        'The property \'Foo\' does not exist on type \'SP.Data.TestUsersListItem\'.'));
+      expect(err).to.include({statusCode: 400, code: 'INVALID_FIELD'});
+    });
+    it('should translate 401 and 403 errors', () => {
+      expect(toLoopBackError(spError(401, '', 'Unauthorized'))).to.include({statusCode: 401, code: 'AUTHENTICATION_FAILED'});
+      expect(toLoopBackError(spError(403, '', 'Access denied.'))).to.include({statusCode: 403, code: 'ACCESS_DENIED'});
+    });
+    it('should translate 412 error to conflict', () => {
+      const err = toLoopBackError(spError(412, '-1, Microsoft.SharePoint.Client.ClientServiceException',
+        'The request ETag value does not match the object\'s ETag value.'));
+      expect(err).to.include({statusCode: 409, code: 'CONCURRENCY_CONFLICT'});
+    });
+    it('should keep the original error', () => {
+      const original = spError(500, '', 'Something went wrong');
+      const err = toLoopBackError(original);
+      expect(err).to.include({statusCode: 500, code: 'SHAREPOINT_ERROR', message: 'Something went wrong'});
+      expect(err.cause).to.equal(original);
+    });
+    it('should return errors containing status code as is', () => {
+      const original = new Error('Invalid paging cursor');
+      original.statusCode = 400;
+      expect(toLoopBackError(original)).to.equal(original);
+    });
+    it('should translate errors without SharePoint response', () => {
+      const original = new Error('connect ECONNREFUSED');
+      original.code = 'ECONNREFUSED';
+      expect(toLoopBackError(original)).to.include({statusCode: 500, code: 'ECONNREFUSED', message: 'connect ECONNREFUSED'});
+    });
+  });
+
+  describe('createAccessTokenError()', () => {
+    it('should explain rejected access token', () => {
+      const body = JSON.stringify({error: 'invalid_request', error_description: 'Invalid JWT token. The token is expired.'});
+      expect(createAccessTokenError(401, body)).to.include({
+        statusCode: 401,
+        code: 'INVALID_TOKEN',
+        message: 'SharePoint rejected the access token of the caller: Invalid JWT token. The token is expired.',
+        delegated: true
+      });
+    });
+    it('should explain missing permission of the caller', () => {
+      const body = JSON.stringify({error: {code: '-2147024891, System.UnauthorizedAccessException',
+        message: {lang: 'en-US', value: 'Access denied.'}}});
+      expect(createAccessTokenError(403, body)).to.include({
+        statusCode: 403,
+        code: 'ACCESS_DENIED',
+        message: 'The caller has no permission for this SharePoint operation: Access denied.',
+        spErrorCode: '-2147024891, System.UnauthorizedAccessException'
+      });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+const {expect} = require('chai');
+const {setupModel, spError} = require('./support/fake-sp');
+
+describe('Folder tests', () => {
+  const webUrl = 'https://contoso.sharepoint.com/_api/web';
+  const spItem = {ID: 5, Title: 'Acme order', FieldValuesAsText: {FileDirRef: '/Lists/Orders/Customers/Acme'}};
+
+  // the list has Customers folder without any subfolders
+  const setup = settings => setupModel((method, url) => {
+    if (/rootFolder\?/.test(url)) {
+      return {status: 200, body: {d: {ServerRelativeUrl: '/Lists/Orders'}}};
+    }
+    if (/getFolderByServerRelativeUrl/.test(url)) {
+      return /Orders\/Customers'\)/.test(url) ? {status: 200, body: {d: {Exists: true}}} :
+        {status: 404, body: spError('File Not Found.', '-2147024894, System.IO.FileNotFoundException')};
+    }
+    if (/ListItemEntityTypeFullName/.test(url)) {
+      return {status: 200, body: {d: {ListItemEntityTypeFullName: 'SP.Data.OrdersListItem'}}};
+    }
+    if (/getitems/.test(url)) {
+      return {status: 200, body: {d: {results: [spItem]}}};
+    }
+    if (/\/items$/.test(url)) {
+      return {status: 201, body: {d: {ID: 5, Title: 'Acme order'}}};
+    }
+    if (/items\(5\)\?\$select=FileRef,FileLeafRef$/.test(url)) {
+      return {status: 200, body: {d: {FileRef: '/Lists/Orders/5_.000', FileLeafRef: '5_.000'}}};
+    }
+    if (/items\(5\)$/.test(url)) {
+      return {status: 200, body: {d: spItem}};
+    }
+    return {status: 200, body: {d: {}}};
+  }, 'Order', {folder: {type: String, sharepoint: {folder: true}}}, {
+    sharepoint: settings,
+    client: {record: (url, options) => ({url: decodeURIComponent(url), body: options.body && JSON.parse(options.body)})}
+  });
+
+  const queries = client => client.requests.filter(request => /getitems/.test(request.url))
+    .map(request => request.body.query);
+
+  it('should query the folder with the scope from the options', async () => {
+    const {client, Order} = setup();
+    await Order.find({where: {title: 'Acme order'}}, {folder: 'Customers', scope: 'Recursive'});
+    const [query] = queries(client);
+    expect(query.FolderServerRelativeUrl).to.equal('/Lists/Orders/Customers');
+    expect(query.ViewXml).to.match(/^<View Scope="Recursive">/);
+  });
+
+  it('should take the folder from the filter over the options and the model settings', async () => {
+    const {client, Order} = setup({folder: 'Archive', scope: 'FilesOnly'});
+    await Order.find({where: {title: 'Acme order'}, folder: '/Lists/Orders/Customers/Acme'}, {folder: 'Customers'});
+    const [query] = queries(client);
+    expect(query.FolderServerRelativeUrl).to.equal('/Lists/Orders/Customers/Acme');
+    expect(query.ViewXml).to.match(/^<View Scope="FilesOnly">/);
+  });
+
+  it('should query the root folder by default', async () => {
+    const {client, Order} = setup();
+    await Order.find({where: {title: 'Acme order'}});
+    const [query] = queries(client);
+    expect(query).to.not.have.property('FolderServerRelativeUrl');
+    expect(query.ViewXml).to.match(/^<View>/);
+  });
+
+  it('should count the items of the folder from the options', async () => {
+    const {client, Order} = setup();
+    const count = await Order.count({}, {folder: 'Customers'});
+    expect(count).to.equal(1);
+    expect(queries(client)[0].FolderServerRelativeUrl).to.equal('/Lists/Orders/Customers');
+  });
+
+  it('should return the folder path relative to the list root folder', async () => {
+    const {Order} = setup();
+    const orders = await Order.find();
+    expect(orders[0].folder).to.equal('Customers/Acme');
+  });
+
+  it('should create the item in the folder creating the missing folders', async () => {
+    const {client, Order} = setup();
+    const order = await Order.create({title: 'Acme order', folder: 'Customers/Acme'});
+    expect(order.id).to.equal(5);
+    const urls = client.requests.map(request => request.url);
+    expect(urls).to.not.include(`${webUrl}/folders/add('/Lists/Orders/Customers')`);
+    expect(urls).to.include(`${webUrl}/folders/add('/Lists/Orders/Customers/Acme')`);
+    expect(urls).to.include(`${webUrl}/getFileByServerRelativeUrl('/Lists/Orders/5_.000')` +
+      '/moveTo(newurl=\'/Lists/Orders/Customers/Acme/5_.000\',flags=1)');
+  });
+
+  it('should create the item in the folder from the model settings', async () => {
+    const {client, Order} = setup({folder: 'Customers'});
+    await Order.create({title: 'Acme order'});
+    const urls = client.requests.map(request => request.url);
+    expect(urls).to.include(`${webUrl}/getFileByServerRelativeUrl('/Lists/Orders/5_.000')` +
+      '/moveTo(newurl=\'/Lists/Orders/Customers/5_.000\',flags=1)');
+  });
+
+  it('should reject the folder outside of the list', async () => {
+    const {client, Order} = setup();
+    const err = await Order.create({title: 'Acme order', folder: '/Lists/Invoices/Acme'}).catch(e => e);
+    expect(err).to.include({statusCode: 400, code: 'INVALID_FOLDER'});
+    expect(client.requests.filter(request => /\/items$/.test(request.url))).to.be.empty;
+  });
+});
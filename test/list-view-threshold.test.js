@@ -0,0 +1,79 @@
+'use strict';
+const {expect} = require('chai');
+const {setupModel, recordJson, spError} = require('./support/fake-sp');
+
+describe('List view threshold tests', () => {
+  const thresholdMessage = 'The attempted operation is prohibited because it exceeds the list view threshold.';
+  const spItems = [
+    {ID: 1, Title: 'Hammer', City: 'Prague', Price: 10},
+    {ID: 2, Title: 'Saw', City: null, Price: 20},
+    {ID: 3, Title: 'Drill', City: 'berlin', Price: 30}
+  ];
+
+  const setup = () => setupModel((method, url, options) => {
+    if (/fields/.test(url)) {
+      const fields = [
+        {InternalName: 'Title', Indexed: true},
+        {InternalName: 'City', Indexed: false},
+        {InternalName: 'Price', Indexed: false}
+      ];
+      return {status: 200, body: {d: {results: fields}}};
+    }
+    if (/ItemCount/.test(url)) {
+      return {status: 200, body: {d: {ItemCount: 12000}}};
+    }
+    const viewXml = JSON.parse(options.body).query.ViewXml;
+    if (/<(Where|OrderBy)>.*Name="(City|Price)"/.test(viewXml)) {
+      return {status: 500, body: spError(thresholdMessage, '-2147024860, Microsoft.SharePoint.SPQueryThrottledException')};
+    }
+    return {status: 200, body: {d: {results: spItems}}};
+  }, 'Product', {
+    city: {type: String, sharepoint: {columnName: 'City'}},
+    price: {type: Number, sharepoint: {columnName: 'Price'}}
+  }, {client: {record: recordJson}});
+
+  it('should sort the items on the client when the order column is not indexed', async () => {
+    const {client, Product} = setup();
+    const products = await Product.find({where: {title: {neq: 'Nail'}}, order: 'city DESC'});
+    expect(products.map(product => product.id)).to.deep.equal([1, 3, 2]);
+    const viewXml = client.requests[client.requests.length - 1].body.query.ViewXml;
+    expect(viewXml).to.include('<OrderBy><FieldRef Name="ID" Ascending="False"/></OrderBy>');
+  });
+
+  it('should sort by all the order columns with empty values first', async () => {
+    const {Product} = setup();
+    const products = await Product.find({order: ['city', 'price DESC']});
+    expect(products.map(product => product.id)).to.deep.equal([2, 3, 1]);
+  });
+
+  it('should reject a page ordered by a column which is not indexed', async () => {
+    const {Product} = setup();
+    const err = await Product.find({order: 'city', limit: 2}).catch(e => e);
+    expect(err).to.include({statusCode: 400, code: 'LIST_VIEW_THRESHOLD_EXCEEDED'});
+    expect(err.message).to.include('Add an index to the column(s) used in the filter or order: City.');
+    expect(err.nonIndexedFields).to.deep.equal(['City']);
+  });
+
+  it('should reject a query filtered by a column which is not indexed', async () => {
+    const {Product} = setup();
+    const err = await Product.find({where: {price: {gt: 10}}, order: 'city'}).catch(e => e);
+    expect(err).to.include({statusCode: 400, code: 'LIST_VIEW_THRESHOLD_EXCEEDED'});
+    expect(err.nonIndexedFields).to.deep.equal(['Price', 'City']);
+  });
+
+  it('should count all the items by the item count of the list', async () => {
+    const {client, Product} = setup();
+    const count = await Product.count();
+    expect(count).to.equal(12000);
+    expect(client.requests.map(request => request.url)).to.deep.equal([
+      'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Products\')?$select=ItemCount'
+    ]);
+  });
+
+  it('should count the items matching the filter or in the folder scope by querying them', async () => {
+    const {client, Product} = setup();
+    expect(await Product.count({title: {neq: 'Nail'}})).to.equal(3);
+    expect(await Product.count({}, {scope: 'Recursive'})).to.equal(3);
+    expect(client.requests.every(request => /getitems$/.test(request.url))).to.be.true;
+  });
+});
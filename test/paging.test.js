@@ -0,0 +1,39 @@
+'use strict';
+const {expect} = require('chai');
+const {PagingMixin} = require('../');
+const {setupModel, recordJson} = require('./support/fake-sp');
+
+describe('Paging tests', () => {
+  const setup = () => setupModel((method, url, options) => {
+    // the second page is the last one
+    const isNextPage = !!JSON.parse(options.body).query.ListItemCollectionPosition;
+    const spItems = isNextPage ? [{ID: 3, Title: 'C'}] : [{ID: 1, Title: 'A'}, {ID: 2, Title: 'B'}];
+    return {status: 200, body: {d: {results: spItems}}};
+  }, 'Product', {}, {mixins: [PagingMixin], client: {record: recordJson}});
+
+  it('should return the page with the cursor of the next page', async () => {
+    const {Product} = setup();
+    const page = await Product.findPage({limit: 2});
+    expect(page.items).to.deep.equal([{id: 1, title: 'A'}, {id: 2, title: 'B'}]);
+    expect(page.cursor).to.be.a('string');
+  });
+
+  it('should continue from the cursor', async () => {
+    const {client, Product} = setup();
+    const {cursor} = await Product.findPage({limit: 2});
+    const page = await Product.findPage({limit: 2, cursor});
+    expect(client.requests[1].body.query.ListItemCollectionPosition.PagingInfo).to.equal('Paged=TRUE&p_ID=2');
+    expect(page).to.deep.equal({items: [{id: 3, title: 'C'}], cursor: null});
+  });
+
+  it('should call the callback', done => {
+    const {Product} = setup();
+    Product.findPage({limit: 2}, {}, (err, page) => {
+      if (err) {
+        return done(err);
+      }
+      expect(page.items).to.have.length(2);
+      done();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+const {RetryFetchClient} = require('../lib/retry-fetch-client');
+const {expect} = require('chai');
+
+describe('RetryFetchClient tests', () => {
+  const response = (status, headers) => ({
+    status,
+    statusText: `Status ${status}`,
+    headers: {get: name => (headers || {})[name]}
+  });
+
+  const networkError = (code) => {
+    const err = new Error(`request failed, reason: ${code}`);
+    err.code = code;
+    return err;
+  };
+
+  // fake fetch client returning the specified responses (or throwing errors) one by one
+  const fakeClient = (results) => {
+    const client = {
+      calls: 0,
+      fetch: () => {
+        const result = results[client.calls++];
+        return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+      }
+    };
+    return client;
+  };
+
+  const settings = {maxRetries: 2, initialDelay: 1, maxDelay: 10};
+
+  describe('fetch()', () => {
+    it('should return successful response without retrying', async () => {
+      const client = fakeClient([response(200)]);
+      const result = await new RetryFetchClient(client, settings).fetch('url', {method: 'GET'});
+      expect(result.status).to.equal(200);
+      expect(client.calls).to.equal(1);
+    });
+    it('should retry throttled requests', async () => {
+      const client = fakeClient([response(429), response(503), response(200)]);
+      const result = await new RetryFetchClient(client, settings).fetch('url', {method: 'POST'});
+      expect(result.status).to.equal(200);
+      expect(client.calls).to.equal(3);
+    });
+    it('should fail when retry limit is exceeded', async () => {
+      const client = fakeClient([response(429), response(429), response(429)]);
+      let error;
+      try {
+        await new RetryFetchClient(client, settings).fetch('url', {method: 'GET'});
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.include({statusCode: 429, code: 'THROTTLED'});
+      expect(client.calls).to.equal(3);
+    });
+    it('should not retry other error responses', async () => {
+      const client = fakeClient([response(500)]);
+      const result = await new RetryFetchClient(client, settings).fetch('url', {method: 'GET'});
+      expect(result.status).to.equal(500);
+      expect(client.calls).to.equal(1);
+    });
+    it('should retry connection errors', async () => {
+      const client = fakeClient([networkError('ECONNREFUSED'), response(200)]);
+      const result = await new RetryFetchClient(client, settings).fetch('url', {method: 'POST'});
+      expect(result.status).to.equal(200);
+    });
+    it('should retry GET requests reset by server', async () => {
+      const client = fakeClient([networkError('ECONNRESET'), response(200)]);
+      const result = await new RetryFetchClient(client, settings).fetch('url', {method: 'GET'});
+      expect(result.status).to.equal(200);
+    });
+    it('should not retry POST requests reset by server', async () => {
+      const client = fakeClient([networkError('ECONNRESET'), response(200)]);
+      let error;
+      try {
+        await new RetryFetchClient(client, settings).fetch('url', {method: 'POST'});
+      } catch (err) {
+        error = err;
+      }
+      expect(error.code).to.equal('ECONNRESET');
+      expect(client.calls).to.equal(1);
+    });
+  });
+
+  describe('getRetryDelay()', () => {
+    const retryClient = new RetryFetchClient(null, {initialDelay: 100, maxDelay: 5000});
+
+    it('should use Retry-After header in seconds', () => {
+      expect(retryClient.getRetryDelay(0, '3')).to.equal(3000);
+    });
+    it('should not exceed max delay', () => {
+      expect(retryClient.getRetryDelay(0, '120')).to.equal(5000);
+      expect(retryClient.getRetryDelay(10)).to.equal(5000);
+    });
+    it('should grow exponentially with jitter', () => {
+      const delay = retryClient.getRetryDelay(3);
+      expect(delay).to.be.within(400, 800);
+    });
+  });
+});
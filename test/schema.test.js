@@ -0,0 +1,315 @@
+'use strict';
+const {expect} = require('chai');
+const {createDataSource, defineModel} = require('./support/fake-sp');
+
+describe('Schema tests', () => {
+  // fields of the Employees list in verbose OData format
+  const spFields = [
+    {InternalName: 'ID', TypeAsString: 'Counter', FromBaseType: true, ReadOnlyField: true},
+    {InternalName: 'Title', TypeAsString: 'Text', FromBaseType: true, Required: false},
+    {InternalName: 'Name', TypeAsString: 'Text', Required: false, Indexed: false},
+    {InternalName: 'Level', TypeAsString: 'Choice', Choices: {results: ['Junior']}},
+    {InternalName: 'Salary', TypeAsString: 'Number'},
+    {InternalName: 'Notes', TypeAsString: 'Note'},
+    {InternalName: 'StartDate', TypeAsString: 'Text'},
+    {InternalName: 'Legacy', TypeAsString: 'Text'},
+    {InternalName: 'Created', TypeAsString: 'DateTime', FromBaseType: true, ReadOnlyField: true}
+  ];
+
+  // ids of the list referenced by lookups and of the added fields
+  const departmentsId = '5d1f0c2e-3a4b-4c5d-8e6f-7a8b9c0d1e2f';
+  const fieldId = '9c4e2a1b-8d7f-4e6a-b5c3-2d1e0f9a8b7c';
+
+  const setup = clientSettings => {
+    const {ds, client} = createDataSource((method, url) => {
+      if (/fields(\/addfield)?$/.test(url)) {
+        return {status: 200, body: {d: method === 'GET' ? {results: spFields} : {Id: fieldId}}};
+      }
+      if (/lists\/getByTitle\('Departments'\)(\?|$)/.test(url)) {
+        return {status: 200, body: {d: {Id: departmentsId}}};
+      }
+      return {status: 200, body: {d: {}}};
+    }, Object.assign({record: (url, options) => ({url, method: options.method, body: options.body})}, clientSettings));
+    return {ds, client, connector: ds.connector};
+  };
+
+  const defineEmployee = ds => defineModel(ds, 'Employee', {
+    title: {type: String, required: true, sharepoint: {columnName: 'Title'}},
+    name: {type: String, required: true, index: true, sharepoint: {columnName: 'Name'}},
+    level: {type: String, enum: ['Junior', 'Senior'], sharepoint: {columnName: 'Level', dataType: 'Choice'}},
+    salary: {type: Number, sharepoint: {columnName: 'Salary', dataType: 'Currency'}},
+    notes: {type: String, sharepoint: {columnName: 'Notes'}},
+    startDate: {type: Date, sharepoint: {columnName: 'StartDate'}},
+    age: {type: Number, sharepoint: {columnName: 'Age'}},
+    created: {type: Date, sharepoint: {columnName: 'Created'}},
+    etag: {type: String, sharepoint: {etag: true}}
+  });
+
+  describe('getSchemaChanges()', () => {
+    it('should add the fields missing in the list', async () => {
+      const {ds, connector} = setup();
+      defineEmployee(ds);
+      const changes = await connector.getSchemaChanges('Employee');
+      expect(changes).to.include({model: 'Employee', list: 'Employees', createList: false});
+      expect(changes.addFields).to.deep.equal([{property: 'age', field: 'Age', type: 'Number'}]);
+    });
+
+    it('should alter the fields whose type, settings or choices differ', async () => {
+      const {ds, connector} = setup();
+      defineEmployee(ds);
+      const changes = await connector.getSchemaChanges('Employee');
+      expect(changes.updateFields).to.deep.equal([{
+        property: 'name',
+        field: 'Name',
+        type: 'Text',
+        changes: {Required: {from: false, to: true}, Indexed: {from: false, to: true}}
+      }, {
+        property: 'level',
+        field: 'Level',
+        type: 'Choice',
+        changes: {Choices: {from: ['Junior'], to: ['Junior', 'Senior']}}
+      }, {
+        property: 'salary',
+        field: 'Salary',
+        type: 'Currency',
+        changes: {TypeAsString: {from: 'Number', to: 'Currency'}}
+      }, {
+        property: 'notes',
+        field: 'Notes',
+        type: 'Text',
+        changes: {TypeAsString: {from: 'Note', to: 'Text'}}
+      }]);
+    });
+
+    it('should skip the fields of the base list type', async () => {
+      const {ds, connector} = setup();
+      defineEmployee(ds);
+      const changes = await connector.getSchemaChanges('Employee');
+      const changedFields = [...changes.addFields, ...changes.updateFields, ...changes.unsupportedChanges];
+      expect(changedFields.map(change => change.field)).to.not.include.members(['ID', 'Title', 'Created']);
+    });
+
+    it('should report field type changes which cannot be applied and orphaned fields', async () => {
+      const {ds, connector} = setup();
+      defineEmployee(ds);
+      const changes = await connector.getSchemaChanges('Employee');
+      expect(changes.unsupportedChanges).to.deep.equal([{
+        property: 'startDate',
+        field: 'StartDate',
+        reason: 'Field type cannot be changed from Text to DateTime.'
+      }]);
+      expect(changes.orphanedFields).to.deep.equal(['Legacy']);
+    });
+  });
+
+  describe('applySchemaChanges()', () => {
+    it('should add the missing fields and update the altered ones', async () => {
+      const {ds, client, connector} = setup();
+      defineEmployee(ds);
+      const changes = await connector.getSchemaChanges('Employee');
+      client.requests.length = 0;
+      client.batchRequests.length = 0;
+      await connector.applySchemaChanges(changes);
+      const listUrl = 'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Employees\')';
+      const fieldUrl = field => `${listUrl}/fields/getByInternalNameOrTitle('${field}')`;
+      expect(client.batchRequests).to.deep.equal([
+        {url: `${listUrl}/fields`, method: 'POST'},
+        {url: `${listUrl}/DefaultView/viewfields/addviewfield('Age')`, method: 'POST'}
+      ]);
+      const updates = client.requests.filter(request => /getByInternalNameOrTitle/.test(request.url))
+        .map(request => ({url: request.url, body: JSON.parse(request.body)}));
+      expect(updates).to.deep.equal([{
+        url: fieldUrl('Name'),
+        body: {__metadata: {type: 'SP.Field'}, Required: true, Indexed: true}
+      }, {
+        url: fieldUrl('Level'),
+        body: {
+          __metadata: {type: 'SP.FieldChoice'},
+          Choices: {__metadata: {type: 'Collection(Edm.String)'}, results: ['Junior', 'Senior']}
+        }
+      }, {
+        url: fieldUrl('Salary'),
+        body: {__metadata: {type: 'SP.Field'}, FieldTypeKind: 10}
+      }, {
+        url: fieldUrl('Notes'),
+        body: {__metadata: {type: 'SP.Field'}, FieldTypeKind: 2}
+      }]);
+    });
+
+    it('should create the list which does not exist', async () => {
+      const {ds, connector} = setup();
+      defineEmployee(ds);
+      let created;
+      connector.createList = modelName => {
+        created = modelName;
+        return Promise.resolve();
+      };
+      await connector.applySchemaChanges({model: 'Employee', createList: true, addFields: [], updateFields: []});
+      expect(created).to.equal('Employee');
+    });
+  });
+
+  describe('createList()', () => {
+    const fieldsUrl = 'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Assets\')/fields';
+    const addedFields = client => client.batchRequests.filter(request => request.url === fieldsUrl)
+      .map(request => JSON.parse(request.body));
+
+    it('should provision the constraints of the fields from the property definitions', async () => {
+      const {ds, client, connector} = setup({recordBatch: (url, options) => ({url, body: options.body})});
+      defineModel(ds, 'Asset', {
+        code: {type: String, required: true, length: 10, index: {unique: true}, sharepoint: {columnName: 'Code'}},
+        serial: {type: String, index: true, sharepoint: {columnName: 'Serial'}},
+        status: {type: String, enum: ['New', 'Used'], default: 'New', sharepoint: {columnName: 'Status', dataType: 'Choice'}},
+        purchased: {type: Date, default: 'now', sharepoint: {columnName: 'Purchased'}},
+        active: {type: Boolean, default: true, sharepoint: {columnName: 'Active'}}
+      });
+      await connector.createList('Asset');
+      expect(addedFields(client)).to.deep.equal([{
+        __metadata: {type: 'SP.FieldText'},
+        Title: 'Code',
+        FieldTypeKind: 2,
+        Required: true,
+        Indexed: true,
+        EnforceUniqueValues: true,
+        MaxLength: 10
+      }, {
+        __metadata: {type: 'SP.FieldText'},
+        Title: 'Serial',
+        FieldTypeKind: 2,
+        Indexed: true
+      }, {
+        __metadata: {type: 'SP.FieldChoice'},
+        Title: 'Status',
+        Choices: {results: ['New', 'Used']},
+        EditFormat: 0,
+        FieldTypeKind: 6,
+        FillInChoice: false,
+        DefaultValue: 'New'
+      }, {
+        __metadata: {type: 'SP.FieldDateTime'},
+        Title: 'Purchased',
+        FieldTypeKind: 4,
+        DefaultValue: '[today]'
+      }, {
+        __metadata: {type: 'SP.FieldBoolean'},
+        Title: 'Active',
+        FieldTypeKind: 8,
+        DefaultValue: '1'
+      }]);
+    });
+
+    it('should provision the validation formulas of the fields', async () => {
+      const {ds, client, connector} = setup({recordBatch: (url, options) => ({url, body: options.body})});
+      defineModel(ds, 'Asset', {
+        quantity: {
+          type: Number,
+          sharepoint: {columnName: 'Quantity', validation: {formula: '=[Quantity]>0', message: 'Quantity must be positive.'}}
+        },
+        comment: {type: String, sharepoint: {columnName: 'Comment', validation: '=LEN([Comment])<100'}}
+      });
+      await connector.createList('Asset');
+      expect(addedFields(client)).to.deep.equal([{
+        __metadata: {type: 'SP.FieldNumber'},
+        Title: 'Quantity',
+        FieldTypeKind: 9,
+        ValidationFormula: '=[Quantity]>0',
+        ValidationMessage: 'Quantity must be positive.'
+      }, {
+        __metadata: {type: 'SP.FieldText'},
+        Title: 'Comment',
+        FieldTypeKind: 2,
+        ValidationFormula: '=LEN([Comment])<100'
+      }]);
+    });
+
+    it('should index Lookup field once it is created', async () => {
+      const {ds, client, connector} = setup({recordBatch: (url, options) => ({url, body: options.body})});
+      defineModel(ds, 'Asset', {
+        departmentId: {
+          type: Number,
+          required: true,
+          index: true,
+          sharepoint: {columnName: 'Department', dataType: 'Lookup', lookupList: 'Departments'}
+        }
+      });
+      await connector.createList('Asset');
+      expect(client.batchRequests[0].url).to.equal(`${fieldsUrl}/addfield`);
+      expect(JSON.parse(client.batchRequests[0].body).parameters).to.deep.equal({
+        __metadata: {type: 'SP.FieldCreationInformation'},
+        FieldTypeKind: 7,
+        LookupFieldName: 'Title',
+        LookupListId: departmentsId,
+        Title: 'Department',
+        Required: true
+      });
+      const update = client.requests.find(request => request.url === `${fieldsUrl}('${fieldId}')`);
+      expect(JSON.parse(update.body)).to.deep.equal({__metadata: {type: 'SP.FieldLookup'}, Indexed: true});
+    });
+  });
+
+  describe('orderModelsByLookups()', () => {
+    const defineModels = (ds, lookups) => {
+      for (const [name, lookupList] of lookups) {
+        const properties = {};
+        if (lookupList) {
+          properties.refId = {type: Number, sharepoint: {columnName: 'Ref', dataType: 'Lookup', lookupList}};
+        }
+        defineModel(ds, name, properties);
+      }
+    };
+
+    it('should order the models after the models whose lists they reference', () => {
+      const {ds, connector} = setup();
+      defineModels(ds, [['Invoice', 'Orders'], ['Order', 'Customers'], ['Customer', null]]);
+      expect(connector.orderModelsByLookups(['Invoice', 'Order', 'Customer'])).to.deep.equal([
+        'Customer', 'Order', 'Invoice'
+      ]);
+    });
+
+    it('should ignore lookups to the list of the same model and to other lists', () => {
+      const {ds, connector} = setup();
+      defineModels(ds, [['Task', 'Tasks'], ['Note', 'Documents']]);
+      expect(connector.orderModelsByLookups(['Task', 'Note'])).to.deep.equal(['Task', 'Note']);
+    });
+
+    it('should reject the models whose lists reference each other', () => {
+      const {ds, connector} = setup();
+      defineModels(ds, [['Invoice', 'Orders'], ['Order', 'Invoices']]);
+      expect(() => connector.orderModelsByLookups(['Invoice', 'Order']))
+        .to.throw('Lists of models Invoice -> Order -> Invoice reference each other by Lookup columns')
+        .and.include({statusCode: 400, code: 'INVALID_MODEL_DEFINITION'});
+    });
+  });
+
+  describe('model definition', () => {
+    it('should reject Calculated property without formula', () => {
+      const {ds, connector} = setup();
+      defineModel(ds, 'Employee', {
+        seniority: {type: String, sharepoint: {columnName: 'Seniority', dataType: 'Calculated'}}
+      });
+      expect(() => connector.addSPField({}, 'Employee', 'seniority'))
+        .to.throw('Calculated property seniority of Employee requires \'sharepoint.formula\' setting.')
+        .and.include({statusCode: 400, code: 'INVALID_MODEL_DEFINITION'});
+    });
+
+    it('should reject Choice property without enum', () => {
+      const {ds, connector} = setup();
+      defineModel(ds, 'Employee', {
+        level: {type: String, sharepoint: {columnName: 'Level', dataType: 'Choice'}}
+      });
+      expect(() => connector.getSPChoices('Employee', 'level'))
+        .to.throw('Choice property level of Employee requires \'enum\' listing the choices.')
+        .and.include({statusCode: 400, code: 'INVALID_MODEL_DEFINITION'});
+    });
+
+    it('should reject Lookup property without the referenced list', () => {
+      const {ds, connector} = setup();
+      defineModel(ds, 'Employee', {
+        departmentId: {type: Number, sharepoint: {columnName: 'Department', dataType: 'Lookup'}}
+      });
+      expect(() => connector.getSPLookupListTitle('Employee', 'departmentId'))
+        .to.throw('Unable to determine the list referenced by Lookup property departmentId of Employee.')
+        .and.include({statusCode: 400, code: 'INVALID_MODEL_DEFINITION'});
+    });
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+const {expect} = require('chai');
+const {SearchMixin} = require('../');
+const {setupModel, recordJson} = require('./support/fake-sp');
+
+describe('Search tests', () => {
+  const listId = '1f9a2b6c-3d4e-4f50-8a1b-2c3d4e5f6a7b';
+
+  // search response in verbose OData format as returned by SharePoint
+  const searchResponse = {
+    d: {
+      postquery: {
+        PrimaryQueryResult: {
+          RelevantResults: {
+            TotalRows: 12,
+            Table: {
+              Rows: {
+                results: [{
+                  Cells: {
+                    results: [
+                      {Key: 'ListItemID', Value: '7', ValueType: 'Edm.Int64'},
+                      {Key: 'Title', Value: 'Invoice 7', ValueType: 'Edm.String'},
+                      {Key: 'PriceOWSCURR', Value: '12.5', ValueType: 'Edm.String'},
+                      {Key: 'DueOWSDATE', Value: '2020-01-31T00:00:00Z', ValueType: 'Edm.String'},
+                      {Key: 'refinablestring00', Value: 'Hardware', ValueType: 'Edm.String'}
+                    ]
+                  }
+                }]
+              }
+            }
+          },
+          RefinementResults: {
+            Refiners: {
+              results: [{
+                Name: 'RefinableString00',
+                Entries: {
+                  results: [
+                    {RefinementName: 'Hardware', RefinementCount: '8', RefinementToken: '"ǂǂ4861726477617265"'},
+                    {RefinementName: 'Software', RefinementCount: '4', RefinementToken: '"ǂǂ536f667477617265"'}
+                  ]
+                }
+              }]
+            }
+          }
+        }
+      }
+    }
+  };
+
+  const setup = () => setupModel((method, url) => {
+    return {status: 200, body: /postquery$/.test(url) ? searchResponse : {d: {Id: listId}}};
+  }, 'Invoice', {
+    price: {type: Number, sharepoint: {columnName: 'Price', dataType: 'Currency'}},
+    due: {type: Date, sharepoint: {columnName: 'Due'}},
+    category: {type: String, sharepoint: {columnName: 'Category', managedProperty: 'RefinableString00'}},
+    etag: {type: String, sharepoint: {etag: true}}
+  }, {mixins: [SearchMixin], client: {record: recordJson}});
+
+  it('should send the query scoped to the model list', async () => {
+    const {client, Invoice} = setup();
+    await Invoice.search('invoice', {
+      where: {price: {gt: 10}},
+      order: 'due DESC',
+      limit: 10,
+      skip: 20,
+      refiners: ['category']
+    });
+    const request = client.requests[1];
+    expect(request.url).to.equal('https://contoso.sharepoint.com/_api/search/postquery');
+    expect(request.body.request).to.deep.include({
+      Querytext: `(invoice) AND PriceOWSCURR>10 AND ListId:${listId}`,
+      SelectProperties: {results: ['ListItemID', 'Title', 'PriceOWSCURR', 'DueOWSDATE', 'RefinableString00']},
+      SortList: {results: [{Property: 'DueOWSDATE', Direction: 1}]},
+      RowLimit: 10,
+      StartRow: 20,
+      Refiners: 'RefinableString00',
+      TrimDuplicates: false
+    });
+  });
+
+  it('should map the managed properties to the model properties', async () => {
+    const {Invoice} = setup();
+    const result = await Invoice.search(null, {refiners: 'category'});
+    expect(result).to.deep.equal({
+      items: [{id: 7, title: 'Invoice 7', price: 12.5, due: new Date('2020-01-31T00:00:00Z'), category: 'Hardware'}],
+      total: 12,
+      refiners: {
+        category: [
+          {value: 'Hardware', count: 8, token: '"ǂǂ4861726477617265"'},
+          {value: 'Software', count: 4, token: '"ǂǂ536f667477617265"'}
+        ]
+      }
+    });
+  });
+
+  it('should return only the specified fields', async () => {
+    const {client, Invoice} = setup();
+    const result = await Invoice.search('invoice', {fields: ['id', 'title']});
+    expect(client.requests[1].body.request.SelectProperties).to.deep.equal({results: ['ListItemID', 'Title']});
+    expect(result.items).to.deep.equal([{id: 7, title: 'Invoice 7'}]);
+  });
+});
@@ -0,0 +1,154 @@
+'use strict';
+/* global Headers */
+const {SharePointClient} = require('../lib/sharepoint-client');
+const {expect} = require('chai');
+const {fakeClient: createFakeClient} = require('./support/fake-sp');
+
+describe('SharePointClient tests', () => {
+  // fake fetch client answering digest requests with its own digest and recording all requests
+  const fakeClient = (name) => createFakeClient((method, url, options) => {
+    if (new Headers(options.headers).get('Authorization') === 'Bearer denied') {
+      const error = {error: {code: '-2147024891, System.UnauthorizedAccessException', message: {value: 'Access denied.'}}};
+      return {status: 403, body: error};
+    }
+    return {status: 200, body: {Title: name}};
+  }, {
+    digest: `${name}-digest`,
+    recordDigest: true,
+    record: (url, options) => {
+      const headers = new Headers(options.headers);
+      const request = {url, method: options.method, digest: headers.get('X-RequestDigest')};
+      if (headers.has('Authorization')) {
+        request.authorization = headers.get('Authorization');
+      }
+      return request;
+    }
+  });
+
+  const createClient = (siteUrl, name) => {
+    const spClient = new SharePointClient({siteUrl, authConfig: {}});
+    spClient.client = fakeClient(name);
+    spClient.tokenClient = fakeClient(`${name}-token`);
+    return spClient;
+  };
+
+  describe('getSP()', () => {
+    const spClient = new SharePointClient({siteUrl: 'https://contoso.sharepoint.com/sites/a', authConfig: {}});
+
+    it('should return the site by default', () => {
+      expect(spClient.getSP().web.toUrl()).to.equal('https://contoso.sharepoint.com/sites/a/_api/web');
+      expect(spClient.getSP()).to.equal(spClient.sp);
+    });
+    it('should return subsites by relative and absolute URL', () => {
+      expect(spClient.getSP('team/').web.toUrl()).to.equal('https://contoso.sharepoint.com/sites/a/team/_api/web');
+      expect(spClient.getSP('https://contoso.sharepoint.com/sites/b/').web.toUrl())
+        .to.equal('https://contoso.sharepoint.com/sites/b/_api/web');
+    });
+  });
+
+  describe('fetch()', () => {
+    it('should send requests by the client they were created with', async () => {
+      const spClientA = createClient('https://a.sharepoint.com', 'a');
+      const spClientB = createClient('https://b.sharepoint.com', 'b');
+      const [webA, webB] = await Promise.all([spClientA.sp.web.get(), spClientB.sp.web.get()]);
+      expect(webA.Title).to.equal('a');
+      expect(webB.Title).to.equal('b');
+      expect(spClientA.client.requests).to.deep.equal([
+        {url: 'https://a.sharepoint.com/_api/web', method: 'GET', digest: null}
+      ]);
+    });
+    it('should add the digest obtained by the client to POST requests', async () => {
+      const spClient = createClient('https://a.sharepoint.com', 'a');
+      await spClient.sp.web.lists.getByTitle('Foo').items.getById(1).delete();
+      await spClient.sp.web.lists.getByTitle('Foo').items.getById(2).delete();
+      expect(spClient.client.requests).to.deep.equal([
+        {url: 'https://a.sharepoint.com/_api/contextinfo', method: 'POST', digest: null},
+        {url: 'https://a.sharepoint.com/_api/web/lists/getByTitle(\'Foo\')/items(1)', method: 'POST', digest: 'a-digest'},
+        {url: 'https://a.sharepoint.com/_api/web/lists/getByTitle(\'Foo\')/items(2)', method: 'POST', digest: 'a-digest'}
+      ]);
+    });
+    it('should send batches by the client which created them', async () => {
+      const spClientA = createClient('https://a.sharepoint.com', 'a');
+      const spClientB = createClient('https://b.sharepoint.com', 'b');
+      const web = spClientB.getSP('team').web;
+      const batch = spClientB.createBatch(web);
+      web.lists.getByTitle('Foo').items.getById(1).inBatch(batch).delete();
+      await batch.execute();
+      expect(spClientA.client.requests).to.be.empty;
+      expect(spClientB.client.requests).to.deep.include({
+        url: 'https://b.sharepoint.com/team/_api/$batch',
+        method: 'POST',
+        digest: 'b-digest'
+      });
+    });
+    it('should send concurrent batches of different clients by their own clients', async () => {
+      const spClientA = createClient('https://a.sharepoint.com', 'a');
+      const spClientB = createClient('https://b.sharepoint.com', 'b');
+      const batches = [spClientA, spClientB].map(spClient => {
+        const batch = spClient.createBatch(spClient.sp.web);
+        spClient.sp.web.lists.getByTitle('Foo').items.getById(1).inBatch(batch).delete();
+        return batch;
+      });
+      await Promise.all(batches.map(batch => batch.execute()));
+      for (const [spClient, name] of [[spClientA, 'a'], [spClientB, 'b']]) {
+        expect(spClient.client.requests).to.deep.include({
+          url: `https://${name}.sharepoint.com/_api/$batch`,
+          method: 'POST',
+          digest: `${name}-digest`
+        });
+        expect(spClient.client.batchRequests).to.deep.equal([{
+          url: `https://${name}.sharepoint.com/_api/web/lists/getByTitle('Foo')/items(1)`,
+          method: 'DELETE'
+        }]);
+      }
+    });
+    it('should send requests with the access token of the caller', async () => {
+      const spClient = createClient('https://a.sharepoint.com', 'a');
+      const web = spClient.getSP(null, () => Promise.resolve('token')).web;
+      await web.lists.getByTitle('Foo').items.getById(1).delete();
+      expect(spClient.client.requests).to.be.empty;
+      expect(spClient.tokenClient.requests).to.deep.equal([{
+        url: 'https://a.sharepoint.com/_api/web/lists/getByTitle(\'Foo\')/items(1)',
+        method: 'POST',
+        digest: null,
+        authorization: 'Bearer token'
+      }]);
+    });
+    it('should send requests with the client credentials when no access token is provided', async () => {
+      const spClient = createClient('https://a.sharepoint.com', 'a');
+      await spClient.getSP(null, () => null).web.get();
+      expect(spClient.tokenClient.requests).to.be.empty;
+      expect(spClient.client.requests).to.have.length(1);
+    });
+    it('should send batches with the access token of the caller', async () => {
+      const spClient = createClient('https://a.sharepoint.com', 'a');
+      const getToken = () => 'token';
+      const web = spClient.getSP(null, getToken).web;
+      const batch = spClient.createBatch(web, getToken);
+      web.lists.getByTitle('Foo').items.getById(1).inBatch(batch).delete();
+      await batch.execute();
+      expect(spClient.client.requests).to.be.empty;
+      expect(spClient.tokenClient.requests).to.deep.include({
+        url: 'https://a.sharepoint.com/_api/$batch',
+        method: 'POST',
+        digest: null,
+        authorization: 'Bearer token'
+      });
+    });
+    it('should explain the requests denied to the caller', async () => {
+      const spClient = createClient('https://a.sharepoint.com', 'a');
+      let error;
+      try {
+        await spClient.getSP(null, () => 'denied').web.lists.getByTitle('Foo').items.getById(1).delete();
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.include({
+        statusCode: 403,
+        code: 'ACCESS_DENIED',
+        message: 'The caller has no permission for this SharePoint operation: Access denied.',
+        delegated: true
+      });
+    });
+  });
+});
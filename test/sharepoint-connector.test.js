@@ -94,6 +94,24 @@ describe('SharePoint connector tests', () => {
     expect(ages).to.eql([45, 69]);
   });
 
+  it('should page through users using cursor', async () => {
+    const connector = ds.connector;
+    const findPage = (filter) => new Promise((resolve, reject) => {
+      connector.findPage('User', filter, {}, (err, page) => (err ? reject(err) : resolve(page)));
+    });
+    const firstPage = await findPage({order: 'age', limit: 3});
+    expect(firstPage.items.map(u => u.age)).to.eql([25, 33, 45]);
+    expect(firstPage.cursor).to.be.a('string');
+    const secondPage = await findPage({order: 'age', limit: 3, cursor: firstPage.cursor});
+    expect(secondPage.items.map(u => u.age)).to.eql([69]);
+    expect(secondPage.cursor).to.be.null;
+  });
+
+  it('should return empty result when skipping all users', async () => {
+    const result = await User.find({order: 'age', skip: 4, limit: 2});
+    expect(result).to.be.empty;
+  });
+
   it('should find by id', async () => {
     const result = await User.findById(testUsers[0].id);
     expect(result.__data).to.eql(testUsers[0]);
@@ -120,6 +138,30 @@ describe('SharePoint connector tests', () => {
     expect(replaced).to.include(newUser);
   });
 
+  it('should update attributes of the instance', async () => {
+    const user = await User.findById(testUsers[1].id);
+    await user.updateAttributes({jobTitle: 'Light Master'});
+    const updated = await User.findById(testUsers[1].id);
+    expect(updated.jobTitle).to.equal('Light Master');
+  });
+
+  it('should upsert existing user', async () => {
+    const result = await User.upsert({id: testUsers[2].id, age: 34});
+    expect(result.__data).to.include({id: testUsers[2].id, firstName: 'Piggie', age: 34});
+    expect(await User.count()).to.equal(testUsers.length);
+  });
+
+  it('should find existing user or create a new one', async () => {
+    const [found, created] = await User.findOrCreate({where: {email: testUsers[2].email}}, {firstName: 'Nobody'});
+    expect(created).to.be.false;
+    expect(found.id).to.equal(testUsers[2].id);
+    const newUser = {id: '0b7c4d3e-04a1-4d5f-9b7e-2f7d35c6a9f1', firstName: 'New', email: 'new@company.com'};
+    const [newInstance, isNew] = await User.findOrCreate({where: {email: newUser.email}}, newUser);
+    expect(isNew).to.be.true;
+    expect(newInstance.id).to.equal(newUser.id);
+    expect(await User.destroyById(newUser.id)).to.eql({count: 1});
+  });
+
   it('should delete by id', async () => {
     const deleteResult = await User.deleteById(testUsers[0].id);
     expect(deleteResult).to.eql({count: 1});
@@ -139,3 +181,775 @@ describe('SharePoint connector tests', () => {
   });
 });
 
+describe('SharePoint connector Lookup relations tests', () => {
+  const ds = global.getDataSource();
+  const Customer = ds.define('Customer',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      name: {type: String, sharepoint: {columnName: 'Title'}}
+    }, {
+      sharepoint: {
+        list: 'TestCustomers'
+      }
+    });
+  const Order = ds.define('Order',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      description: {type: String, sharepoint: {columnName: 'Title'}},
+      customerId: {type: Number, sharepoint: {columnName: 'Customer', dataType: 'Lookup'}}
+    }, {
+      sharepoint: {
+        list: 'TestOrders'
+      }
+    });
+  Order.belongsTo(Customer, {foreignKey: 'customerId'});
+  Customer.hasMany(Order, {foreignKey: 'customerId'});
+
+  let customer;
+
+  before((done) => {
+    ds.automigrate((err) => {
+      expect(err).to.not.exist;
+      done();
+    });
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestOrders').delete();
+    await ds.connector.sp.web.lists.getByTitle('TestCustomers').delete();
+  });
+
+  it('should create items referencing each other', async () => {
+    customer = await Customer.create({name: 'Acme'});
+    await Order.create([
+      {description: 'Anvil', customerId: customer.id},
+      {description: 'Rocket skates', customerId: customer.id}
+    ]);
+  });
+
+  it('should filter by lookup value', async () => {
+    const orders = await Order.find({where: {customerId: customer.id}});
+    expect(orders).to.have.lengthOf(2);
+  });
+
+  it('should include belongsTo relation', async () => {
+    const orders = await Order.find({include: 'customer'});
+    expect(orders).to.have.lengthOf(2);
+    expect(orders[0].toJSON().customer).to.eql({id: customer.id, name: 'Acme'});
+  });
+
+  it('should include hasMany relation', async () => {
+    const customers = await Customer.find({include: 'orders'});
+    const orders = customers[0].toJSON().orders;
+    expect(orders.map(o => o.description)).to.have.members(['Anvil', 'Rocket skates']);
+  });
+});
+
+describe('SharePoint connector ETag tests', () => {
+  const ds = global.getDataSource(Object.assign({}, global.config, {requireETag: true}));
+  const Task = ds.define('Task',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      title: {type: String, sharepoint: {columnName: 'Title'}},
+      etag: {type: String, sharepoint: {etag: true}}
+    }, {
+      sharepoint: {
+        list: 'TestTasks'
+      }
+    });
+
+  before((done) => {
+    ds.automigrate((err) => {
+      expect(err).to.not.exist;
+      done();
+    });
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestTasks').delete();
+  });
+
+  it('should return ETag of the item', async () => {
+    const created = await Task.create({title: 'Write tests'});
+    const task = await Task.findById(created.id);
+    expect(task.etag).to.be.a('string');
+  });
+
+  it('should replace item with current ETag', async () => {
+    const task = await Task.findOne();
+    const replaced = await Task.replaceById(task.id, {title: 'Write more tests', etag: task.etag});
+    expect(replaced.etag).to.not.equal(task.etag);
+  });
+
+  it('should fail to replace item with outdated ETag', async () => {
+    const task = await Task.findOne();
+    await Task.replaceById(task.id, {title: 'Changed', etag: task.etag});
+    let error;
+    try {
+      await Task.replaceById(task.id, {title: 'Changed again', etag: task.etag});
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 409, code: 'CONCURRENCY_CONFLICT'});
+  });
+
+  it('should require ETag when requireETag setting is set', async () => {
+    const task = await Task.findOne();
+    let error;
+    try {
+      await Task.replaceById(task.id, {title: 'No ETag'});
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 428, code: 'ETAG_REQUIRED'});
+  });
+});
+
+describe('SharePoint connector rich column types tests', () => {
+  const ds = global.getDataSource();
+  const Product = ds.define('Product',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      name: {type: String, sharepoint: {columnName: 'Title'}},
+      category: {type: String, enum: ['Tools', 'Toys'], sharepoint: {columnName: 'Category', dataType: 'Choice'}},
+      tags: {type: [String], enum: ['New', 'Sale', 'Popular'], sharepoint: {columnName: 'Tags', dataType: 'MultiChoice'}},
+      description: {type: String, sharepoint: {columnName: 'Description', dataType: 'Note', richText: true}},
+      price: {type: Number, sharepoint: {columnName: 'Price', dataType: 'Currency', currencyLocaleId: 1033}},
+      homepage: {type: Object, sharepoint: {columnName: 'Homepage', dataType: 'URL'}},
+      priceWithTax: {
+        type: Number,
+        sharepoint: {columnName: 'PriceWithTax', dataType: 'Calculated', formula: '=[Price]*1.2', outputType: 'Currency'}
+      }
+    }, {
+      sharepoint: {
+        list: 'TestProducts'
+      }
+    });
+
+  before((done) => {
+    ds.automigrate((err) => {
+      expect(err).to.not.exist;
+      done();
+    });
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestProducts').delete();
+  });
+
+  it('should write and read values of rich columns', async () => {
+    const created = await Product.create({
+      name: 'Anvil',
+      category: 'Tools',
+      tags: ['New', 'Sale'],
+      description: '<p>Heavy</p>',
+      price: 100,
+      homepage: {url: 'https://acme.com/anvil', description: 'Anvil'}
+    });
+    const product = await Product.findById(created.id);
+    expect(product.category).to.equal('Tools');
+    expect(product.tags).to.eql(['New', 'Sale']);
+    expect(product.price).to.equal(100);
+    expect(product.homepage).to.eql({url: 'https://acme.com/anvil', description: 'Anvil'});
+    expect(product.priceWithTax).to.exist;
+  });
+
+  it('should filter by Choice and MultiChoice values', async () => {
+    const products = await Product.find({where: {and: [{category: 'Tools'}, {tags: 'Sale'}]}});
+    expect(products).to.have.lengthOf(1);
+  });
+});
+
+describe('SharePoint connector User columns tests', () => {
+  const ds = global.getDataSource();
+  const Issue = ds.define('Issue',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      title: {type: String, sharepoint: {columnName: 'Title'}},
+      assignedTo: {type: Object, sharepoint: {columnName: 'AssignedTo', dataType: 'User'}},
+      watchers: {type: [Object], sharepoint: {columnName: 'Watchers', dataType: 'User'}}
+    }, {
+      sharepoint: {
+        list: 'TestIssues'
+      }
+    });
+  const email = global.config.authConfig.username;
+
+  before((done) => {
+    ds.automigrate((err) => {
+      expect(err).to.not.exist;
+      done();
+    });
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestIssues').delete();
+  });
+
+  it('should resolve users by email', async () => {
+    const created = await Issue.create({title: 'Broken build', assignedTo: email, watchers: [email]});
+    const issue = await Issue.findById(created.id);
+    expect(issue.assignedTo).to.have.property('id').that.is.a('number');
+    expect(issue.assignedTo.email.toLowerCase()).to.equal(email.toLowerCase());
+    expect(issue.watchers).to.have.lengthOf(1);
+  });
+
+  it('should filter by user ID', async () => {
+    const issue = await Issue.findOne();
+    const issues = await Issue.find({where: {assignedTo: issue.assignedTo.id}});
+    expect(issues).to.have.lengthOf(1);
+  });
+});
+
+describe('SharePoint connector autoupdate tests', () => {
+  const ds = global.getDataSource();
+  const listTitle = 'TestContacts';
+  ds.define('Contact',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      name: {type: String, sharepoint: {columnName: 'Title'}},
+      phone: {type: String, required: true, sharepoint: {columnName: 'Phone'}},
+      kind: {type: String, enum: ['Customer', 'Supplier', 'Partner'], sharepoint: {columnName: 'Kind', dataType: 'Choice'}}
+    }, {
+      sharepoint: {
+        list: listTitle
+      }
+    });
+  const autoupdate = (options) => new Promise((resolve, reject) => {
+    ds.connector.autoupdate(['Contact'], options, (err, changes) => (err ? reject(err) : resolve(changes[0])));
+  });
+
+  before(async () => {
+    // the list is created with an outdated schema
+    await ds.connector.sp.web.lists.add(listTitle);
+    const fields = ds.connector.sp.web.lists.getByTitle(listTitle).fields;
+    await fields.addText('Phone');
+    await fields.addChoice('Kind', ['Customer', 'Supplier']);
+    await fields.addText('Fax');
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle(listTitle).delete();
+  });
+
+  it('should plan changes in dry-run mode', async () => {
+    const changes = await autoupdate({dryRun: true});
+    expect(changes.createList).to.be.false;
+    expect(changes.updateFields.map(f => f.field)).to.have.members(['Phone', 'Kind']);
+    expect(changes.orphanedFields).to.eql(['Fax']);
+    const isActual = await new Promise((resolve, reject) => {
+      ds.isActual(['Contact'], (err, actual) => (err ? reject(err) : resolve(actual)));
+    });
+    expect(isActual).to.be.false;
+  });
+
+  it('should update the list and keep orphaned fields', async () => {
+    await autoupdate();
+    const changes = await autoupdate({dryRun: true});
+    expect(changes.updateFields).to.be.empty;
+    expect(changes.orphanedFields).to.eql(['Fax']);
+  });
+});
+
+describe('SharePoint connector discovery tests', () => {
+  const ds = global.getDataSource();
+  ds.define('Invoice',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      number: {type: String, required: true, sharepoint: {columnName: 'Title'}},
+      amount: {type: Number, sharepoint: {columnName: 'Amount', dataType: 'Currency'}},
+      status: {type: String, enum: ['Draft', 'Paid'], sharepoint: {columnName: 'Status', dataType: 'Choice'}},
+      dueDate: {type: Date, sharepoint: {columnName: 'DueDate'}}
+    }, {
+      sharepoint: {
+        list: 'TestInvoices'
+      }
+    });
+
+  before((done) => {
+    ds.automigrate(['Invoice'], (err) => {
+      expect(err).to.not.exist;
+      done();
+    });
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestInvoices').delete();
+  });
+
+  it('should discover lists', async () => {
+    const models = await ds.discoverModelDefinitions();
+    const names = models.map(m => m.name);
+    expect(names).to.include('TestInvoices');
+    expect(names).to.not.include('Master Page Gallery');
+  });
+
+  it('should discover model schema', async () => {
+    const schema = await ds.discoverSchema('TestInvoices');
+    expect(schema.name).to.equal('TestInvoices');
+    expect(schema.options.sharepoint).to.eql({list: 'TestInvoices'});
+    expect(schema.properties.id).to.include({type: 'number', id: true});
+    expect(schema.properties.amount.sharepoint).to.include({columnName: 'Amount', dataType: 'Currency'});
+    expect(schema.properties.status.enum).to.eql(['Draft', 'Paid']);
+    expect(schema.properties.dueDate.type).to.equal('date');
+  });
+});
+
+describe('SharePoint connector field constraints tests', () => {
+  const ds = global.getDataSource();
+  ds.define('Employee',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      name: {type: String, sharepoint: {columnName: 'Title'}},
+      employeeNumber: {
+        type: String,
+        required: true,
+        length: 10,
+        index: {unique: true},
+        sharepoint: {columnName: 'EmployeeNumber'}
+      },
+      department: {type: String, index: true, default: 'Sales', sharepoint: {columnName: 'Department'}},
+      salary: {
+        type: Number,
+        sharepoint: {columnName: 'Salary', validation: {formula: '=[Salary]>0', message: 'Salary must be positive'}}
+      }
+    }, {
+      sharepoint: {
+        list: 'TestEmployees'
+      }
+    });
+
+  before((done) => {
+    ds.automigrate(['Employee'], (err) => {
+      expect(err).to.not.exist;
+      done();
+    });
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestEmployees').delete();
+  });
+
+  it('should provision field constraints', async () => {
+    const fields = ds.connector.sp.web.lists.getByTitle('TestEmployees').fields;
+    const employeeNumber = await fields.getByInternalNameOrTitle('EmployeeNumber').get();
+    expect(employeeNumber).to.include({Required: true, Indexed: true, EnforceUniqueValues: true, MaxLength: 10});
+    const department = await fields.getByInternalNameOrTitle('Department').get();
+    expect(department).to.include({Indexed: true, DefaultValue: 'Sales'});
+    const salary = await fields.getByInternalNameOrTitle('Salary').get();
+    expect(salary).to.include({ValidationFormula: '=[Salary]>0', ValidationMessage: 'Salary must be positive'});
+  });
+});
+
+describe('SharePoint connector attachments tests', () => {
+  const ds = global.getDataSource();
+  const {AttachmentsMixin} = require('../');
+  const {Readable} = require('stream');
+  const Ticket = ds.define('Ticket',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      title: {type: String, sharepoint: {columnName: 'Title'}}
+    }, {
+      sharepoint: {
+        list: 'TestTickets',
+        attachments: true
+      }
+    });
+  AttachmentsMixin(Ticket);
+
+  const readStream = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+  });
+
+  let ticket;
+
+  before((done) => {
+    ds.automigrate(['Ticket'], (err) => {
+      expect(err).to.not.exist;
+      Ticket.create({title: 'Printer is on fire'}, (err, created) => {
+        expect(err).to.not.exist;
+        ticket = created;
+        done();
+      });
+    });
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestTickets').delete();
+  });
+
+  it('should upload attachments from buffer and stream', async () => {
+    const attachment = await Ticket.uploadAttachment(ticket.id, 'log.txt', Buffer.from('smoke detected'));
+    expect(attachment.name).to.equal('log.txt');
+    await Ticket.uploadAttachment(ticket.id, 'notes.txt', Readable.from(['call ', 'the fire department']));
+    const attachments = await Ticket.getAttachments(ticket.id);
+    expect(attachments.map(a => a.name)).to.have.members(['log.txt', 'notes.txt']);
+  });
+
+  it('should download attachment as stream', async () => {
+    const stream = await Ticket.downloadAttachment(ticket.id, 'notes.txt');
+    expect(await readStream(stream)).to.equal('call the fire department');
+  });
+
+  it('should include attachment metadata when requested', async () => {
+    const [found] = await Ticket.find({where: {id: ticket.id}}, {includeAttachments: true});
+    expect(found.attachments.map(a => a.name)).to.have.members(['log.txt', 'notes.txt']);
+    const [foundWithout] = await Ticket.find({where: {id: ticket.id}});
+    expect(foundWithout.attachments).to.not.exist;
+  });
+
+  it('should delete attachment', async () => {
+    expect(await Ticket.deleteAttachment(ticket.id, 'log.txt')).to.eql({count: 1});
+    expect(await Ticket.deleteAttachment(ticket.id, 'log.txt')).to.eql({count: 0});
+    const attachments = await Ticket.getAttachments(ticket.id);
+    expect(attachments.map(a => a.name)).to.eql(['notes.txt']);
+  });
+
+  it('should report missing item', async () => {
+    let error;
+    try {
+      await Ticket.getAttachments(999999);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 404, code: 'NOT_FOUND'});
+  });
+});
+
+describe('SharePoint connector document library tests', () => {
+  const ds = global.getDataSource();
+  const {DocumentsMixin} = require('../');
+  const {Readable} = require('stream');
+  const Contract = ds.define('Contract',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      title: {type: String, sharepoint: {columnName: 'Title'}},
+      customer: {type: String, sharepoint: {columnName: 'Customer'}}
+    }, {
+      sharepoint: {
+        list: 'TestContracts',
+        documentLibrary: true
+      }
+    });
+  DocumentsMixin(Contract);
+
+  const readStream = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+  });
+
+  let contract;
+
+  before((done) => {
+    ds.automigrate(['Contract'], (err) => {
+      expect(err).to.not.exist;
+      done();
+    });
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestContracts').delete();
+  });
+
+  it('should provision document library', async () => {
+    const list = await ds.connector.sp.web.lists.getByTitle('TestContracts').select('BaseTemplate').get();
+    expect(list.BaseTemplate).to.equal(101);
+  });
+
+  it('should upload file with metadata', async () => {
+    contract = await Contract.create({
+      title: 'Support agreement',
+      customer: 'Acme',
+      file: {name: 'acme-support.txt'},
+      content: Readable.from(['first ', 'draft'])
+    });
+    expect(contract.id).to.be.a('number');
+    const found = await Contract.findById(contract.id);
+    expect(found).to.include({title: 'Support agreement', customer: 'Acme'});
+    expect(found.file).to.include({name: 'acme-support.txt', size: 11, version: '1.0'});
+    expect(found.file.url).to.match(/\/TestContracts\/acme-support\.txt$/);
+  });
+
+  it('should require file name and content', async () => {
+    let error;
+    try {
+      await Contract.create({title: 'No file'});
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 400, code: 'FILE_REQUIRED'});
+  });
+
+  it('should replace and download file content', async () => {
+    const file = await Contract.replaceFile(contract.id, Buffer.from('signed'));
+    expect(file).to.include({name: 'acme-support.txt', size: 6, version: '2.0'});
+    const stream = await Contract.downloadFile(contract.id);
+    expect(await readStream(stream)).to.equal('signed');
+  });
+});
+
+describe('SharePoint connector folders tests', () => {
+  const ds = global.getDataSource();
+  const Order = ds.define('Order',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      title: {type: String, sharepoint: {columnName: 'Title'}},
+      folder: {type: String, sharepoint: {folder: true}}
+    }, {
+      sharepoint: {
+        list: 'TestOrders',
+        scope: 'Recursive'
+      }
+    });
+
+  before((done) => {
+    ds.automigrate(['Order'], (err) => {
+      expect(err).to.not.exist;
+      done();
+    });
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestOrders').delete();
+  });
+
+  it('should create items in folders creating missing folders', async () => {
+    await Order.create({title: 'Root order'});
+    await Order.create({title: 'Acme order', folder: 'Acme/2020'});
+    await Order.create({title: 'Globex order'}, {folder: 'Globex'});
+    const orders = await Order.find({order: 'title ASC'});
+    expect(orders.map(o => [o.title, o.folder])).to.eql([
+      ['Acme order', 'Acme/2020'],
+      ['Globex order', 'Globex'],
+      ['Root order', '']
+    ]);
+  });
+
+  it('should query folder recursively', async () => {
+    const orders = await Order.find({where: {title: {like: '%order'}}}, {folder: 'Acme'});
+    expect(orders.map(o => o.title)).to.eql(['Acme order']);
+  });
+
+  it('should query folder only', async () => {
+    const count = await Order.count({}, {folder: 'Acme', scope: 'Default'});
+    // the folder contains only the 2020 subfolder
+    expect(count).to.equal(1);
+    const orders = await Order.find({folder: 'Acme', scope: 'FilesOnly'});
+    expect(orders).to.be.empty;
+  });
+
+  it('should reject invalid scope', async () => {
+    let error;
+    try {
+      await Order.find({}, {scope: 'Everything'});
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 400, code: 'INVALID_SCOPE'});
+  });
+});
+
+describe('SharePoint connector transactions tests', () => {
+  const crypto = require('crypto');
+  const newGuid = () => crypto.randomBytes(16).toString('hex')
+    .replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+  const ds = global.getDataSource();
+  // instances created in a transaction need ids set by the client
+  const Invoice = ds.define('Invoice',
+    {
+      id: {type: String, id: true, sharepoint: {columnName: 'GUID'}},
+      title: {type: String, sharepoint: {columnName: 'Title'}},
+      number: {type: String, index: {unique: true}, sharepoint: {columnName: 'Number'}}
+    }, {
+      sharepoint: {
+        list: 'TestInvoices'
+      }
+    });
+
+  let invoice;
+
+  before(async () => {
+    await ds.automigrate(['Invoice']);
+    invoice = await Invoice.create({title: 'Existing', number: 'INV-1'});
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestInvoices').delete();
+  });
+
+  it('should commit the writes in a single batch', async () => {
+    const tx = await Invoice.beginTransaction({});
+    const first = await Invoice.create({id: newGuid(), title: 'First', number: 'INV-2'}, {transaction: tx});
+    await Invoice.replaceById(invoice.id, {title: 'Renamed', number: 'INV-1'}, {transaction: tx});
+    expect(await Invoice.count({title: 'First'})).to.equal(0);
+    const unitOfWork = tx.connection;
+    await tx.commit();
+    expect(unitOfWork.results.map(r => [r.operation, r.id, r.status])).to.eql([
+      ['create', first.id, 'committed'], ['update', invoice.id, 'committed']
+    ]);
+    expect((await Invoice.findById(invoice.id)).title).to.equal('Renamed');
+    expect(await Invoice.count({title: 'First'})).to.equal(1);
+  });
+
+  it('should undo the writes when a write fails', async () => {
+    const tx = await Invoice.beginTransaction({});
+    await Invoice.replaceById(invoice.id, {title: 'Changed', number: 'INV-1'}, {transaction: tx});
+    await Invoice.destroyAll({title: 'First'}, {transaction: tx});
+    // duplicate of the unique number
+    await Invoice.create({id: newGuid(), title: 'Duplicate', number: 'INV-1'}, {transaction: tx});
+    let error;
+    try {
+      await tx.commit();
+    } catch (err) {
+      error = err;
+    }
+    expect(error.code).to.equal('TRANSACTION_FAILED');
+    expect(error.operations.map(r => [r.operation, r.status])).to.eql([
+      ['update', 'undone'], ['delete', 'undone'], ['create', 'failed']
+    ]);
+    expect((await Invoice.findById(invoice.id)).title).to.equal('Renamed');
+    expect(await Invoice.count({title: 'First'})).to.equal(1);
+  });
+});
+
+describe('SharePoint connector change feed tests', () => {
+  const {ChangesMixin} = require('../');
+  const ds = global.getDataSource();
+  const Note = ds.define('Note',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      title: {type: String, sharepoint: {columnName: 'Title'}}
+    }, {
+      sharepoint: {
+        list: 'TestNotes'
+      }
+    });
+  ChangesMixin(Note);
+
+  let kept, removed;
+
+  before(async () => {
+    await ds.automigrate(['Note']);
+    kept = await Note.create({title: 'Kept'});
+    removed = await Note.create({title: 'Removed'});
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestNotes').delete();
+  });
+
+  it('should return the current token without changes', async () => {
+    const changes = await Note.getChanges();
+    expect(changes).to.deep.include({added: [], updated: [], deleted: [], entities: []});
+    expect(changes.token).to.be.a('string');
+  });
+
+  it('should return the changes since the token', async () => {
+    const {token} = await Note.getChanges();
+    const added = await Note.create({title: 'Added'});
+    await Note.replaceById(kept.id, {title: 'Kept and updated'});
+    await Note.destroyById(removed.id);
+    const temporary = await Note.create({title: 'Temporary'});
+    await Note.destroyById(temporary.id);
+    const changes = await Note.getChanges(token);
+    expect(changes).to.deep.include({added: [added.id], updated: [kept.id], deleted: [removed.id]});
+    expect(changes.entities.map(n => n.title)).to.have.members(['Added', 'Kept and updated']);
+    expect(changes.token).to.not.equal(token);
+    const noChanges = await Note.getChanges(changes.token);
+    expect(noChanges).to.deep.include({added: [], updated: [], deleted: [], token: changes.token});
+  });
+});
+
+describe('SharePoint connector search tests', () => {
+  const {SearchMixin} = require('../');
+  const ds = global.getDataSource();
+  const Article = ds.define('Article',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      title: {type: String, sharepoint: {columnName: 'Title'}}
+    }, {
+      sharepoint: {
+        list: 'TestArticles'
+      }
+    });
+  SearchMixin(Article);
+
+  before(async () => {
+    await ds.automigrate(['Article']);
+    await Article.create({title: 'Search basics'});
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestArticles').delete();
+  });
+
+  it('should search the items of the model list', async () => {
+    // the list is searchable once it is crawled, so the new item may not be found yet
+    const result = await Article.search('search', {where: {title: {like: 'Search%'}}, order: 'id DESC', limit: 10});
+    expect(result.total).to.be.a('number');
+    expect(result.items).to.have.length.of.at.most(1);
+    expect(result.refiners).to.deep.equal({});
+    result.items.forEach(item => expect(item.title).to.equal('Search basics'));
+  });
+});
+
+describe('SharePoint connector version history tests', () => {
+  const {VersionsMixin} = require('../');
+  const ds = global.getDataSource();
+  const Policy = ds.define('Policy',
+    {
+      id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+      title: {type: String, sharepoint: {columnName: 'Title'}}
+    }, {
+      sharepoint: {
+        list: 'TestPolicies',
+        versioning: {majorVersionLimit: 10}
+      }
+    });
+  VersionsMixin(Policy);
+
+  let policy;
+
+  before(async () => {
+    await ds.automigrate(['Policy']);
+    policy = await Policy.create({title: 'First draft'});
+    await Policy.replaceById(policy.id, {title: 'Second draft'});
+  });
+
+  after(async () => {
+    await ds.connector.sp.web.lists.getByTitle('TestPolicies').delete();
+  });
+
+  it('should enable versioning with the version limit', async () => {
+    const list = await ds.connector.sp.web.lists.getByTitle('TestPolicies')
+      .select('EnableVersioning', 'MajorVersionLimit').get();
+    expect(list).to.include({EnableVersioning: true, MajorVersionLimit: 10});
+  });
+
+  it('should return the versions of the instance', async () => {
+    const versions = await Policy.getVersions(policy.id);
+    expect(versions.map(version => [version.label, version.data.title])).to.deep.equal([
+      ['2.0', 'Second draft'],
+      ['1.0', 'First draft']
+    ]);
+    expect(versions[0].isCurrent).to.be.true;
+    expect(versions[0].modifiedBy).to.have.property('id');
+  });
+
+  it('should return the version by its label', async () => {
+    const version = await Policy.getVersion(policy.id, '1.0');
+    expect(version.data).to.include({id: policy.id, title: 'First draft'});
+  });
+
+  it('should restore the instance to the version', async () => {
+    const restored = await Policy.restoreVersion(policy.id, '1.0');
+    expect(restored).to.include({id: policy.id, title: 'First draft'});
+    const versions = await Policy.getVersions(policy.id);
+    expect(versions[0]).to.include({label: '3.0', isCurrent: true});
+  });
+});
@@ -15,7 +15,18 @@ describe('SPLib tests', () => {
         age: {type: Number, sharepoint: {columnName: 'Age'}},
         startDate: {type: Date, sharepoint: {columnName: 'StartDate'}},
         isEmployee: {type: Boolean, sharepoint: {columnName: 'IsEmployee'}},
-        displayName: {sharepoint: {columnName: 'DisplayName'}}
+        displayName: {sharepoint: {columnName: 'DisplayName'}},
+        departmentId: {type: Number, sharepoint: {columnName: 'Department', dataType: 'Lookup'}},
+        website: {type: Object, sharepoint: {columnName: 'Website', dataType: 'URL'}},
+        skills: {type: [String], enum: ['JS', 'SQL'], sharepoint: {columnName: 'Skills', dataType: 'MultiChoice'}},
+        seniority: {type: Number, sharepoint: {columnName: 'Seniority', dataType: 'Calculated', outputType: 'Number'}},
+        manager: {type: Object, sharepoint: {columnName: 'Manager', dataType: 'User'}},
+        reviewers: {type: [Object], sharepoint: {columnName: 'Reviewers', dataType: 'User'}},
+        etag: {type: String, sharepoint: {etag: true}},
+        attachments: {type: [Object], sharepoint: {attachments: true}},
+        file: {type: Object, sharepoint: {file: true}},
+        content: {type: 'any', sharepoint: {content: true}},
+        folder: {type: String, sharepoint: {folder: true}}
       });
     spLib = new SPLib(User.definition);
   });
@@ -68,7 +79,7 @@ describe('SPLib tests', () => {
     });
     it('neq, like, contains', () => {
       const where = {and: [{firstName: {'neq': 'Joe'}}, {lastName: {like: 'Doe'}}, {email: {contains: 'doe'}}]};
-      const expectedResult = '<Where><And><Neq><FieldRef Name="FirstName"/><Value Type="Text">Joe</Value></Neq><And><BeginsWith><FieldRef Name="LastName"/><Value Type="Text">Doe</Value></BeginsWith><Contains><FieldRef Name="Email"/><Value Type="Text">doe</Value></Contains></And></And></Where>';
+      const expectedResult = '<Where><And><Neq><FieldRef Name="FirstName"/><Value Type="Text">Joe</Value></Neq><And><Eq><FieldRef Name="LastName"/><Value Type="Text">Doe</Value></Eq><Contains><FieldRef Name="Email"/><Value Type="Text">doe</Value></Contains></And></And></Where>';
       const result = spLib.buildWhere(where);
       expect(result).to.eql(expectedResult);
     });
@@ -87,6 +98,322 @@ describe('SPLib tests', () => {
       const expectedResult = '<Where><Eq><FieldRef Name="DisplayName"/><Value Type="Text">Joe Doe</Value></Eq></Where>';
       expect(result).to.eql(expectedResult);
     });
+    it('\'nin\' condition with single value', () => {
+      const result = spLib.buildWhere({age: {nin: [20]}});
+      const expectedResult = '<Where><Neq><FieldRef Name="Age"/><Value Type="Number">20</Value></Neq></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('\'nin\' condition with multiple values', () => {
+      const result = spLib.buildWhere({age: {nin: [20, 30, 40]}});
+      const expectedResult = '<Where><And><Neq><FieldRef Name="Age"/><Value Type="Number">20</Value></Neq><And><Neq><FieldRef Name="Age"/><Value Type="Number">30</Value></Neq><Neq><FieldRef Name="Age"/><Value Type="Number">40</Value></Neq></And></And></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('should throw error if \'nin\' values are not an array', () => {
+      expect(() => spLib.buildWhere({age: {nin: 20}}))
+        .to.throw('Invalid \'nin\' values. Must be a non-empty array.')
+        .and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+    it('\'between\' condition', () => {
+      const result = spLib.buildWhere({age: {between: [20, 30]}});
+      const expectedResult = '<Where><And><Geq><FieldRef Name="Age"/><Value Type="Number">20</Value></Geq><Leq><FieldRef Name="Age"/><Value Type="Number">30</Value></Leq></And></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('should throw error if \'between\' values are not an array of 2 values', () => {
+      expect(() => spLib.buildWhere({age: {between: [20]}}))
+        .to.throw('Invalid \'between\' values. Must be an array of 2 values.')
+        .and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+    it('null value', () => {
+      const result = spLib.buildWhere({email: null});
+      const expectedResult = '<Where><IsNull><FieldRef Name="Email"/></IsNull></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('\'neq\' null value', () => {
+      const result = spLib.buildWhere({email: {neq: null}});
+      const expectedResult = '<Where><IsNotNull><FieldRef Name="Email"/></IsNotNull></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('date value without operator', () => {
+      const result = spLib.buildWhere({startDate: new Date('2019-01-01T05:00:00Z')});
+      const expectedResult = '<Where><Eq><FieldRef Name="StartDate"/><Value Type="DateTime">2019-01-01T05:00:00.000Z</Value></Eq></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('\'like\' pattern with trailing wildcard', () => {
+      const result = spLib.buildWhere({lastName: {like: 'Do%'}});
+      const expectedResult = '<Where><BeginsWith><FieldRef Name="LastName"/><Value Type="Text">Do</Value></BeginsWith></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('\'like\' pattern without wildcards', () => {
+      const result = spLib.buildWhere({lastName: {like: 'abc'}});
+      const expectedResult = '<Where><Eq><FieldRef Name="LastName"/><Value Type="Text">abc</Value></Eq></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('\'ilike\' pattern with leading and trailing wildcards', () => {
+      const result = spLib.buildWhere({lastName: {ilike: '%oe%'}});
+      const expectedResult = '<Where><Contains><FieldRef Name="LastName"/><Value Type="Text">oe</Value></Contains></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('should leave out conditions applied by post filter', () => {
+      const where = {and: [{firstName: 'Joe'}, {lastName: {like: '%oe'}}, {email: {regexp: '/^joe/i'}}]};
+      const result = spLib.buildWhere(where);
+      const expectedResult = '<Where><Eq><FieldRef Name="FirstName"/><Value Type="Text">Joe</Value></Eq></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('should throw error if post filter condition is within \'or\'', () => {
+      expect(() => spLib.buildWhere({or: [{firstName: 'Joe'}, {lastName: {nlike: 'Doe'}}]}))
+        .to.throw('cannot be used within \'or\' conditions')
+        .and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+    it('should throw error for unsupported operator', () => {
+      expect(() => spLib.buildWhere({age: {near: 20}}))
+        .to.throw('Operator \'near\' is not supported.')
+        .and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+    it('should throw error for properties not defined in the model', () => {
+      expect(() => spLib.buildWhere({nickname: 'Joe'}))
+        .to.throw('Property nickname is not defined for type User.')
+        .and.include({statusCode: 400, code: 'INVALID_PROPERTY'});
+    });
+    it('lookup field should be compared by ID', () => {
+      const result = spLib.buildWhere({departmentId: 3});
+      const expectedResult = '<Where><Eq><FieldRef Name="Department" LookupId="TRUE"/><Value Type="Lookup">3</Value></Eq></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('\'inq\' condition on lookup field', () => {
+      const result = spLib.buildWhere({departmentId: {inq: [1, 2]}});
+      const expectedResult = '<Where><In><FieldRef Name="Department" LookupId="TRUE"/><Values><Value Type="Lookup">1</Value><Value Type="Lookup">2</Value></Values></In></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+  });
+
+  describe('buildWhere() with rich field types', () => {
+    it('should compare Calculated field using its output type', () => {
+      const result = spLib.buildWhere({seniority: {gt: 2}});
+      const expectedResult = '<Where><Gt><FieldRef Name="Seniority"/><Value Type="Number">2</Value></Gt></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+  });
+
+  describe('buildWhere() with User fields', () => {
+    it('should compare User field by user ID', () => {
+      const result = spLib.buildWhere({manager: 7});
+      const expectedResult = '<Where><Eq><FieldRef Name="Manager" LookupId="TRUE"/><Value Type="Integer">7</Value></Eq></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+    it('should compare multi-user field with \'inq\' values', () => {
+      const result = spLib.buildWhere({reviewers: {inq: [7, 8]}});
+      const expectedResult = '<Where><In><FieldRef Name="Reviewers" LookupId="TRUE"/><Values><Value Type="Integer">7</Value><Value Type="Integer">8</Value></Values></In></Where>';
+      expect(result).to.eql(expectedResult);
+    });
+  });
+
+  describe('User field values', () => {
+    it('should detect multi-user fields', () => {
+      expect(spLib.isMultiValueField('reviewers')).to.be.true;
+      expect(spLib.isMultiValueField('manager')).to.be.false;
+    });
+    it('should write user IDs', () => {
+      expect(spLib.toSPValue('manager', {id: 7, title: 'Joe'})).to.equal(7);
+      expect(spLib.toSPValue('reviewers', [7, {id: 8}])).to.eql({
+        __metadata: {type: 'Collection(Edm.Int32)'},
+        results: [7, 8]
+      });
+    });
+    it('should read user IDs', () => {
+      expect(spLib.fromSPValue('manager', 7)).to.eql({id: 7});
+      expect(spLib.fromSPValue('reviewers', {results: [7, 8]})).to.eql([{id: 7}, {id: 8}]);
+      expect(spLib.fromSPValue('reviewers', [])).to.eql([]);
+    });
+  });
+
+  describe('buildPostFilter()', () => {
+    it('should return null if all conditions are expressed in CAML', () => {
+      expect(spLib.buildPostFilter({and: [{firstName: 'Joe'}, {lastName: {like: 'Do%'}}]})).to.be.null;
+    });
+    it('should filter by \'like\' pattern', () => {
+      const postFilter = spLib.buildPostFilter({lastName: {like: 'D_e%son'}});
+      expect(postFilter({LastName: 'Doe-Johnson'})).to.be.true;
+      expect(postFilter({LastName: 'doesn\'t matter'})).to.be.false;
+    });
+    it('should filter by \'nlike\' pattern', () => {
+      const postFilter = spLib.buildPostFilter({lastName: {nlike: '%oe'}});
+      expect(postFilter({LastName: 'Doe'})).to.be.false;
+      expect(postFilter({LastName: 'Smith'})).to.be.true;
+    });
+    it('should filter by regular expression', () => {
+      const postFilter = spLib.buildPostFilter({and: [{firstName: 'Joe'}, {email: {regexp: '/^joe\\./i'}}]});
+      expect(postFilter({FirstName: 'Joe', Email: 'Joe.Doe@company.com'})).to.be.true;
+      expect(postFilter({FirstName: 'Joe', Email: 'jdoe@company.com'})).to.be.false;
+    });
+  });
+
+  describe('getPostFilterProperties()', () => {
+    it('should return properties used by post filter conditions', () => {
+      const where = {and: [{firstName: 'Joe'}, {lastName: {like: '%oe'}}, {email: {regexp: /^joe/}}]};
+      expect(spLib.getPostFilterProperties(where)).to.eql(['lastName', 'email']);
+    });
+  });
+
+  describe('isETagProperty()', () => {
+    it('should return true for property marked as etag', () => {
+      expect(spLib.isETagProperty('etag')).to.be.true;
+    });
+    it('should return false for other properties', () => {
+      expect(spLib.isETagProperty('firstName')).to.be.false;
+    });
+    it('should not allow ETag property in where clause', () => {
+      expect(() => spLib.buildWhere({etag: '"1"'}))
+        .to.throw('Property etag holds ETag and cannot be used in \'where\' clause.')
+        .and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+  });
+
+  describe('isAttachmentsProperty()', () => {
+    it('should return true for property marked as attachments', () => {
+      expect(spLib.isAttachmentsProperty('attachments')).to.be.true;
+      expect(spLib.isVirtualProperty('attachments')).to.be.true;
+    });
+    it('should return false for other properties', () => {
+      expect(spLib.isAttachmentsProperty('etag')).to.be.false;
+      expect(spLib.isVirtualProperty('firstName')).to.be.false;
+    });
+    it('should not allow attachments property in where clause', () => {
+      expect(() => spLib.buildWhere({attachments: 'a.txt'}))
+        .to.throw('Property attachments holds attachments and cannot be used in \'where\' clause.')
+        .and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+  });
+
+  describe('isVirtualProperty()', () => {
+    it('should return true for file metadata and content properties', () => {
+      expect(spLib.isFileProperty('file')).to.be.true;
+      expect(spLib.isContentProperty('content')).to.be.true;
+      expect(spLib.isVirtualProperty('file')).to.be.true;
+      expect(spLib.isVirtualProperty('content')).to.be.true;
+    });
+    it('should not allow file properties in where clause', () => {
+      expect(() => spLib.buildWhere({file: 'a.pdf'}))
+        .to.throw('Property file holds the file of the document and cannot be used in \'where\' clause.')
+        .and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+    it('should return true for folder property', () => {
+      expect(spLib.isFolderProperty('folder')).to.be.true;
+      expect(spLib.isVirtualProperty('folder')).to.be.true;
+      expect(() => spLib.buildWhere({folder: 'Sales'}))
+        .to.throw('Property folder holds the folder of the item and cannot be used in \'where\' clause')
+        .and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+    it('should not include file properties in ViewFields', () => {
+      expect(spLib.buildViewFields(['firstName', 'file', 'content']))
+        .to.eql('<ViewFields><FieldRef Name="FirstName"/></ViewFields>');
+    });
+  });
+
+  describe('isLookupField()', () => {
+    it('should return true for Lookup fields', () => {
+      expect(spLib.isLookupField('departmentId')).to.be.true;
+    });
+    it('should return true for User fields', () => {
+      expect(spLib.isLookupField('manager')).to.be.true;
+    });
+    it('should return false for other fields', () => {
+      expect(spLib.isLookupField('age')).to.be.false;
+    });
+  });
+
+  describe('isReadOnlyField()', () => {
+    it('should return true for Calculated fields', () => {
+      expect(spLib.isReadOnlyField('seniority')).to.be.true;
+    });
+    it('should return true for system fields', () => {
+      expect(spLib.isReadOnlyField('ID')).to.be.true;
+    });
+    it('should return false for other fields', () => {
+      expect(spLib.isReadOnlyField('age')).to.be.false;
+    });
+  });
+
+  describe('getCamlValueType()', () => {
+    it('should return output type of Calculated fields', () => {
+      expect(spLib.getCamlValueType('seniority')).to.equal('Number');
+    });
+    it('should return field type of other fields', () => {
+      expect(spLib.getCamlValueType('skills')).to.equal('MultiChoice');
+    });
+  });
+
+  describe('toSPValue()', () => {
+    it('should convert URL value', () => {
+      expect(spLib.toSPValue('website', {url: 'https://joe.com', description: 'Blog'})).to.eql({
+        __metadata: {type: 'SP.FieldUrlValue'},
+        Url: 'https://joe.com',
+        Description: 'Blog'
+      });
+    });
+    it('should use URL as description if it is not specified', () => {
+      expect(spLib.toSPValue('website', 'https://joe.com')).to.include({Url: 'https://joe.com', Description: 'https://joe.com'});
+    });
+    it('should convert MultiChoice value', () => {
+      expect(spLib.toSPValue('skills', ['JS', 'SQL'])).to.eql({
+        __metadata: {type: 'Collection(Edm.String)'},
+        results: ['JS', 'SQL']
+      });
+    });
+    it('should keep empty values and values of other fields', () => {
+      expect(spLib.toSPValue('website', null)).to.be.null;
+      expect(spLib.toSPValue('age', 30)).to.equal(30);
+    });
+  });
+
+  describe('toSPValue() type conversion', () => {
+    it('should convert dates to ISO strings', () => {
+      expect(spLib.toSPValue('startDate', new Date('2019-01-01T05:00:00Z'))).to.equal('2019-01-01T05:00:00.000Z');
+    });
+    it('should convert numbers and booleans', () => {
+      expect(spLib.toSPValue('age', '30')).to.equal(30);
+      expect(spLib.toSPValue('isEmployee', 'true')).to.be.true;
+    });
+  });
+
+  describe('fromSPValue() type conversion', () => {
+    it('should convert date strings to Date', () => {
+      const result = spLib.fromSPValue('startDate', '2019-01-01T05:00:00Z');
+      expect(result).to.be.an.instanceof(Date);
+      expect(result.toISOString()).to.equal('2019-01-01T05:00:00.000Z');
+    });
+    it('should convert text values to numbers', () => {
+      expect(spLib.fromSPValue('age', '30')).to.equal(30);
+      expect(spLib.fromSPValue('age', '1,234.5')).to.equal(1234.5);
+      expect(spLib.fromSPValue('age', '')).to.be.null;
+    });
+    it('should convert text values to booleans', () => {
+      expect(spLib.fromSPValue('isEmployee', 'Yes')).to.be.true;
+      expect(spLib.fromSPValue('isEmployee', '0')).to.be.false;
+      expect(spLib.fromSPValue('isEmployee', true)).to.be.true;
+    });
+    it('should convert text values of multi-value fields to arrays', () => {
+      expect(spLib.fromSPValue('skills', 'JS; SQL')).to.eql(['JS', 'SQL']);
+    });
+    it('should convert text value of URL field', () => {
+      expect(spLib.fromSPValue('website', 'https://joe.com, Blog')).to.eql({url: 'https://joe.com', description: 'Blog'});
+    });
+    it('should convert Calculated field value according to its output type', () => {
+      expect(spLib.fromSPValue('seniority', '3')).to.equal(3);
+    });
+    it('should keep values of other fields', () => {
+      expect(spLib.fromSPValue('lastName', 'Doe')).to.equal('Doe');
+    });
+  });
+
+  describe('fromSPValue()', () => {
+    it('should convert URL value', () => {
+      expect(spLib.fromSPValue('website', {Url: 'https://joe.com', Description: 'Blog'}))
+        .to.eql({url: 'https://joe.com', description: 'Blog'});
+    });
+    it('should convert MultiChoice value', () => {
+      expect(spLib.fromSPValue('skills', ['JS', 'SQL'])).to.eql(['JS', 'SQL']);
+      expect(spLib.fromSPValue('skills', {__metadata: {type: 'Collection(Edm.String)'}, results: ['JS']})).to.eql(['JS']);
+    });
   });
 
   describe('buildViewFields()', () => {
@@ -95,6 +422,11 @@ describe('SPLib tests', () => {
       const expectedResult = '<ViewFields><FieldRef Name="FirstName"/><FieldRef Name="LastName"/></ViewFields>';
       expect(result).to.eql(expectedResult);
     });
+    it('should not include ETag and attachments properties', () => {
+      const result = spLib.buildViewFields(['firstName', 'etag', 'attachments']);
+      const expectedResult = '<ViewFields><FieldRef Name="FirstName"/></ViewFields>';
+      expect(result).to.eql(expectedResult);
+    });
     it('should return empty string if no fields are specified', () => {
       const result = spLib.buildViewFields();
       expect(result).to.eql('');
@@ -129,11 +461,29 @@ describe('SPLib tests', () => {
     });
     it('should throw error if expression is not a string', () => {
       expect(() => spLib.buildOrderBy({foo: 'bar'}))
-        .to.throw('Invalid order expression. Must be a string.');
+        .to.throw('Invalid order expression. Must be a string.')
+        .and.include({statusCode: 400, code: 'INVALID_ORDER'});
     });
     it('should throw error if order is not either ASC or DESC', () => {
       expect(() => spLib.buildOrderBy(['lastName', 'firstName WRONG']))
-        .to.throw('Invalid order direction. Must be either ASC or DESC');
+        .to.throw('Invalid order direction. Must be either ASC or DESC')
+        .and.include({statusCode: 400, code: 'INVALID_ORDER'});
+    });
+  });
+
+  describe('buildComparator()', () => {
+    it('should sort text case-insensitively with empty values first', () => {
+      const spItems = [{ID: 1, LastName: 'doe'}, {ID: 2, LastName: null}, {ID: 3, LastName: 'Adams'}];
+      expect(spItems.sort(spLib.buildComparator('lastName')).map(spItem => spItem.ID)).to.deep.equal([2, 3, 1]);
+    });
+    it('should sort by the next order property when the values are equal', () => {
+      const spItems = [
+        {ID: 1, LastName: 'Doe', Age: 30},
+        {ID: 2, LastName: 'Doe', Age: 40},
+        {ID: 3, LastName: 'Adams', Age: 50}
+      ];
+      const comparator = spLib.buildComparator(['lastName DESC', 'age DESC']);
+      expect(spItems.sort(comparator).map(spItem => spItem.ID)).to.deep.equal([2, 1, 3]);
     });
   });
 
@@ -147,5 +497,146 @@ describe('SPLib tests', () => {
       const result = spLib.buildRowLimit();
       expect(result).to.eql('');
     });
+    it('should return paged RowLimit element', () => {
+      const result = spLib.buildRowLimit(10, true);
+      const expectedResult = '<RowLimit Paged="TRUE">10</RowLimit>';
+      expect(result).to.eql(expectedResult);
+    });
+  });
+
+  describe('buildQuery()', () => {
+    it('should not include ListItemCollectionPosition if paging info is not specified', () => {
+      const result = spLib.buildQuery({limit: 2});
+      expect(result).to.eql({
+        ViewXml: '<View><Query><OrderBy><FieldRef Name="ID" Ascending="False"/></OrderBy></Query><RowLimit Paged="TRUE">2</RowLimit></View>'
+      });
+    });
+    it('should include ListItemCollectionPosition with specified paging info', () => {
+      const result = spLib.buildQuery({limit: 2}, 'Paged=TRUE&p_ID=5');
+      expect(result.ListItemCollectionPosition).to.eql({
+        __metadata: {type: 'SP.ListItemCollectionPosition'},
+        PagingInfo: 'Paged=TRUE&p_ID=5'
+      });
+    });
+    it('should include folder and scope of the query', () => {
+      const result = spLib.buildQuery({limit: 2, scope: 'Recursive'}, null, '/sites/my-site/Lists/Users/Sales');
+      expect(result).to.eql({
+        ViewXml: '<View Scope="Recursive"><Query><OrderBy><FieldRef Name="ID" Ascending="False"/></OrderBy></Query><RowLimit Paged="TRUE">2</RowLimit></View>',
+        FolderServerRelativeUrl: '/sites/my-site/Lists/Users/Sales'
+      });
+    });
+  });
+
+  describe('buildPagingInfo()', () => {
+    it('should contain only ID if order is not specified', () => {
+      const result = spLib.buildPagingInfo({ID: 12, Age: 33});
+      expect(result).to.eql('Paged=TRUE&p_ID=12');
+    });
+    it('should contain values of the order fields', () => {
+      const result = spLib.buildPagingInfo({ID: 12, Age: 33, LastName: 'Doe Jr'}, ['lastName', 'age DESC']);
+      expect(result).to.eql('Paged=TRUE&p_LastName=Doe%20Jr&p_Age=33&p_ID=12');
+    });
+    it('should format date and boolean values', () => {
+      const spItem = {ID: 3, StartDate: '2019-01-01T05:00:00Z', IsEmployee: true};
+      const result = spLib.buildPagingInfo(spItem, ['startDate', 'isEmployee']);
+      expect(result).to.eql('Paged=TRUE&p_StartDate=20190101%2005%3A00%3A00&p_IsEmployee=1&p_ID=3');
+    });
+  });
+
+  describe('getFilterProperties()', () => {
+    it('should return properties used in where and order', () => {
+      const filter = {where: {and: [{or: [{firstName: 'Joe'}, {age: {gt: 20}}]}, {firstName: 'Jim'}]}, order: 'lastName'};
+      expect(spLib.getFilterProperties(filter)).to.eql(['firstName', 'age', 'lastName']);
+    });
+    it('should return empty array if where and order are not specified', () => {
+      expect(spLib.getFilterProperties({})).to.eql([]);
+    });
+  });
+
+  describe('getPagingProperties()', () => {
+    it('should return ID and order properties', () => {
+      expect(spLib.getPagingProperties(['lastName', 'age DESC'])).to.eql(['ID', 'lastName', 'age']);
+    });
+    it('should return ID if order is not specified', () => {
+      expect(spLib.getPagingProperties()).to.eql(['ID']);
+    });
+  });
+
+  describe('buildKql()', () => {
+    it('should return empty string if no condition is specified', () => {
+      expect(spLib.buildKql()).to.equal('');
+    });
+    it('should compare properties by their managed properties', () => {
+      const where = {and: [{lastName: 'Doe'}, {or: [{age: {gte: 30}}, {isEmployee: true}]}, {ID: {neq: 5}}]};
+      const expectedResult = '(LastNameOWSTEXT="Doe" AND (AgeOWSNMBR>=30 OR IsEmployeeOWSBOOL=1) AND ListItemID<>5)';
+      expect(spLib.buildKql(where)).to.equal(expectedResult);
+    });
+    it('should join the conditions of several properties with AND', () => {
+      const expectedResult = '(FirstNameOWSTEXT="Joe" AND LastNameOWSTEXT="Doe")';
+      expect(spLib.buildKql({firstName: 'Joe', lastName: 'Doe'})).to.equal(expectedResult);
+    });
+    it('\'inq\', \'nin\' and \'between\' conditions', () => {
+      expect(spLib.buildKql({skills: {inq: ['JS', 'SQL']}})).to.equal('(SkillsOWSCHCM="JS" OR SkillsOWSCHCM="SQL")');
+      expect(spLib.buildKql({age: {nin: [20, 30]}})).to.equal('(AgeOWSNMBR<>20 AND AgeOWSNMBR<>30)');
+      expect(spLib.buildKql({age: {between: [20, 30]}})).to.equal('(AgeOWSNMBR>=20 AND AgeOWSNMBR<=30)');
+    });
+    it('date value', () => {
+      const expectedResult = 'StartDateOWSDATE<2019-01-01T05:00:00.000Z';
+      expect(spLib.buildKql({startDate: {lt: '2019-01-01T05:00:00Z'}})).to.equal(expectedResult);
+    });
+    it('\'like\' pattern with trailing wildcard', () => {
+      expect(spLib.buildKql({lastName: {like: 'Do%'}})).to.equal('LastNameOWSTEXT:"Do*"');
+    });
+    it('should remove double quotes from text values', () => {
+      expect(spLib.buildKql({lastName: '"Doe"'})).to.equal('LastNameOWSTEXT="Doe"');
+    });
+    it('should throw error for patterns other than \'abc%\'', () => {
+      expect(() => spLib.buildKql({lastName: {like: '%oe'}}))
+        .to.throw(/cannot be searched/).and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+    it('should throw error for null value', () => {
+      expect(() => spLib.buildKql({lastName: null}))
+        .to.throw(/null/).and.include({statusCode: 400, code: 'INVALID_WHERE'});
+    });
+    it('should throw error for properties not stored in fields', () => {
+      expect(() => spLib.buildKql({etag: 'abc'}))
+        .to.throw(/cannot be searched/).and.include({statusCode: 400, code: 'INVALID_SEARCH_PROPERTY'});
+    });
+  });
+
+  describe('getManagedPropertyName()', () => {
+    it('should map system fields to built-in managed properties', () => {
+      expect(spLib.getManagedPropertyName('ID')).to.equal('ListItemID');
+    });
+    it('should name managed properties of other fields by column and type', () => {
+      expect(spLib.getManagedPropertyName('website')).to.equal('WebsiteOWSURLH');
+      expect(spLib.getManagedPropertyName('manager')).to.equal('ManagerOWSUSER');
+    });
+    it('should throw error for field types without default managed property', () => {
+      expect(() => spLib.getManagedPropertyName('departmentId'))
+        .to.throw(/sharepoint.managedProperty/).and.include({statusCode: 400, code: 'INVALID_SEARCH_PROPERTY'});
+    });
+  });
+
+  describe('buildSortList()', () => {
+    it('should return empty array if order is not specified', () => {
+      expect(spLib.buildSortList()).to.eql([]);
+    });
+    it('should sort by managed properties', () => {
+      expect(spLib.buildSortList(['lastName', 'age DESC'])).to.eql([
+        {Property: 'LastNameOWSTEXT', Direction: 0},
+        {Property: 'AgeOWSNMBR', Direction: 1}
+      ]);
+    });
+  });
+
+  describe('fromManagedPropertyValue()', () => {
+    it('should convert text values to the property type', () => {
+      expect(spLib.fromManagedPropertyValue('age', '33')).to.equal(33);
+      expect(spLib.fromManagedPropertyValue('skills', ';#JS;#SQL;#')).to.eql(['JS', 'SQL']);
+    });
+    it('should return values of User fields as is', () => {
+      expect(spLib.fromManagedPropertyValue('manager', 'Jane Doe')).to.equal('Jane Doe');
+    });
   });
 });
@@ -0,0 +1,141 @@
+'use strict';
+/* global Headers, Response */
+const {Readable} = require('stream');
+const {DataSource} = require('loopback-datasource-juggler');
+
+/**
+ * Creates a fake fetch client of SharePoint REST API. Form digest requests are answered with `digest`,
+ * the other requests by the responder. Requests are recorded in `requests`, the requests sent in `$batch` bodies
+ * are answered one by one and recorded in `batchRequests`.
+ * @param {Function} respond Function called with `(method, url, options)` returning `{status, body}` of the response,
+ * objects in `body` are sent as JSON
+ * @param {Object} [settings] The settings
+ * @param {String} [settings.digest] The form digest. Default: 'digest'
+ * @param {Function} [settings.record] Function called with `(url, options)` returning the recorded request.
+ * Default: `{url, method}`
+ * @param {Function} [settings.recordBatch] Function called with `(url, {method, body})` of the request sent
+ * in `$batch` body returning the recorded request. Default: `{url, method}`
+ * @param {Boolean} [settings.recordDigest] Record form digest requests too
+ * @returns {{requests: Object[], batchRequests: Object[], fetch: Function}}
+ */
+function fakeClient(respond, settings) {
+  settings = Object.assign({
+    digest: 'digest',
+    record: (url, options) => ({url, method: options.method}),
+    recordBatch: (url, options) => ({url, method: options.method})
+  }, settings);
+  // the bodies are streamed like the bodies of SharePoint responses
+  const toResponse = ({status, body}) => new Response(body === undefined ? body :
+    Readable.from([Buffer.from(typeof body === 'object' ? JSON.stringify(body) : body)]), {status});
+  const client = {
+    requests: [],
+    batchRequests: [],
+    fetch: (url, options) => {
+      const isDigest = /contextinfo$/.test(url);
+      if (!isDigest || settings.recordDigest) {
+        client.requests.push(settings.record(url, options));
+      }
+      if (isDigest) {
+        const body = {GetContextWebInformation: {FormDigestValue: settings.digest, FormDigestTimeoutSeconds: 1800}};
+        return Promise.resolve(toResponse({status: 200, body}));
+      }
+      if (!/\$batch$/.test(url)) {
+        return Promise.resolve(respond(options.method, url, options)).then(toResponse);
+      }
+      // the request line is followed by the headers and the body separated by an empty line
+      const requests = [...options.body.matchAll(/^(\w+) (\S+) HTTP\/1\.1\n(?:.+\n)*(?:\n(?!--)(.*))?/mg)];
+      return Promise.all(requests.map(([, method, requestUrl, body]) => {
+        client.batchRequests.push(settings.recordBatch(requestUrl, {method, body}));
+        return respond(method, requestUrl, {method, headers: new Headers(), body});
+      }))
+        .then(responses => {
+          const body = responses.map(({status, body}) => '--batchresponse_1\nContent-Type: application/http\n\n' +
+            `HTTP/1.1 ${status} Status\nContent-Type: application/json\n\n` +
+            `${body && typeof body === 'object' ? JSON.stringify(body) : (body || '')}\n`).join('');
+          return toResponse({status: 200, body: `${body}--batchresponse_1--\n`});
+        });
+    }
+  };
+  return client;
+}
+
+/**
+ * Creates SharePoint data source sending the requests to a fake client, see `fakeClient()`
+ * @param {Function} respond The responder of the fake client
+ * @param {Object} [clientSettings] The settings of the fake client
+ * @param {Object} [settings] The data source settings added to the site URL and the fake credentials
+ * @returns {{ds: DataSource, client: Object}}
+ */
+function createDataSource(respond, clientSettings, settings) {
+  const ds = new DataSource(require('../../'),
+    Object.assign({siteUrl: 'https://contoso.sharepoint.com', authConfig: {}}, settings));
+  const client = fakeClient(respond, clientSettings);
+  ds.connector.spClient.client = client;
+  return {ds, client};
+}
+
+/**
+ * Records the request with its JSON body, see `fakeClient()`
+ * @param {String} url The request URL
+ * @param {Object} options The request options
+ * @returns {{url: String, body: Object}}
+ */
+function recordJson(url, options) {
+  return {url, body: options.body && JSON.parse(options.body)};
+}
+
+/**
+ * Defines the model of SharePoint list in the data source. The model has `id` property mapped to `ID` column
+ * and `title` property mapped to `Title` column unless they are redefined.
+ * @param {DataSource} ds The data source
+ * @param {String} name The model name
+ * @param {Object} [properties] The properties added to `id` and `title`
+ * @param {Object} [options] The options
+ * @param {String} [options.list] The list title. Default: the model name followed by 's'
+ * @param {Object} [options.sharepoint] The other `sharepoint` settings of the model
+ * @param {Function[]} [options.mixins] The mixins applied to the model
+ * @returns {Function} The model class
+ */
+function defineModel(ds, name, properties, options) {
+  options = options || {};
+  const Model = ds.define(name, Object.assign({
+    id: {type: Number, id: true, sharepoint: {columnName: 'ID'}},
+    title: {type: String, sharepoint: {columnName: 'Title'}}
+  }, properties), {sharepoint: Object.assign({list: options.list || `${name}s`}, options.sharepoint)});
+  (options.mixins || []).forEach(mixin => mixin(Model));
+  return Model;
+}
+
+/**
+ * Creates SharePoint data source sending the requests to a fake client and defines the model of SharePoint list in it,
+ * see `createDataSource()` and `defineModel()`
+ * @param {Function} respond The responder of the fake client
+ * @param {String} name The model name
+ * @param {Object} [properties] The properties added to `id` and `title`
+ * @param {Object} [options] The options of `defineModel()`
+ * @param {Object} [options.client] The settings of the fake client
+ * @param {Object} [options.settings] The data source settings
+ * @returns {{ds: DataSource, client: Object}} The model class is returned under its name too
+ */
+function setupModel(respond, name, properties, options) {
+  options = options || {};
+  const {ds, client} = createDataSource(respond, options.client, options.settings);
+  return {ds, client, [name]: defineModel(ds, name, properties, options)};
+}
+
+/**
+ * Creates the body of SharePoint error response
+ * @param {String} message The error message
+ * @param {String} [code] SharePoint error code
+ * @returns {Object}
+ */
+function spError(message, code) {
+  return {'odata.error': {code: code || '-1, Microsoft.SharePoint.Client.ClientServiceException', message: {value: message}}};
+}
+
+exports.fakeClient = fakeClient;
+exports.createDataSource = createDataSource;
+exports.recordJson = recordJson;
+exports.defineModel = defineModel;
+exports.setupModel = setupModel;
+exports.spError = spError;
@@ -0,0 +1,165 @@
+'use strict';
+const {expect} = require('chai');
+const {setupModel, defineModel, spError} = require('./support/fake-sp');
+
+describe('UnitOfWork tests', () => {
+  const recycled = '5b1e6a52-7c3f-4b55-9d1a-2d7bc1b4f0c1';
+  const projectId = '0c8e2f4a-6b1d-4e3f-9a5c-7d2b1e0f3a64';
+
+  // answers like SharePoint, except for the requests failing with 412 status
+  const respond = failing => (method, url) => {
+    if (failing && failing.test(url)) {
+      return {status: 412, body: spError('The request ETag value does not match the object\'s ETag value.')};
+    }
+    if (/ListItemEntityTypeFullName/.test(url)) {
+      return {status: 200, body: {ListItemEntityTypeFullName: 'SP.Data.TasksListItem'}};
+    }
+    if (/items\(\d+\)\?\$select=Title$/.test(url)) {
+      return {status: 200, body: {Title: 'Old title'}};
+    }
+    if (/getitems$/i.test(url)) {
+      return {status: 200, body: {d: {results: [{ID: 7, GUID: projectId, Title: 'Old project'}]}}};
+    }
+    if (/recycle$/.test(url)) {
+      return {status: 200, body: {value: recycled}};
+    }
+    if (/items$/.test(url)) {
+      return {status: 201, body: {ID: 10, GUID: projectId, Title: 'New project'}};
+    }
+    return {status: 204};
+  };
+
+  const setup = (failing) => {
+    const {ds, client, Task} = setupModel(respond(failing), 'Task');
+    // the ids of the projects are set by the client
+    const Project = defineModel(ds, 'Project', {id: {type: String, id: true, sharepoint: {columnName: 'GUID'}}});
+    return {client, Task, Project};
+  };
+
+  const writeInTransaction = async ({Task, Project}) => {
+    const tx = await Task.beginTransaction({});
+    await Project.create({id: projectId, title: 'New project'}, {transaction: tx});
+    await Task.replaceById(2, {title: 'Updated task'}, {transaction: tx});
+    await Task.destroyById(3, {transaction: tx});
+    return tx;
+  };
+
+  it('should send the writes in a single batch on commit', async () => {
+    const {client, Task, Project} = setup();
+    const tx = await writeInTransaction({Task, Project});
+    const unitOfWork = tx.connection;
+    expect(client.requests.filter(request => request.method !== 'GET')).to.be.empty;
+    await tx.commit();
+    expect(client.requests.filter(request => request.method !== 'GET')).to.deep.equal([
+      {url: 'https://contoso.sharepoint.com/_api/$batch', method: 'POST'}
+    ]);
+    expect(client.batchRequests).to.have.length(4);
+    expect(unitOfWork.results).to.deep.equal([
+      {model: 'Project', operation: 'create', id: projectId, status: 'committed'},
+      {model: 'Task', operation: 'update', id: 2, status: 'committed'},
+      {model: 'Task', operation: 'delete', id: 3, status: 'committed'}
+    ]);
+  });
+
+  it('should undo the successful writes when a write fails', async () => {
+    const {client, Task, Project} = setup(/items\(2\)$/);
+    const tx = await writeInTransaction({Task, Project});
+    let error;
+    try {
+      await tx.commit();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 409, code: 'TRANSACTION_FAILED'});
+    expect(error.undone).to.deep.equal([
+      {model: 'Project', operation: 'create', id: projectId, status: 'undone'},
+      {model: 'Task', operation: 'delete', id: 3, status: 'undone'}
+    ]);
+    expect(error.operations[1]).to.include({operation: 'update', id: 2, status: 'failed'});
+    // undone in the reverse order
+    expect(client.requests.filter(request => request.method !== 'GET').map(request => request.url)).to.deep.equal([
+      'https://contoso.sharepoint.com/_api/$batch',
+      `https://contoso.sharepoint.com/_api/web/RecycleBin('${recycled}')/restore()`,
+      'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Projects\')/items(10)'
+    ]);
+  });
+
+  it('should restore the previous values of the updated items', async () => {
+    const {client, Task, Project} = setup(/items$/);
+    const tx = await Task.beginTransaction({});
+    await Task.replaceById(2, {title: 'Updated task'}, {transaction: tx});
+    await Project.create({id: projectId, title: 'New project'}, {transaction: tx});
+    let error;
+    try {
+      await tx.commit();
+    } catch (err) {
+      error = err;
+    }
+    expect(error.undone).to.deep.equal([{model: 'Task', operation: 'update', id: 2, status: 'undone'}]);
+    expect(client.requests.filter(request => request.method !== 'GET').map(request => request.url)).to.include(
+      'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Tasks\')/items(2)'
+    );
+  });
+
+  it('should report the instances updated and deleted by where with their ids', async () => {
+    const {Project} = setup();
+    const tx = await Project.beginTransaction({});
+    await Project.updateAll({title: 'Old project'}, {title: 'Updated project'}, {transaction: tx});
+    await Project.destroyAll({title: 'Old project'}, {transaction: tx});
+    const unitOfWork = tx.connection;
+    await tx.commit();
+    expect(unitOfWork.results).to.deep.equal([
+      {model: 'Project', operation: 'update', id: projectId, status: 'committed'},
+      {model: 'Project', operation: 'delete', id: projectId, status: 'committed'}
+    ]);
+  });
+
+  it('should discard the writes on rollback', async () => {
+    const {client, Task, Project} = setup();
+    const tx = await writeInTransaction({Task, Project});
+    await tx.rollback();
+    expect(client.requests.filter(request => request.method !== 'GET')).to.be.empty;
+  });
+
+  it('should reject the writes which cannot be made in a transaction', async () => {
+    const {Task} = setup();
+    const tx = await Task.beginTransaction({});
+    let error;
+    try {
+      await Task.upsert({id: 2, title: 'Task'}, {transaction: tx});
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 400, code: 'TRANSACTION_NOT_SUPPORTED'});
+  });
+
+  it('should return the id set by the client when the instance is created', async () => {
+    const {Task, Project} = setup();
+    const tx = await Task.beginTransaction({});
+    const project = await Project.create({id: projectId, title: 'New project'}, {transaction: tx});
+    expect(project.id).to.equal(projectId);
+    const unitOfWork = tx.connection;
+    await tx.commit();
+    expect(unitOfWork.results).to.deep.equal([
+      {model: 'Project', operation: 'create', id: projectId, status: 'committed'}
+    ]);
+  });
+
+  it('should reject creating instances whose id is assigned by SharePoint', async () => {
+    const {client, Task, Project} = setup();
+    const tx = await Task.beginTransaction({});
+    const errors = [];
+    for (const create of [() => Task.create({title: 'New task'}, {transaction: tx}),
+      () => Project.create({title: 'New project'}, {transaction: tx})]) {
+      try {
+        await create();
+      } catch (err) {
+        errors.push(err);
+      }
+    }
+    expect(errors).to.have.length(2);
+    errors.forEach(error => expect(error).to.include({statusCode: 400, code: 'TRANSACTION_NOT_SUPPORTED'}));
+    await tx.commit();
+    expect(client.requests.filter(request => request.method !== 'GET')).to.be.empty;
+  });
+});
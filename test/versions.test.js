@@ -0,0 +1,134 @@
+'use strict';
+const {expect} = require('chai');
+const {VersionsMixin} = require('../');
+const {setupModel, spError} = require('./support/fake-sp');
+
+describe('Versions tests', () => {
+  const editor = {__metadata: {type: 'SP.FieldUserValue'}, LookupId: 11, LookupValue: 'Jane Doe', Email: 'jane@contoso.com'};
+  // list item versions in verbose OData format, fields with underscores are encoded as '_x005f_'
+  const spVersions = [{
+    VersionId: 512,
+    VersionLabel: '1.0',
+    IsCurrentVersion: false,
+    Created: '2020-01-01T10:00:00Z',
+    ID: 3,
+    Title: 'Draft',
+    Amount: 10,
+    Due_x005f_Date: '2020-02-01T00:00:00Z',
+    Owner: editor,
+    Editor: editor,
+    Modified: '2020-01-01T10:00:00Z'
+  }, {
+    VersionId: 1024,
+    VersionLabel: '2.0',
+    IsCurrentVersion: true,
+    Created: '2020-01-02T10:00:00Z',
+    ID: 3,
+    Title: 'Final',
+    Amount: 20,
+    Due_x005f_Date: null,
+    Owner: null,
+    Editor: editor,
+    Modified: '2020-01-02T10:00:00Z'
+  }];
+
+  const setup = () => setupModel((method, url) => {
+    if (/versions$/.test(url)) {
+      return {status: 200, body: {d: {results: spVersions}}};
+    }
+    if (/versions\(512\)$/.test(url)) {
+      return {status: 200, body: {d: spVersions[0]}};
+    }
+    if (/versions\(\d+\)$/.test(url)) {
+      return {status: 404, body: spError('Item does not exist.', '-2147024809, System.ArgumentException')};
+    }
+    if (/restoreByLabel/.test(url)) {
+      return {status: 204};
+    }
+    if (/siteusers/i.test(url)) {
+      const user = {Id: 11, Title: 'Jane Doe', Email: 'jane@contoso.com', LoginName: 'i:0#.f|jane'};
+      return {status: 200, body: {d: {results: [user]}}};
+    }
+    const spItem = {ID: 3, Title: 'Draft', Amount: 10, Due_Date: '2020-02-01T00:00:00Z', OwnerId: 11};
+    return {status: 200, body: {d: {results: [spItem]}}};
+  }, 'Invoice', {
+    amount: {type: Number, sharepoint: {columnName: 'Amount'}},
+    dueDate: {type: Date, sharepoint: {columnName: 'Due_Date'}},
+    owner: {type: Object, sharepoint: {columnName: 'Owner', dataType: 'User'}}
+  }, {mixins: [VersionsMixin]});
+
+  const owner = {id: 11, title: 'Jane Doe', email: 'jane@contoso.com', loginName: 'i:0#.f|jane'};
+
+  it('should return the versions the latest first', async () => {
+    const {Invoice} = setup();
+    const versions = await Invoice.getVersions(3);
+    expect(versions).to.deep.equal([{
+      label: '2.0',
+      isCurrent: true,
+      modified: new Date('2020-01-02T10:00:00Z'),
+      modifiedBy: {id: 11, title: 'Jane Doe', email: 'jane@contoso.com'},
+      data: {id: 3, title: 'Final', amount: 20, dueDate: null, owner: null}
+    }, {
+      label: '1.0',
+      isCurrent: false,
+      modified: new Date('2020-01-01T10:00:00Z'),
+      modifiedBy: {id: 11, title: 'Jane Doe', email: 'jane@contoso.com'},
+      data: {id: 3, title: 'Draft', amount: 10, dueDate: new Date('2020-02-01T00:00:00Z'), owner}
+    }]);
+  });
+
+  it('should return the version by its label', async () => {
+    const {client, Invoice} = setup();
+    const version = await Invoice.getVersion(3, '1.0');
+    const url = 'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Invoices\')/items(3)/versions(512)';
+    expect(client.requests[0].url).to.equal(url);
+    expect(version).to.include({label: '1.0', isCurrent: false});
+    expect(version.data).to.deep.include({title: 'Draft', amount: 10});
+  });
+
+  it('should fail for versions which do not exist', async () => {
+    const {Invoice} = setup();
+    let error;
+    try {
+      await Invoice.getVersion(3, '5.0');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 404, code: 'NOT_FOUND'});
+  });
+
+  it('should reject invalid version labels', async () => {
+    const {client, Invoice} = setup();
+    let error;
+    try {
+      await Invoice.restoreVersion(3, '1\')/recycle(');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 400, code: 'INVALID_VERSION_LABEL'});
+    expect(client.requests).to.be.empty;
+  });
+
+  it('should restore the version and return the restored instance', async () => {
+    const {client, Invoice} = setup();
+    const invoice = await Invoice.restoreVersion(3, '1.0');
+    expect(client.requests[0]).to.deep.equal({
+      url: 'https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Invoices\')/items(3)/versions/restoreByLabel(versionlabel=\'1.0\')',
+      method: 'POST'
+    });
+    expect(invoice).to.deep.equal({id: 3, title: 'Draft', amount: 10, dueDate: new Date('2020-02-01T00:00:00Z'), owner});
+  });
+
+  it('should not enable minor versions for lists', async () => {
+    const {client, Invoice} = setup();
+    Invoice.definition.settings.sharepoint.versioning = {majorVersionLimit: 50, minorVersionLimit: 5};
+    let error;
+    try {
+      await Invoice.getDataSource().connector.createList('Invoice');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.include({statusCode: 400, code: 'INVALID_VERSIONING'});
+    expect(client.requests).to.be.empty;
+  });
+});
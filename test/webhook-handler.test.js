@@ -0,0 +1,86 @@
+'use strict';
+const EventEmitter = require('events');
+const {WebhookHandler} = require('../lib/webhook-handler');
+const {expect} = require('chai');
+
+describe('WebhookHandler tests', () => {
+  const listId = '5c77031a-9621-4dfc-bb5d-57ca4e22b2a4';
+  const day = 24 * 3600 * 1000;
+
+  // fake model attached to the fake connector returning the changes one by one
+  const fakeModel = (changes, subscriptions) => {
+    const connector = {
+      calls: [],
+      getListId: () => Promise.resolve(listId.toUpperCase()),
+      getChanges: (modelName, token, options, cb) => {
+        connector.calls.push(['getChanges', token]);
+        const result = token ? changes.shift() : {added: [], updated: [], deleted: [], entities: [], token: 't0'};
+        process.nextTick(() => cb(null, result));
+      },
+      getSubscriptions: (modelName, options, cb) => {
+        process.nextTick(() => cb(null, subscriptions));
+      },
+      renewSubscription: (modelName, id, expirationDateTime, options, cb) => {
+        connector.calls.push(['renewSubscription', id]);
+        process.nextTick(() => cb(null, {id}));
+      }
+    };
+    const Model = new EventEmitter();
+    Model.modelName = 'Order';
+    Model.getDataSource = () => ({connector});
+    return Model;
+  };
+
+  const notification = (clientState) => ({
+    value: [{subscriptionId: '1', clientState, resource: listId, siteUrl: '/sites/a', expirationDateTime: '2030-01-01'}]
+  });
+
+  it('should answer the validation handshake', async () => {
+    const handler = new WebhookHandler([fakeModel([])]);
+    const response = await handler.handle({query: {validationtoken: 'abc'}, body: ''});
+    expect(response).to.deep.equal({status: 200, headers: {'Content-Type': 'text/plain'}, body: 'abc'});
+  });
+
+  it('should reject invalid notifications', async () => {
+    const handler = new WebhookHandler([fakeModel([])]);
+    const response = await handler.handle({query: {}, body: 'not json'});
+    expect(response.status).to.equal(400);
+  });
+
+  it('should emit the changes since the stored token', async () => {
+    const changes = [
+      {added: [1], updated: [], deleted: [], entities: [{id: 1}], token: 't1'},
+      {added: [], updated: [], deleted: [2], entities: [], token: 't2'}
+    ];
+    const Order = fakeModel(changes);
+    const emitted = [];
+    Order.on('changed', change => emitted.push(change));
+    const handler = new WebhookHandler([Order], {clientState: 'secret'});
+    await handler.start();
+    expect(await handler.handle({query: {}, body: JSON.stringify(notification('secret'))})).to.include({status: 200});
+    await handler.processNotifications(notification('secret').value);
+    await handler.processNotifications(notification('other').value);
+    expect(emitted.map(change => change.token)).to.deep.equal(['t1', 't2']);
+    expect(Order.getDataSource().connector.calls).to.deep.equal([
+      ['getChanges', null], ['getChanges', 't0'], ['getChanges', 't1']
+    ]);
+    expect(await handler.tokenStore.get('Order')).to.equal('t2');
+  });
+
+  it('should renew the subscriptions expiring soon', async () => {
+    const Order = fakeModel([], [
+      {id: 'a', notificationUrl: 'https://app/hook', expirationDateTime: new Date(Date.now() + day)},
+      {id: 'b', notificationUrl: 'https://app/hook', expirationDateTime: new Date(Date.now() + 90 * day)},
+      {id: 'c', notificationUrl: 'https://other/hook', expirationDateTime: new Date(Date.now() + day)}
+    ]);
+    const handler = new WebhookHandler([Order], {autoRenew: true, notificationUrl: 'https://app/hook'});
+    await handler.start();
+    handler.stop();
+    expect(Order.getDataSource().connector.calls).to.deep.include(['renewSubscription', 'a']);
+    expect(Order.getDataSource().connector.calls.filter(call => call[0] === 'renewSubscription')).to.have.length(1);
+  });
+
+  it('should require notification URL for automatic renewal', () => {
+    expect(() => new WebhookHandler([], {autoRenew: true})).to.throw(/notificationUrl/);
+  });
+});
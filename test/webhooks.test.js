@@ -0,0 +1,51 @@
+'use strict';
+const {expect} = require('chai');
+const {WebhooksMixin} = require('../');
+const {setupModel, recordJson} = require('./support/fake-sp');
+
+describe('Webhooks tests', () => {
+  const spSubscription = {
+    id: 'a7b5e3e4-0c5c-4f5a-9b5e-3c2b0f3c4d5e',
+    notificationUrl: 'https://contoso.com/webhooks',
+    expirationDateTime: '2020-06-01T00:00:00Z',
+    clientState: null,
+    resource: '1e2f3a4b-5c6d-7e8f-9a0b-1c2d3e4f5a6b'
+  };
+
+  const setup = () => setupModel(() => ({status: 200, body: spSubscription}), 'Order', {},
+    {mixins: [WebhooksMixin], client: {record: recordJson}});
+
+  const renewals = client => client.requests.filter(request => request.body);
+
+  it('should renew the subscription until the given expiration', async () => {
+    const {client, Order} = setup();
+    const subscription = await Order.renewSubscription(spSubscription.id, new Date('2020-06-01T00:00:00Z'));
+    expect(subscription).to.deep.include({id: spSubscription.id, expirationDateTime: new Date('2020-06-01T00:00:00Z')});
+    expect(renewals(client)).to.have.lengthOf(1);
+    expect(renewals(client)[0].url).to.equal('https://contoso.sharepoint.com/_api/web/lists/getByTitle(\'Orders\')' +
+      `/subscriptions('${spSubscription.id}')`);
+    expect(renewals(client)[0].body).to.deep.equal({expirationDateTime: '2020-06-01T00:00:00.000Z'});
+  });
+
+  it('should renew the subscription by default expiration when called with the callback only', done => {
+    const {client, Order} = setup();
+    const started = Date.now();
+    Order.renewSubscription(spSubscription.id, (err, subscription) => {
+      if (err) {
+        return done(err);
+      }
+      expect(subscription.id).to.equal(spSubscription.id);
+      const expiration = new Date(renewals(client)[0].body.expirationDateTime).getTime();
+      expect(expiration).to.be.within(started + 179 * 24 * 3600 * 1000 - 1000, Date.now() + 179 * 24 * 3600 * 1000);
+      done();
+    });
+  });
+
+  it('should renew the subscription by default expiration when called with the options', async () => {
+    const {client, Order} = setup();
+    const subscription = await Order.renewSubscription(spSubscription.id, {});
+    expect(subscription.id).to.equal(spSubscription.id);
+    expect(renewals(client)).to.have.lengthOf(1);
+    expect(renewals(client)[0].body.expirationDateTime).to.be.a('string');
+  });
+});